@@ -15,6 +15,10 @@ export default [
         setTimeout: 'readonly',
         localStorage: 'readonly',
         confirm: 'readonly',
+        prompt: 'readonly',
+        EventSource: 'readonly',
+        URLSearchParams: 'readonly',
+        Blob: 'readonly',
         // Functions defined in HTML
         updateSelectedModels: 'readonly',
         updateSelectedModelsInBulk: 'readonly',
@@ -29,6 +33,11 @@ export default [
         exports: 'readonly',
         module: 'readonly',
         require: 'readonly',
+        URL: 'readonly',
+        AbortController: 'readonly',
+        clearTimeout: 'readonly',
+        setInterval: 'readonly',
+        clearInterval: 'readonly',
       },
     },
     rules: {
@@ -41,6 +50,6 @@ export default [
     // Files to lint
     files: ['**/*.js'],
     // Files to ignore
-    ignores: ['node_modules/**', 'build/**', 'dist/**'],
+    ignores: ['node_modules/**', 'build/**', 'dist/**', 'coverage/**'],
   },
 ];
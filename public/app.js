@@ -5,9 +5,24 @@ const AppState = {
   // Application State
   selectedModels: new Set(),
   currentModels: [],
+  fleetEndpoints: [],
+  modelUpdates: {},
   currentSort: { field: 'name', direction: 'asc' },
   currentEndpoint: localStorage.getItem('lastEndpoint') || null,
   isConnected: false,
+  jobEvents: null,
+  chat: {
+    model: localStorage.getItem('chatModel'),
+    histories: JSON.parse(localStorage.getItem('chatHistories') || '{}'),
+    controller: null,
+  },
+  comparison: null,
+  detailsModel: null,
+  reconcilePlanHash: null,
+  session: {
+    token: localStorage.getItem('sessionToken'),
+    user: null,
+  },
   serverInfo: {
     version: '--',
     apiVersion: '--',
@@ -20,14 +35,19 @@ const AppState = {
     search: '',
     family: '',
     size: '',
+    host: '',
     installedOnly: false,
   },
 
   // Initialize the application state
-  init() {
+  async init() {
     this.loadTheme();
     this.setupEventListeners();
+    if (!(await this.checkSession())) return;
     this.checkConnection();
+    this.loadEndpointStatus();
+    setInterval(() => this.loadEndpointStatus(), 30000);
+    this.loadActivity();
   },
 
   // Theme Management
@@ -77,6 +97,14 @@ const AppState = {
       });
     });
 
+    // Endpoint selection only affects this tab's requests
+    const endpointSelect = document.getElementById('endpointInput');
+    if (endpointSelect) {
+      endpointSelect.addEventListener('change', (e) => {
+        this.setEndpoint(e.target.value);
+      });
+    }
+
     // Toggle view (list/grid)
     const viewToggles = document.querySelectorAll('[data-view]');
     viewToggles.forEach((toggle) => {
@@ -85,6 +113,76 @@ const AppState = {
         this.setView(toggle.dataset.view);
       });
     });
+
+    // Model updates, from the bulk menu and each model's Update button
+    document
+      .querySelector('[data-action="update-selected"]')
+      ?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.updateSelectedModels();
+      });
+    document
+      .getElementById('modelsListContent')
+      ?.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action="update-model"]');
+        if (button) this.updateModel(button.dataset.model);
+      });
+
+    // Bulk delete, reporting models the server refused to delete
+    document
+      .querySelector('[data-action="delete-selected"]')
+      ?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.deleteSelectedModels();
+      });
+
+    // Bulk copy/rename and retag
+    document
+      .querySelector('[data-action="copy-selected"]')
+      ?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.copySelectedModel();
+      });
+    document
+      .querySelector('[data-action="retag-selected"]')
+      ?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.retagSelectedModels();
+      });
+    document
+      .querySelector('[data-action="push-selected"]')
+      ?.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.pushSelectedModels();
+      });
+
+    // Model manifests
+    document
+      .querySelectorAll('[data-action="export-selected"]')
+      .forEach((item) =>
+        item.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.exportSelectedModels(item.dataset.format);
+        }),
+      );
+    const manifestInput = document.getElementById('importManifestFile');
+    document
+      .querySelector('[data-action="import-manifest"]')
+      ?.addEventListener('click', () => manifestInput?.click());
+    manifestInput?.addEventListener('change', async () => {
+      const [file] = manifestInput.files;
+      manifestInput.value = '';
+      if (file) await this.importManifest(file);
+    });
+
+    this.setupChat();
+    this.setupCompare();
+    this.setupBenchmarks();
+    this.setupReconcile();
+    this.setupStorage();
+    this.setupModelDetails();
+    this.setupSession();
+    this.setupActivity();
   },
 
   // View Management
@@ -103,11 +201,19 @@ const AppState = {
     try {
       const response = await this.apiRequest('/api/health');
       this.isConnected = response.status === 'ok';
-      this.updateConnectionStatus();
+      if (this.isConnected) {
+        this.updateConnectionStatus('connected');
+      } else {
+        this.updateConnectionStatus(
+          'error',
+          `Ollama unreachable: ${response.ollama?.error || 'unknown error'}`,
+        );
+      }
 
       if (this.isConnected) {
         await this.loadServerInfo();
         await this.loadEndpoints();
+        await this.resumeActiveJobs();
       }
     } catch (error) {
       console.error('Connection check failed:', error);
@@ -143,15 +249,32 @@ const AppState = {
     }
   },
 
+  // Target the endpoint selected in this tab rather than the server's active one
+  endpointHeaders() {
+    return this.currentEndpoint
+      ? { 'X-Ollama-Endpoint': this.currentEndpoint }
+      : {};
+  },
+
+  // Send the session token, if signed in
+  authHeaders() {
+    return this.session.token
+      ? { Authorization: `Bearer ${this.session.token}` }
+      : {};
+  },
+
   // API Request Wrapper
   async apiRequest(endpoint, options = {}) {
     const defaultOptions = {
       method: 'GET',
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         Accept: 'application/json',
+        ...this.authHeaders(),
+        ...this.endpointHeaders(),
+        ...options.headers,
       },
-      ...options,
     };
 
     if (options.body && typeof options.body === 'object') {
@@ -162,6 +285,7 @@ const AppState = {
       const response = await fetch(endpoint, defaultOptions);
 
       if (!response.ok) {
+        if (response.status === 401) this.showSignIn();
         const error = await response.json().catch(() => ({}));
         throw new Error(error.message || 'Request failed');
       }
@@ -258,6 +382,13 @@ const AppState = {
       });
     }
 
+    // Apply host filter
+    if (this.filters.host) {
+      filtered = filtered.filter((model) =>
+        (model.hosts || []).includes(this.filters.host),
+      );
+    }
+
     // Apply installed filter
     if (this.filters.installedOnly) {
       filtered = filtered.filter((model) => model.installed);
@@ -311,6 +442,7 @@ const AppState = {
                                 <th>Size</th>
                                 <th>Family</th>
                                 <th>Format</th>
+                                <th>Hosts</th>
                                 <th>Actions</th>
                             </tr>
                         </thead>
@@ -331,7 +463,7 @@ const AppState = {
     return `
             <div class="model-card ${model.installed ? 'installed' : ''}">
                 <div class="model-card-header">
-                    <h4 class="model-name">${model.name}</h4>
+                    <h4 class="model-name">${model.name} ${this.renderUpdateBadge(model)}</h4>
                     <div class="model-actions">
                         ${
                           model.installed
@@ -340,6 +472,14 @@ const AppState = {
                                         onclick="AppState.runModel('${model.name}')">
                                     Run
                                 </button>
+                                <button class="btn btn-sm btn-outline-primary"
+                                        data-action="update-model" data-model="${model.name}">
+                                    Update
+                                </button>
+                                <button class="btn btn-sm btn-outline-secondary" 
+                                        onclick="AppState.showModelDetails('${model.name}')">
+                                    Details
+                                </button>
                                 <button class="btn btn-sm btn-outline-danger" 
                                         onclick="AppState.deleteModel('${model.name}')">
                                     Delete
@@ -386,11 +526,12 @@ const AppState = {
                            onchange="AppState.toggleModelSelection('${model.name}')"
                            ${this.selectedModels.has(model.name) ? 'checked' : ''}>
                 </td>
-                <td>${model.name}</td>
+                <td>${model.name} ${this.renderUpdateBadge(model)}</td>
                 <td>${model.details?.version || 'N/A'}</td>
                 <td>${this.formatSize(model.size || 0)}</td>
                 <td>${model.details?.family || 'N/A'}</td>
                 <td>${model.details?.format || 'N/A'}</td>
+                <td>${this.renderHostBadges(model)}</td>
                 <td class="actions">
                     ${
                       model.installed
@@ -399,6 +540,14 @@ const AppState = {
                                     onclick="AppState.runModel('${model.name}')">
                                 Run
                             </button>
+                            <button class="btn btn-sm btn-outline-primary"
+                                    data-action="update-model" data-model="${model.name}">
+                                Update
+                            </button>
+                            <button class="btn btn-sm btn-outline-secondary" 
+                                    onclick="AppState.showModelDetails('${model.name}')">
+                                Details
+                            </button>
                             <button class="btn btn-sm btn-outline-danger" 
                                     onclick="AppState.deleteModel('${model.name}')">
                                 Delete
@@ -416,6 +565,66 @@ const AppState = {
         `;
   },
 
+  // Flag installed models whose registry manifest has changed
+  renderUpdateBadge(model) {
+    const update = this.modelUpdates[model.name];
+    if (!model.installed || update?.status !== 'update-available') return '';
+    return `<span class="badge badge-warning" title="Registry digest ${update.remoteDigest.slice(0, 12)}">update available</span>`;
+  },
+
+  // Render the endpoints a model is installed on, flagging hosts whose
+  // inventory is unknown because they could not be reached
+  renderHostBadges(model) {
+    const hosts = (model.hosts || []).map(
+      (host) => `
+                <span class="badge ${host === this.currentEndpoint ? 'badge-primary' : 'badge-success'}">${host}</span>
+            `,
+    );
+
+    const unreachable = this.fleetEndpoints.filter(
+      (endpoint) => !endpoint.reachable,
+    );
+    if (unreachable.length > 0) {
+      hosts.push(`
+                <span class="badge badge-warning" title="Unreachable: ${unreachable.map((endpoint) => endpoint.id).join(', ')}">
+                    ${unreachable.length} unknown
+                </span>
+            `);
+    }
+
+    return `<div class="host-badges">${hosts.join('')}</div>`;
+  },
+
+  // Populate the per-host filter from the fleet's endpoints
+  renderHostFilter() {
+    const select = document.getElementById('hostFilter');
+    if (!select) return;
+
+    select.innerHTML = '';
+
+    const allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'All Hosts';
+    select.appendChild(allOption);
+
+    this.fleetEndpoints.forEach((endpoint) => {
+      const option = document.createElement('option');
+      option.value = endpoint.id;
+      option.textContent = endpoint.reachable
+        ? `${endpoint.id} (${endpoint.modelCount})`
+        : `${endpoint.id} (unreachable)`;
+      select.appendChild(option);
+    });
+
+    // Drop a filter for a host that is no longer configured
+    if (
+      !this.fleetEndpoints.some((endpoint) => endpoint.id === this.filters.host)
+    ) {
+      this.filters.host = '';
+    }
+    select.value = this.filters.host;
+  },
+
   // Get sort icon for table headers
   getSortIcon(field) {
     if (this.currentSort.field !== field) return '↕';
@@ -473,33 +682,228 @@ const AppState = {
     }
   },
 
+  // Delete models from the current endpoint. A dry run first reports the
+  // space that would be freed and which models are loaded, so loaded models
+  // are only unloaded and deleted after a second confirmation.
+  async deleteModels(modelNames) {
+    try {
+      const preview = await this.apiRequest('/api/models', {
+        method: 'DELETE',
+        body: { models: modelNames, dryRun: true },
+      });
+      const loaded = preview.results
+        .filter((result) => result.loaded)
+        .map((result) => result.model);
+      const size = this.formatSize(preview.freedBytes);
+
+      const label =
+        modelNames.length === 1 ? modelNames[0] : `${modelNames.length} models`;
+      if (!confirm(`Delete ${label}? This frees ${size}.`)) return;
+      const force =
+        loaded.length > 0 &&
+        confirm(
+          `${loaded.join(', ')} ${loaded.length === 1 ? 'is' : 'are'} currently loaded. Unload and delete ${loaded.length === 1 ? 'it' : 'them'} too?`,
+        );
+
+      const { results } = await this.apiRequest('/api/models', {
+        method: 'DELETE',
+        body: { models: modelNames, force },
+      });
+
+      const deleted = results.filter((result) => result.status === 'deleted');
+      const notDeleted = results.filter(
+        (result) => result.status !== 'deleted',
+      );
+      deleted.forEach((result) => this.selectedModels.delete(result.model));
+
+      if (notDeleted.length === 0) {
+        this.showToast(`Deleted ${label}`, 'success');
+      } else {
+        this.showToast(
+          `Deleted ${deleted.length} of ${results.length}. Not deleted: ${notDeleted
+            .map(
+              (result) => `${result.model} (${result.error || result.status})`,
+            )
+            .join(', ')}`,
+          deleted.length > 0 ? 'warning' : 'error',
+        );
+      }
+      await this.refreshModels();
+    } catch (error) {
+      console.error('Failed to delete models:', error);
+      this.showToast(`Failed to delete models: ${error.message}`, 'error');
+    }
+  },
+
   // Delete selected models
   async deleteSelectedModels() {
     const modelsToDelete = Array.from(this.selectedModels);
     if (modelsToDelete.length === 0) return;
+    await this.deleteModels(modelsToDelete);
+  },
 
-    const confirmed = confirm(
-      `Are you sure you want to delete ${modelsToDelete.length} selected model(s)?`,
+  // Copy or rename the single selected model
+  async copySelectedModel() {
+    if (this.selectedModels.size !== 1) {
+      this.showToast('Select exactly one model to copy or rename', 'warning');
+      return;
+    }
+
+    const [source] = this.selectedModels;
+    const destination = prompt(`New name for ${source}:`, source)?.trim();
+    if (!destination || destination === source) return;
+    const rename = confirm(
+      `Remove the old name ${source}? OK renames, Cancel keeps both.`,
     );
-    if (!confirmed) return;
 
     try {
-      const promises = modelsToDelete.map((modelName) =>
-        this.apiRequest(`/api/delete/${encodeURIComponent(modelName)}`, {
-          method: 'DELETE',
-        }),
-      );
-
-      await Promise.all(promises);
+      await this.apiRequest(rename ? '/api/rename' : '/api/copy', {
+        method: 'POST',
+        body: { source, destination },
+      });
       this.showToast(
-        `Successfully deleted ${modelsToDelete.length} model(s)`,
+        `${rename ? 'Renamed' : 'Copied'} ${source} to ${destination}`,
         'success',
       );
-      this.selectedModels.clear();
+      if (rename) this.selectedModels.delete(source);
       await this.refreshModels();
     } catch (error) {
-      console.error('Failed to delete models:', error);
-      this.showToast(`Failed to delete models: ${error.message}`, 'error');
+      this.showToast(`Copy failed: ${error.message}`, 'error');
+    }
+  },
+
+  // Copy every selected model to a prefixed name, e.g. prod-llama3:latest
+  async retagSelectedModels() {
+    const models = Array.from(this.selectedModels);
+    if (models.length === 0) return;
+
+    const prefix = prompt(
+      `Prefix to add to ${models.length} model name(s), e.g. prod-:`,
+    )?.trim();
+    if (!prefix) return;
+
+    try {
+      const { results } = await this.apiRequest('/api/retag', {
+        method: 'POST',
+        body: { models, prefix },
+      });
+      const failed = results.filter((result) => result.status === 'failed');
+      if (failed.length === 0) {
+        this.showToast(`Retagged ${results.length} model(s)`, 'success');
+      } else {
+        this.showToast(
+          `Retagged ${results.length - failed.length} of ${results.length}. Failed: ${failed
+            .map((result) => `${result.source} (${result.error})`)
+            .join(', ')}`,
+          'warning',
+        );
+      }
+      await this.refreshModels();
+    } catch (error) {
+      this.showToast(`Retag failed: ${error.message}`, 'error');
+    }
+  },
+
+  // Push the selected models to a registry namespace, e.g.
+  // registry.local:5000/team, one after another
+  async pushSelectedModels() {
+    const models = Array.from(this.selectedModels);
+    if (models.length === 0) return;
+
+    const namespace = prompt(
+      `Registry namespace to push ${models.length} model(s) to, e.g. registry.local:5000/team:`,
+      localStorage.getItem('pushNamespace') || '',
+    )
+      ?.trim()
+      .replace(/\/+$/, '');
+    if (!namespace) return;
+    localStorage.setItem('pushNamespace', namespace);
+    const insecure = confirm(
+      'Allow an insecure registry (plain HTTP or self-signed certificate)?',
+    );
+
+    for (const model of models) {
+      const destination = `${namespace}/${model.split('/').pop()}`;
+      try {
+        const { job } = await this.apiRequest('/api/push', {
+          method: 'POST',
+          body: {
+            model,
+            destination,
+            insecure,
+            overwrite: true,
+            background: true,
+          },
+        });
+        await this.watchJob(job);
+      } catch (error) {
+        this.showToast(`Push of ${model} failed: ${error.message}`, 'error');
+      }
+    }
+  },
+
+  // Download a JSON or YAML manifest of the selected models
+  async exportSelectedModels(format = 'json') {
+    const models = Array.from(this.selectedModels);
+    if (models.length === 0) return;
+
+    try {
+      const response = await fetch('/api/export', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.authHeaders(),
+          ...this.endpointHeaders(),
+        },
+        body: JSON.stringify({ models, format }),
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.message || 'Request failed');
+      }
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download =
+        response.headers
+          .get('content-disposition')
+          ?.match(/filename="?([^";]+)"?/)?.[1] || `models.${format}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      this.showToast(`Export failed: ${error.message}`, 'error');
+    }
+  },
+
+  // Pull or recreate every model in a manifest file on the current endpoint
+  async importManifest(file) {
+    const endpoint = this.currentEndpoint || 'the active endpoint';
+    if (!confirm(`Import the models in ${file.name} to ${endpoint}?`)) return;
+
+    this.showToast(`Importing models from ${file.name}...`, 'info');
+    try {
+      const result = await this.apiRequest('/api/import', {
+        method: 'POST',
+        body: { manifest: await file.text() },
+      });
+      const present = result.results
+        .filter((entry) => entry.status === 'present')
+        .map((entry) => entry.model);
+      const summary = `${result.pulled} pulled, ${result.created} created, ${result.present} already present${present.length ? ` (${present.join(', ')})` : ''}`;
+      if (result.failed === 0) {
+        this.showToast(`Import complete: ${summary}`, 'success');
+      } else {
+        this.showToast(
+          `Import finished with errors: ${summary}. Failed: ${result.results
+            .filter((entry) => entry.status === 'failed')
+            .map((entry) => `${entry.model} (${entry.error})`)
+            .join(', ')}`,
+          'warning',
+        );
+      }
+      await this.refreshModels();
+    } catch (error) {
+      this.showToast(`Import failed: ${error.message}`, 'error');
     }
   },
 
@@ -542,21 +946,7 @@ const AppState = {
 
   // Delete a single model
   async deleteModel(modelName) {
-    if (!confirm(`Are you sure you want to delete ${modelName}?`)) {
-      return;
-    }
-
-    try {
-      await this.apiRequest(`/api/delete/${encodeURIComponent(modelName)}`, {
-        method: 'DELETE',
-      });
-      this.showToast(`Deleted ${modelName}`, 'success');
-      this.selectedModels.delete(modelName);
-      await this.refreshModels();
-    } catch (error) {
-      console.error(`Failed to delete model ${modelName}:`, error);
-      this.showToast(`Failed to delete model: ${error.message}`, 'error');
-    }
+    await this.deleteModels([modelName]);
   },
 
   // Sort models by field
@@ -603,6 +993,19 @@ const AppState = {
     }
   },
 
+  // Switch the endpoint this tab talks to
+  async setEndpoint(endpointId) {
+    this.currentEndpoint = endpointId || null;
+    if (this.currentEndpoint) {
+      localStorage.setItem('lastEndpoint', this.currentEndpoint);
+    } else {
+      localStorage.removeItem('lastEndpoint');
+    }
+
+    this.selectedModels.clear();
+    await Promise.allSettled([this.refreshModels(), this.fetchRunningModels()]);
+  },
+
   // Load available endpoints
   async loadEndpoints() {
     try {
@@ -619,29 +1022,25 @@ const AppState = {
       defaultOption.textContent = 'Select an endpoint...';
       select.appendChild(defaultOption);
 
+      // Prefer the endpoint saved for this browser (by ID or legacy URL),
+      // falling back to the server's active endpoint
+      const selected =
+        response.find(
+          (endpoint) =>
+            endpoint.id === this.currentEndpoint ||
+            endpoint.url === this.currentEndpoint,
+        ) || response.find((endpoint) => endpoint.active);
+      this.currentEndpoint = selected ? selected.id : null;
+
       // Add endpoints
       response.forEach((endpoint) => {
         const option = document.createElement('option');
-        option.value = endpoint;
-        option.textContent = endpoint;
-        option.selected = endpoint === this.currentEndpoint;
+        option.value = endpoint.id;
+        option.textContent = `${endpoint.id} (${endpoint.url})`;
+        option.selected = endpoint.id === this.currentEndpoint;
         select.appendChild(option);
       });
 
-      // If we have a current endpoint that's not in the list, add it
-      if (this.currentEndpoint && !response.includes(this.currentEndpoint)) {
-        const option = document.createElement('option');
-        option.value = this.currentEndpoint;
-        option.textContent = `${this.currentEndpoint} (custom)`;
-        option.selected = true;
-        select.appendChild(option);
-      }
-
-      // If we have a current endpoint, ensure it's selected
-      if (this.currentEndpoint) {
-        select.value = this.currentEndpoint;
-      }
-
       return response;
     } catch (error) {
       console.error('Failed to load endpoints:', error);
@@ -650,14 +1049,33 @@ const AppState = {
     }
   },
 
-  // Refresh models list
+  // Refresh models list from the fleet-wide inventory. A model counts as
+  // installed when it is present on the endpoint selected in this tab.
   async refreshModels() {
     try {
       this.showLoadingState(true);
-      const models = await this.apiRequest('/api/models');
-      this.currentModels = models;
+      const { models, endpoints } = await this.apiRequest('/api/fleet/models');
+      this.fleetEndpoints = endpoints;
+      this.currentModels = models.map((model) => ({
+        ...model,
+        installed: model.hosts.includes(this.currentEndpoint),
+      }));
+
+      const unreachable = endpoints.filter((endpoint) => !endpoint.reachable);
+      if (unreachable.length > 0) {
+        this.showToast(
+          `Unreachable: ${unreachable.map((endpoint) => endpoint.id).join(', ')}`,
+          'warning',
+        );
+      }
+
+      this.renderHostFilter();
       this.renderModels();
+      this.renderChatModels();
+      this.renderCompareModels();
+      this.renderBenchmarkModels();
       this.updateBulkActions();
+      this.checkForUpdates();
       return models;
     } catch (error) {
       console.error('Failed to refresh models:', error);
@@ -671,6 +1089,20 @@ const AppState = {
     }
   },
 
+  // Ask the registry which installed models have a newer version. This is
+  // slower than listing models, so the table is re-rendered when it's done.
+  async checkForUpdates() {
+    try {
+      const updates = await this.apiRequest('/api/models/updates');
+      this.modelUpdates = Object.fromEntries(
+        updates.map((update) => [update.model, update]),
+      );
+      this.renderModels();
+    } catch (error) {
+      console.error('Failed to check for updates:', error);
+    }
+  },
+
   // Fetch currently running models
   async fetchRunningModels() {
     try {
@@ -789,10 +1221,17 @@ const AppState = {
     if (loadingEl) loadingEl.style.display = 'none';
   },
 
-  // Pull a model
-  async pullModel(modelName) {
-    let pullStatus = 'downloading'; // Declare pullStatus here
+  // Format a duration in seconds as e.g. "1m 05s"
+  formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return '--';
+    const minutes = Math.floor(seconds / 60);
+    const rest = String(seconds % 60).padStart(2, '0');
+    return minutes > 0 ? `${minutes}m ${rest}s` : `${seconds}s`;
+  },
 
+  // Pull a model. The pull runs as a background job on the server, so it
+  // keeps going if this tab is closed.
+  async pullModel(modelName) {
     if (!modelName) {
       modelName = document.getElementById('modelNameInput')?.value.trim();
       if (!modelName) {
@@ -801,95 +1240,1114 @@ const AppState = {
       }
     }
 
+    try {
+      const { job } = await this.apiRequest('/api/pull', {
+        method: 'POST',
+        body: { model: modelName, background: true },
+      });
+      this.watchJob(job);
+    } catch (error) {
+      console.error('Pull failed:', error);
+      this.showToast(`Pull failed: ${error.message}`, 'error');
+    }
+  },
+
+  // Update a model to the registry's latest version. Like pulls, updates
+  // run as background jobs.
+  async updateModel(modelName) {
+    try {
+      const { job } = await this.apiRequest('/api/update-model', {
+        method: 'POST',
+        body: { modelName, background: true },
+      });
+      this.watchJob(job);
+    } catch (error) {
+      this.showToast(
+        `Update of ${modelName} failed: ${error.message}`,
+        'error',
+      );
+    }
+  },
+
+  // Update every selected model; the server runs them as a batch of jobs
+  // and answers once all have finished
+  async updateSelectedModels() {
+    const models = Array.from(this.selectedModels);
+    if (models.length === 0) return;
+
+    this.showToast(`Updating ${models.length} model(s)...`, 'info');
+    try {
+      const { results } = await this.apiRequest('/api/update-models', {
+        method: 'POST',
+        body: { models },
+      });
+      const count = (status) =>
+        results.filter((result) => result.status === status).length;
+      const failed = results.filter((result) => result.status === 'failed');
+      this.showToast(
+        `${count('updated')} updated, ${count('unchanged')} already up to date${
+          failed.length
+            ? `, ${failed.length} failed: ${failed
+                .map((result) => `${result.model} (${result.error})`)
+                .join(', ')}`
+            : ''
+        }`,
+        failed.length ? 'warning' : 'success',
+      );
+      await this.refreshModels();
+    } catch (error) {
+      this.showToast(`Update failed: ${error.message}`, 'error');
+    }
+  },
+
+  // Pick up a job that is still running, e.g. one started in another tab
+  async resumeActiveJobs() {
+    try {
+      const params = new URLSearchParams({ status: 'running' });
+      if (this.currentEndpoint) params.set('endpoint', this.currentEndpoint);
+      const jobs = await this.apiRequest(`/api/jobs?${params}`);
+      const active = jobs.find((job) => job.type in this.jobActions);
+      if (active) this.watchJob(active);
+    } catch (error) {
+      console.error('Failed to load running jobs:', error);
+    }
+  },
+
+  // How each job type is described in the progress display
+  jobActions: {
+    pull: { name: 'Pull', running: 'Pulling', done: 'pulled' },
+    update: { name: 'Update', running: 'Updating', done: 'updated' },
+    create: { name: 'Create', running: 'Creating', done: 'created' },
+    push: {
+      name: 'Push',
+      running: 'Pushing',
+      done: 'pushed',
+      transfer: 'Uploading',
+    },
+    replicate: {
+      name: 'Replicate',
+      running: 'Replicating',
+      done: 'replicated',
+    },
+  },
+
+  // Follow a job's progress over Server-Sent Events. EventSource reconnects
+  // by itself and the server replays what was missed via Last-Event-ID.
+  // Resolves with whether the job succeeded.
+  watchJob(job) {
     const statusElement = document.getElementById('pullStatus');
+    const statusText = document.getElementById('pullStatusText');
     const progressElement = document.getElementById('pullProgressText');
     const progressBar = document.getElementById('pullProgressBar');
 
-    try {
-      // Show status
-      if (statusElement) statusElement.style.display = 'block';
-      if (progressElement) progressElement.textContent = 'Initializing...';
-      if (progressBar) progressBar.style.width = '0%';
+    if (this.jobEvents) this.jobEvents.close();
+
+    if (statusElement) statusElement.style.display = 'block';
+    const action = this.jobActions[job.type] || this.jobActions.pull;
+    if (statusText)
+      statusText.textContent = `${action.running} ${job.model}...`;
+    if (progressElement) {
+      progressElement.textContent = 'Initializing...';
+      progressElement.className = 'small text-muted mt-1';
+    }
+    if (progressBar) progressBar.style.width = '0%';
+
+    // EventSource can't send headers, so the token goes in the URL
+    const query = this.session.token
+      ? `?access_token=${encodeURIComponent(this.session.token)}`
+      : '';
+    const events = new EventSource(`/api/jobs/${job.id}/events${query}`);
+    this.jobEvents = events;
+    let finished;
+    const result = new Promise((resolve) => {
+      finished = resolve;
+    });
+
+    events.addEventListener('progress', (e) => {
+      const data = JSON.parse(e.data);
+      if (progressBar) progressBar.style.width = `${data.overall.percent}%`;
+      if (progressElement) {
+        const completed = this.formatSize(data.completed);
+        const total = this.formatSize(data.total);
+        const speed = this.formatSize(data.bytesPerSecond);
+        progressElement.textContent = `${action.transfer || 'Downloading'}: ${data.percent}% (${completed} / ${total}) · ${speed}/s · ${this.formatDuration(data.eta)} left`;
+      }
+    });
+
+    events.addEventListener('status', (e) => {
+      const data = JSON.parse(e.data);
+      if (data.message && progressElement) {
+        progressElement.textContent = data.message;
+      }
+    });
+
+    events.addEventListener('done', () => {
+      events.close();
+      this.jobEvents = null;
+      if (progressBar) progressBar.style.width = '100%';
+      if (progressElement) {
+        progressElement.textContent = `${action.name} completed successfully`;
+      }
+      this.showToast(`Successfully ${action.done} ${job.model}`, 'success');
+      this.refreshModels();
+      setTimeout(() => {
+        if (statusElement) statusElement.style.display = 'none';
+      }, 2000);
+      finished(true);
+    });
+
+    events.addEventListener('error', (e) => {
+      // Connection errors carry no data; EventSource retries those itself
+      if (!e.data) return;
 
-      // Make the pull request
-      const response = await fetch('/api/pull', {
+      events.close();
+      this.jobEvents = null;
+      const { error } = JSON.parse(e.data);
+      this.showToast(`${action.name} failed: ${error}`, 'error');
+      if (progressElement) {
+        progressElement.textContent = `Error: ${error}`;
+        progressElement.className = 'text-danger';
+      }
+      finished(false);
+    });
+
+    return result;
+  },
+
+  // ======================================
+  // Chat Playground
+  // ======================================
+
+  setupChat() {
+    const form = document.getElementById('chatForm');
+    if (!form) return;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.sendChatMessage();
+    });
+    document.getElementById('chatInput').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.sendChatMessage();
+      }
+    });
+    document.getElementById('chatModel').addEventListener('change', (e) => {
+      this.chat.model = e.target.value;
+      localStorage.setItem('chatModel', this.chat.model);
+      this.renderChat();
+    });
+    document
+      .querySelector('[data-action="chat-stop"]')
+      ?.addEventListener('click', () => this.stopChat());
+    document
+      .querySelector('[data-action="chat-clear"]')
+      ?.addEventListener('click', () => this.clearChat());
+  },
+
+  // Offer the models installed on the current endpoint
+  renderChatModels() {
+    const select = document.getElementById('chatModel');
+    if (!select) return;
+
+    const models = this.currentModels.filter((model) => model.installed);
+    if (!models.some((model) => model.name === this.chat.model)) {
+      this.chat.model = models[0]?.name || null;
+    }
+    select.innerHTML = models.length
+      ? models
+          .map(
+            (model) =>
+              `<option value="${model.name}" ${model.name === this.chat.model ? 'selected' : ''}>${model.name}</option>`,
+          )
+          .join('')
+      : '<option value="">No models installed</option>';
+    this.renderChat();
+  },
+
+  // Show the conversation with the selected model. Message text is set with
+  // textContent since it comes from the model.
+  renderChat() {
+    const container = document.getElementById('chatMessages');
+    if (!container) return;
+
+    container.replaceChildren(
+      ...(this.chat.histories[this.chat.model] || []).map((message) => {
+        const element = document.createElement('div');
+        element.className = `chat-message chat-message-${message.role}`;
+        element.textContent = message.content;
+        return element;
+      }),
+    );
+    container.scrollTop = container.scrollHeight;
+  },
+
+  saveChatHistories() {
+    localStorage.setItem('chatHistories', JSON.stringify(this.chat.histories));
+  },
+
+  // Summarize Ollama's timing stats from the final chunk (durations are in
+  // nanoseconds)
+  formatChatStats(final) {
+    const seconds = (ns) => (ns / 1e9).toFixed(2);
+    const stats = [
+      `${final.eval_count} tokens in ${seconds(final.eval_duration)}s`,
+      `${(final.eval_count / (final.eval_duration / 1e9)).toFixed(1)} tokens/s`,
+    ];
+    if (final.prompt_eval_count) {
+      stats.push(
+        `prompt: ${final.prompt_eval_count} tokens in ${seconds(final.prompt_eval_duration)}s`,
+      );
+    }
+    if (final.load_duration) {
+      stats.push(`load: ${seconds(final.load_duration)}s`);
+    }
+    return stats.join(' · ');
+  },
+
+  // Send the typed message and stream the reply into the conversation
+  async sendChatMessage() {
+    const input = document.getElementById('chatInput');
+    const stats = document.getElementById('chatStats');
+    const model = this.chat.model;
+    const content = input.value.trim();
+    if (!model || !content || this.chat.controller) return;
+
+    const history = (this.chat.histories[model] ||= []);
+    history.push({ role: 'user', content });
+    const reply = { role: 'assistant', content: '' };
+    history.push(reply);
+    input.value = '';
+    this.renderChat();
+
+    const number = (id, parse) => {
+      const value = document.getElementById(id).value;
+      return value === '' ? undefined : parse(value);
+    };
+    const options = {
+      temperature: number('chatTemperature', parseFloat),
+      top_p: number('chatTopP', parseFloat),
+      num_ctx: number('chatNumCtx', (value) => parseInt(value, 10)),
+    };
+
+    this.chat.controller = new AbortController();
+    this.setChatBusy(true);
+    stats.textContent = 'Generating...';
+
+    try {
+      const response = await fetch('/api/chat', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ model: modelName }),
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.authHeaders(),
+          ...this.endpointHeaders(),
+        },
+        body: JSON.stringify({
+          model,
+          system: document.getElementById('chatSystem').value || undefined,
+          messages: history
+            .slice(0, -1)
+            .filter((message) => message.role !== 'error'),
+          options,
+        }),
+        signal: this.chat.controller.signal,
       });
-
       if (!response.ok) {
         const error = await response.json().catch(() => ({}));
-        throw new Error(error.message || 'Failed to start pull');
+        throw new Error(error.message || 'Chat request failed');
       }
 
-      // Handle streaming response
+      // Lines can straddle chunks, so keep the partial last line
       const reader = response.body.getReader();
-      let pullComplete = false;
-      let pullStatus = 'downloading';
-
-      while (!pullComplete) {
+      const decoder = new TextDecoder();
+      let buffer = '';
+      while (true) {
         const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
 
-        if (done) {
-          pullComplete = true;
-          this.showToast(`Successfully pulled ${modelName}`, 'success');
-          await this.refreshModels();
-          break;
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          const chunk = JSON.parse(line);
+          if (chunk.error) throw new Error(chunk.error);
+          reply.content += chunk.message?.content || '';
+          if (chunk.done) stats.textContent = this.formatChatStats(chunk);
         }
+        this.renderChat();
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        stats.textContent = 'Stopped';
+      } else {
+        console.error('Chat failed:', error);
+        stats.textContent = '';
+        history.push({ role: 'error', content: `Error: ${error.message}` });
+      }
+    } finally {
+      // Drop an empty reply so it isn't sent back as context
+      if (!reply.content) history.splice(history.indexOf(reply), 1);
+      this.chat.controller = null;
+      this.setChatBusy(false);
+      this.saveChatHistories();
+      this.renderChat();
+    }
+  },
 
-        // Process the streamed data
-        const text = new TextDecoder().decode(value);
-        const lines = text.split('\n').filter((line) => line.trim());
+  setChatBusy(busy) {
+    document.getElementById('chatSendBtn').disabled = busy;
+    document.getElementById('chatStopBtn').disabled = !busy;
+  },
 
-        for (const line of lines) {
-          try {
-            const data = JSON.parse(line);
-
-            if (data.status === 'downloading') {
-              const percent =
-                data.total > 0
-                  ? Math.round((data.completed / data.total) * 100)
-                  : 0;
-
-              if (progressBar) progressBar.style.width = `${percent}%`;
-              if (progressElement) {
-                const completed = this.formatSize(data.completed);
-                const total = this.formatSize(data.total);
-                progressElement.textContent = `Downloading: ${percent}% (${completed} / ${total})`;
-              }
-            } else if (data.status === 'verifying') {
-              pullStatus = 'verifying';
-              if (progressElement) {
-                progressElement.textContent = 'Verifying checksum...';
-              }
-            } else if (data.status === 'success') {
-              pullStatus = 'success';
-              if (progressElement) {
-                progressElement.textContent = 'Pull completed successfully';
-              }
-            }
-          } catch (e) {
-            console.error('Error processing stream data:', e);
+  stopChat() {
+    this.chat.controller?.abort();
+  },
+
+  clearChat() {
+    this.stopChat();
+    delete this.chat.histories[this.chat.model];
+    this.saveChatHistories();
+    document.getElementById('chatStats').textContent = '';
+    this.renderChat();
+  },
+
+  // ======================================
+  // Model Comparison
+  // ======================================
+
+  setupCompare() {
+    document
+      .querySelector('[data-action="compare-run"]')
+      ?.addEventListener('click', () => this.runComparison());
+    document
+      .querySelector('[data-action="compare-export"]')
+      ?.addEventListener('click', () => this.exportComparison());
+  },
+
+  // Offer every model on every host, since a comparison can span endpoints
+  renderCompareModels() {
+    const select = document.getElementById('compareModels');
+    if (!select) return;
+
+    const selected = new Set(
+      Array.from(select.selectedOptions, (option) => option.value),
+    );
+    select.innerHTML = this.currentModels
+      .flatMap((model) =>
+        model.hosts.map((host) => {
+          const value = JSON.stringify({ model: model.name, endpoint: host });
+          return `<option value='${value}' ${selected.has(value) ? 'selected' : ''}>${model.name} @ ${host}</option>`;
+        }),
+      )
+      .join('');
+  },
+
+  async runComparison() {
+    const select = document.getElementById('compareModels');
+    const prompt = document.getElementById('comparePrompt').value.trim();
+    const targets = Array.from(select.selectedOptions, (option) =>
+      JSON.parse(option.value),
+    );
+
+    if (targets.length < 2 || targets.length > 4) {
+      this.showToast('Choose 2 to 4 models to compare', 'warning');
+      return;
+    }
+    if (!prompt) {
+      this.showToast('Please enter a prompt', 'warning');
+      return;
+    }
+
+    const container = document.getElementById('compareResults');
+    container.textContent = 'Running...';
+    try {
+      this.comparison = await this.apiRequest('/api/compare', {
+        method: 'POST',
+        body: { prompt, targets },
+      });
+      this.renderComparison();
+    } catch (error) {
+      container.textContent = '';
+      this.showToast(`Comparison failed: ${error.message}`, 'error');
+    }
+  },
+
+  // Show each output side by side. Outputs are set with textContent since
+  // they come from the models.
+  renderComparison() {
+    const container = document.getElementById('compareResults');
+    container.replaceChildren(
+      ...this.comparison.results.map((result) => {
+        const card = document.createElement('div');
+        card.className = 'compare-result';
+
+        const title = document.createElement('h4');
+        title.textContent = `${result.model} @ ${result.endpoint}`;
+
+        const output = document.createElement('div');
+        output.className = result.error
+          ? 'compare-output text-danger'
+          : 'compare-output';
+        output.textContent = result.error
+          ? `Error: ${result.error}`
+          : result.response;
+
+        const stats = document.createElement('div');
+        stats.className = 'compare-stats';
+        if (result.stats) {
+          const seconds = (ms) => `${(ms / 1000).toFixed(2)}s`;
+          stats.textContent = [
+            `${result.stats.tokensPerSecond} tokens/s`,
+            `eval ${seconds(result.stats.evalDuration)}`,
+            `prompt eval ${seconds(result.stats.promptEvalDuration)}`,
+            `load ${seconds(result.stats.loadDuration)}`,
+          ].join(' · ');
+        }
+
+        card.append(title, output, stats);
+        return card;
+      }),
+    );
+    document.getElementById('compareExportBtn').disabled = false;
+  },
+
+  // Download the last comparison, prompt and results included
+  exportComparison() {
+    if (!this.comparison) return;
+
+    const blob = new Blob([JSON.stringify(this.comparison, null, 2)], {
+      type: 'application/json',
+    });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `comparison-${this.comparison.createdAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  },
+
+  // ======================================
+  // Benchmarks
+  // ======================================
+
+  setupBenchmarks() {
+    document
+      .querySelector('[data-action="benchmark-run"]')
+      ?.addEventListener('click', () => this.runBenchmark());
+    document
+      .getElementById('benchmarkModel')
+      ?.addEventListener('change', () => this.loadBenchmarks());
+  },
+
+  renderBenchmarkModels() {
+    const select = document.getElementById('benchmarkModel');
+    if (!select) return;
+
+    const current = select.value;
+    const models = this.currentModels.filter((model) => model.installed);
+    select.innerHTML = models
+      .map(
+        (model) =>
+          `<option value="${model.name}" ${model.name === current ? 'selected' : ''}>${model.name}</option>`,
+      )
+      .join('');
+    this.loadBenchmarks();
+  },
+
+  async loadBenchmarks() {
+    const model = document.getElementById('benchmarkModel')?.value;
+    if (!model) return;
+
+    try {
+      const runs = await this.apiRequest(
+        `/api/benchmarks?${new URLSearchParams({ model })}`,
+      );
+      this.renderBenchmarks(runs);
+    } catch (error) {
+      console.error('Failed to load benchmarks:', error);
+    }
+  },
+
+  // Show the history newest first, with the tokens/s change from the
+  // previous run on the same host
+  renderBenchmarks(runs) {
+    const tbody = document.getElementById('benchmarkHistory');
+    if (!tbody) return;
+
+    if (runs.length === 0) {
+      tbody.innerHTML =
+        '<tr><td colspan="7" class="text-muted">No benchmarks yet</td></tr>';
+      return;
+    }
+
+    tbody.innerHTML = runs
+      .map((run, index) => {
+        const previous = runs
+          .slice(index + 1)
+          .find((other) => other.endpoint.id === run.endpoint.id);
+        let change = '';
+        if (previous?.summary.tokensPerSecond) {
+          const percent =
+            ((run.summary.tokensPerSecond - previous.summary.tokensPerSecond) /
+              previous.summary.tokensPerSecond) *
+            100;
+          if (Math.abs(percent) >= 1) {
+            change = `<span class="badge ${percent > 0 ? 'badge-success' : 'badge-error'}">${percent > 0 ? '+' : ''}${percent.toFixed(0)}%</span>`;
           }
         }
+
+        return `
+                <tr>
+                    <td>${new Date(run.createdAt).toLocaleString()}</td>
+                    <td>${run.endpoint.id}</td>
+                    <td title="${run.digest}">${run.digest.slice(0, 12)}</td>
+                    <td>${run.ollamaVersion || '--'}</td>
+                    <td>${run.summary.tokensPerSecond} ${change}</td>
+                    <td>${run.summary.promptTokensPerSecond}</td>
+                    <td>${(run.summary.loadDuration / 1000).toFixed(2)}s</td>
+                </tr>
+            `;
+      })
+      .join('');
+  },
+
+  async runBenchmark() {
+    const model = document.getElementById('benchmarkModel')?.value;
+    if (!model) {
+      this.showToast('No model to benchmark', 'warning');
+      return;
+    }
+
+    const button = document.getElementById('benchmarkRunBtn');
+    button.disabled = true;
+    button.textContent = 'Running...';
+    try {
+      const run = await this.apiRequest('/api/benchmarks', {
+        method: 'POST',
+        body: { model },
+      });
+      this.showToast(
+        `${model}: ${run.summary.tokensPerSecond} tokens/s`,
+        'success',
+      );
+      await this.loadBenchmarks();
+    } catch (error) {
+      this.showToast(`Benchmark failed: ${error.message}`, 'error');
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Run benchmark';
+    }
+  },
+
+  // ======================================
+  // Model Details
+  // ======================================
+
+  setupModelDetails() {
+    document
+      .querySelector('[data-action="model-details-close"]')
+      ?.addEventListener('click', () => this.closeModelDetails());
+    document
+      .querySelector('[data-action="model-create"]')
+      ?.addEventListener('click', () => this.createDerivedModel());
+  },
+
+  // Show the Modelfile and metadata of a model, and prefill the editor with
+  // its system prompt and parameters
+  async showModelDetails(modelName) {
+    try {
+      const show = await this.apiRequest('/api/show', {
+        method: 'POST',
+        body: { model: modelName },
+      });
+      this.detailsModel = show.model;
+
+      document.getElementById('modelDetailsName').textContent = show.model;
+      document.getElementById('modelDetailsModelfile').textContent =
+        show.modelfile;
+      document.getElementById('modelDetailsTemplate').textContent =
+        show.template || '(none)';
+      document.getElementById('modelDetailsLicense').textContent =
+        show.license || '(none)';
+      document.getElementById('derivedSystem').value = show.system;
+      document.getElementById('derivedParameters').value = Object.entries(
+        show.parameters,
+      )
+        .flatMap(([key, value]) =>
+          [].concat(value).map((item) => `${key} ${JSON.stringify(item)}`),
+        )
+        .join('\n');
+      document.getElementById('derivedName').value = '';
+
+      const section = document.getElementById('modelDetails');
+      section.style.display = 'block';
+      section.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+      this.showToast(`Failed to load ${modelName}: ${error.message}`, 'error');
+    }
+  },
+
+  closeModelDetails() {
+    this.detailsModel = null;
+    document.getElementById('modelDetails').style.display = 'none';
+  },
+
+  // Save the edited system prompt and parameters as a new model. Creating
+  // runs as a background job, shown like a pull.
+  async createDerivedModel() {
+    const model = document.getElementById('derivedName').value.trim();
+    if (!model) {
+      this.showToast('Please enter a name for the new model', 'warning');
+      return;
+    }
+
+    try {
+      const { job } = await this.apiRequest('/api/create', {
+        method: 'POST',
+        body: {
+          from: this.detailsModel,
+          model,
+          system: document.getElementById('derivedSystem').value,
+          parameters: document.getElementById('derivedParameters').value,
+          background: true,
+        },
+      });
+      this.watchJob(job);
+    } catch (error) {
+      this.showToast(`Create failed: ${error.message}`, 'error');
+    }
+  },
+
+  // ======================================
+  // Desired State
+  // ======================================
+
+  setupReconcile() {
+    document
+      .querySelector('[data-action="reconcile-plan"]')
+      ?.addEventListener('click', () => this.planReconcile());
+    document
+      .querySelector('[data-action="reconcile-apply"]')
+      ?.addEventListener('click', () => this.applyReconcile());
+    // A plan only holds for the desired state it was made from
+    document
+      .getElementById('reconcileDesired')
+      ?.addEventListener('input', () => {
+        document.getElementById('reconcileApplyBtn').disabled = true;
+      });
+  },
+
+  // The desired state typed in the card, or undefined for the server's file
+  reconcileRequest() {
+    const desired = document.getElementById('reconcileDesired').value.trim();
+    return desired ? { desired } : {};
+  },
+
+  async planReconcile() {
+    const applyBtn = document.getElementById('reconcileApplyBtn');
+    applyBtn.disabled = true;
+    try {
+      const { plan, planHash } = await this.apiRequest('/api/reconcile/plan', {
+        method: 'POST',
+        body: this.reconcileRequest(),
+      });
+      this.reconcilePlanHash = planHash;
+      this.renderReconcilePlan(plan);
+      applyBtn.disabled = !plan.some(
+        (entry) =>
+          entry.pull.length + entry.update.length + entry.delete.length > 0,
+      );
+    } catch (error) {
+      this.showToast(`Plan failed: ${error.message}`, 'error');
+    }
+  },
+
+  // Show the plan as a diff per endpoint: + pull, ~ update, - delete
+  renderReconcilePlan(plan, results = []) {
+    const marks = { pull: '+', update: '~', delete: '-', satisfied: ' ' };
+    const container = document.getElementById('reconcilePlan');
+    container.replaceChildren(
+      ...plan.flatMap((entry) => {
+        const title = document.createElement('h4');
+        title.textContent = `${entry.endpoint.id} (${entry.endpoint.url})`;
+
+        const diff = document.createElement('pre');
+        if (entry.error) {
+          diff.className = 'text-danger';
+          diff.textContent = entry.error;
+          return [title, diff];
+        }
+        Object.entries(marks).forEach(([action, mark]) => {
+          entry[action].forEach((model) => {
+            const result = results.find(
+              (r) =>
+                r.endpoint === entry.endpoint.id &&
+                r.model === model &&
+                r.action === action,
+            );
+            const line = document.createElement('div');
+            line.className = `reconcile-${action}`;
+            line.textContent = `${mark} ${model}${
+              result && result.status !== 'done'
+                ? `  (${result.status}${result.error ? `: ${result.error}` : ''})`
+                : ''
+            }`;
+            diff.append(line);
+          });
+        });
+        if (!diff.hasChildNodes()) diff.textContent = 'No models declared';
+        return [title, diff];
+      }),
+    );
+  },
+
+  async applyReconcile() {
+    if (!confirm('Apply this plan? Models marked - will be deleted.')) return;
+
+    const applyBtn = document.getElementById('reconcileApplyBtn');
+    applyBtn.disabled = true;
+    this.showToast('Reconciling...', 'info');
+    try {
+      const { status, plan, results } = await this.apiRequest(
+        '/api/reconcile/apply',
+        {
+          method: 'POST',
+          body: {
+            ...this.reconcileRequest(),
+            planHash: this.reconcilePlanHash,
+          },
+        },
+      );
+      this.renderReconcilePlan(plan, results);
+      const failed = results.filter((result) => result.status !== 'done');
+      if (status === 'success' && failed.length === 0) {
+        this.showToast('Endpoints match the desired state', 'success');
+      } else {
+        this.showToast(
+          `Reconcile finished with ${failed.length} problem(s)`,
+          'warning',
+        );
       }
+      await this.refreshModels();
     } catch (error) {
-      console.error('Pull failed:', error);
-      this.showToast(`Pull failed: ${error.message}`, 'error');
+      this.showToast(`Reconcile failed: ${error.message}`, 'error');
+    }
+  },
 
-      if (progressElement) {
-        progressElement.textContent = `Error: ${error.message}`;
-        progressElement.className = 'text-danger';
+  // ======================================
+  // Storage
+  // ======================================
+
+  setupStorage() {
+    document
+      .querySelector('[data-action="storage-analyze"]')
+      ?.addEventListener('click', () => this.analyzeStorage());
+    document
+      .querySelector('[data-action="storage-reclaim"]')
+      ?.addEventListener('click', () => this.showReclaimableSpace());
+  },
+
+  async analyzeStorage() {
+    const summary = document.getElementById('storageSummary');
+    summary.textContent = 'Analyzing...';
+    try {
+      const storage = await this.apiRequest('/api/storage');
+      summary.textContent = `${this.formatSize(storage.diskBytes)} on disk for ${storage.models.length} model(s) listed at ${this.formatSize(storage.totalBytes)}; shared layers save ${this.formatSize(storage.sharedSavingsBytes)}.${
+        storage.accurate ? '' : ` ${storage.note}`
+      }`;
+      this.renderStorageLargest(storage.largest);
+      document.getElementById('storageReclaimBtn').disabled = false;
+    } catch (error) {
+      summary.textContent = '';
+      this.showToast(`Storage analysis failed: ${error.message}`, 'error');
+    }
+  },
+
+  // The models using the most space of their own
+  renderStorageLargest(models) {
+    const tbody = document.getElementById('storageLargest');
+    if (!tbody) return;
+
+    tbody.innerHTML = models
+      .map(
+        (model) => `
+                <tr>
+                    <td>${model.model}</td>
+                    <td>${this.formatSize(model.size)}</td>
+                    <td>${this.formatSize(model.uniqueBytes)}</td>
+                    <td>${this.formatSize(model.sharedBytes)}</td>
+                    <td>${model.sharedWith.join(', ') || '--'}</td>
+                </tr>
+            `,
+      )
+      .join('');
+  },
+
+  // Deleting models only frees the layers no remaining model uses
+  async showReclaimableSpace() {
+    const models = Array.from(this.selectedModels);
+    const reclaim = document.getElementById('storageReclaim');
+    if (models.length === 0) {
+      this.showToast('Select the models you would delete first', 'warning');
+      return;
+    }
+
+    try {
+      const { reclaimable } = await this.apiRequest(
+        `/api/storage?${new URLSearchParams({ reclaim: models.join(',') })}`,
+      );
+      reclaim.textContent = `Deleting ${reclaimable.models.length} selected model(s) frees ${this.formatSize(reclaimable.bytes)} (listed at ${this.formatSize(reclaimable.listedBytes)}).`;
+    } catch (error) {
+      this.showToast(`Storage analysis failed: ${error.message}`, 'error');
+    }
+  },
+
+  // ======================================
+  // Endpoint Health
+  // ======================================
+
+  // The server checks endpoints in the background; this only shows the results
+  async loadEndpointStatus() {
+    try {
+      this.renderEndpointStatus(await this.apiRequest('/api/endpoints/status'));
+    } catch (error) {
+      console.error('Failed to load endpoint status:', error);
+    }
+  },
+
+  renderEndpointStatus(endpoints) {
+    const grid = document.getElementById('endpointStatusGrid');
+    if (!grid) return;
+
+    const ms = (value) => (value === null ? '--' : `${value} ms`);
+    grid.replaceChildren(
+      ...endpoints.map((endpoint) => {
+        const tile = document.createElement('div');
+        tile.className = `endpoint-status ${endpoint.status}`;
+
+        const title = document.createElement('strong');
+        title.textContent = `${endpoint.id} · ${endpoint.status}`;
+        title.title = endpoint.url;
+
+        const meta = document.createElement('div');
+        meta.className = 'endpoint-status-meta';
+        meta.textContent = [
+          `Ollama ${endpoint.version || '--'}`,
+          `p50 ${ms(endpoint.latencyMs.p50)}`,
+          `p95 ${ms(endpoint.latencyMs.p95)}`,
+          `p99 ${ms(endpoint.latencyMs.p99)}`,
+          `${endpoint.uptimePercent ?? '--'}% up`,
+        ].join(' · ');
+
+        const error = document.createElement('div');
+        if (endpoint.lastError) {
+          error.className = 'text-danger';
+          error.textContent = `${new Date(endpoint.lastError.at).toLocaleString()}: ${endpoint.lastError.message}`;
+        }
+
+        const history = document.createElement('div');
+        history.className = 'health-history';
+        history.append(
+          ...endpoint.history.slice(-40).map((check) => {
+            const bar = document.createElement('span');
+            if (!check.up) bar.className = 'down';
+            bar.title = `${new Date(check.at).toLocaleTimeString()}: ${
+              check.up ? ms(check.latencyMs) : 'down'
+            }`;
+            return bar;
+          }),
+        );
+
+        tile.append(title, meta, error, history);
+        return tile;
+      }),
+    );
+  },
+
+  // ======================================
+  // Activity
+  // ======================================
+
+  setupActivity() {
+    document
+      .querySelector('[data-action="activity-refresh"]')
+      ?.addEventListener('click', () => this.loadActivity());
+    document
+      .querySelector('[data-action="activity-csv"]')
+      ?.addEventListener('click', () => this.downloadActivity());
+    document
+      .getElementById('activityOutcome')
+      ?.addEventListener('change', () => this.loadActivity());
+    ['activityActor', 'activityAction', 'activityModel'].forEach((id) =>
+      document.getElementById(id)?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.loadActivity();
+      }),
+    );
+  },
+
+  activityQuery(extra = {}) {
+    const filters = {
+      actor: document.getElementById('activityActor').value.trim(),
+      action: document.getElementById('activityAction').value.trim(),
+      model: document.getElementById('activityModel').value.trim(),
+      outcome: document.getElementById('activityOutcome').value,
+      ...extra,
+    };
+    return new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value),
+    ).toString();
+  },
+
+  async loadActivity() {
+    const status = document.getElementById('activityStatus');
+    try {
+      const entries = await this.apiRequest(
+        `/api/audit?${this.activityQuery({ limit: 100 })}`,
+      );
+      status.textContent = entries.length
+        ? `Latest ${entries.length} change(s), newest first.`
+        : 'No changes match.';
+      this.renderActivity(entries);
+    } catch (error) {
+      // Only admins can see the audit log
+      status.textContent = `Activity unavailable: ${error.message}`;
+      this.renderActivity([]);
+    }
+  },
+
+  // Entries hold names and models from requests, so they go in as text
+  renderActivity(entries) {
+    const tbody = document.getElementById('activityEntries');
+    if (!tbody) return;
+
+    tbody.replaceChildren(
+      ...entries.map((entry) => {
+        const row = document.createElement('tr');
+        if (entry.outcome !== 'success') row.className = 'activity-failure';
+        row.title = entry.error || JSON.stringify(entry.params);
+        [
+          new Date(entry.at).toLocaleString(),
+          entry.actor ? `${entry.actor.name} (${entry.ip})` : entry.ip,
+          entry.action,
+          entry.endpoints.join(', ') || '--',
+          entry.models.join(', ') || '--',
+          entry.error ? `${entry.outcome}: ${entry.error}` : entry.outcome,
+          `${entry.durationMs} ms`,
+        ].forEach((text) => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.append(cell);
+        });
+        return row;
+      }),
+    );
+  },
+
+  // Download the filtered log, up to the server's limit
+  async downloadActivity() {
+    try {
+      const response = await fetch(
+        `/api/audit?${this.activityQuery({ format: 'csv', limit: 5000 })}`,
+        { headers: this.authHeaders() },
+      );
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.message || 'Request failed');
       }
-    } finally {
-      // Hide status after delay if not already hidden
-      if (pullStatus === 'success') {
-        setTimeout(() => {
-          if (statusElement) statusElement.style.display = 'none';
-        }, 2000);
+
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await response.blob());
+      link.download =
+        response.headers
+          .get('content-disposition')
+          ?.match(/filename="?([^";]+)"?/)?.[1] || 'audit.csv';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      this.showToast(`Download failed: ${error.message}`, 'error');
+    }
+  },
+
+  // ======================================
+  // Session
+  // ======================================
+
+  setupSession() {
+    document
+      .querySelector('[data-action="sign-in"]')
+      ?.addEventListener('click', () => this.signIn());
+    document.getElementById('signInKey')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.signIn();
+    });
+    document
+      .querySelector('[data-action="sign-out"]')
+      ?.addEventListener('click', () => this.signOut());
+  },
+
+  // Find out who we're signed in as. Resolves false if the server needs a
+  // sign-in first.
+  async checkSession() {
+    try {
+      const me = await this.apiRequest('/api/auth/me');
+      this.session.user = me.user;
+      if (me.user) {
+        document.getElementById('currentUser').textContent =
+          `${me.user.name} (${me.user.role})`;
+        document.getElementById('sessionInfo').hidden = false;
       }
+      return true;
+    } catch {
+      // A 401 has already shown the sign-in form
+      return document.getElementById('signInCard').style.display !== 'block';
+    }
+  },
+
+  async showSignIn() {
+    this.session.token = null;
+    localStorage.removeItem('sessionToken');
+    const card = document.getElementById('signInCard');
+    if (card.style.display === 'block') return;
+    card.style.display = 'block';
+
+    // Offer the ways the server accepts; SSO comes back to this page
+    const methods = await fetch('/api/auth/methods')
+      .then((response) => response.json())
+      .catch(() => ({ apiKey: true, oidc: false }));
+    const returnTo = window.location.pathname + window.location.search;
+    document.getElementById('ssoSignInLink').href =
+      `/api/auth/oidc/login?returnTo=${encodeURIComponent(returnTo)}`;
+    document.getElementById('ssoSignIn').hidden = !methods.oidc;
+    document.getElementById('apiKeySignIn').hidden = !methods.apiKey;
+    if (methods.apiKey) document.getElementById('signInKey').focus();
+  },
+
+  // Trade an API key for a session token, then start over signed in
+  async signIn() {
+    const input = document.getElementById('signInKey');
+    const apiKey = input.value.trim();
+    if (!apiKey) return;
+
+    try {
+      const session = await this.apiRequest('/api/auth/login', {
+        method: 'POST',
+        body: { apiKey },
+      });
+      localStorage.setItem('sessionToken', session.token);
+      window.location.reload();
+    } catch (error) {
+      input.value = '';
+      this.showToast(`Sign in failed: ${error.message}`, 'error');
+    }
+  },
+
+  async signOut() {
+    try {
+      await this.apiRequest('/api/auth/logout', { method: 'POST' });
+    } catch {
+      // The session is forgotten either way
     }
+    localStorage.removeItem('sessionToken');
+    window.location.reload();
   },
 };
 
@@ -1,4 +1,9 @@
 import 'dotenv/config';
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
+import path from 'node:path';
 import express from 'express';
 import cors from 'cors';
 import axios from 'axios';
@@ -14,6 +19,7 @@ import pinoHttp from 'pino-http';
 import swaggerJSDoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
 import asyncHandler from 'express-async-handler';
+import YAML from 'yaml';
 
 // Initialize Express app
 const app = express();
@@ -34,8 +40,22 @@ const logger = pino({
   },
 });
 
-// HTTP request logger middleware
-app.use(pinoHttp({ logger }));
+// HTTP request logger middleware. Secrets are kept out of the log: API keys
+// and session tokens travel in headers, and EventSource requests pass the
+// session token as `?access_token=`.
+const redactRequest = (req) => ({
+  ...req,
+  url: req.url?.replace(/([?&]access_token=)[^&]*/g, '$1[Redacted]'),
+  query: req.query?.access_token
+    ? { ...req.query, access_token: '[Redacted]' }
+    : req.query,
+  headers: {
+    ...req.headers,
+    ...(req.headers?.authorization && { authorization: '[Redacted]' }),
+    ...(req.headers?.['x-api-key'] && { 'x-api-key': '[Redacted]' }),
+  },
+});
+app.use(pinoHttp({ logger, serializers: { req: redactRequest } }));
 
 // Validate required environment variables
 const requiredEnvVars = ['OLLAMA_ENDPOINTS'];
@@ -82,25 +102,53 @@ const corsOptions = {
   origin: process.env.CORS_ORIGINS
     ? process.env.CORS_ORIGINS.split(',').map((origin) => origin.trim())
     : '*',
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Ollama-Endpoint'],
   credentials: true,
   maxAge: 600,
 };
 
 app.use(cors(corsOptions));
-app.options('*', cors(corsOptions));
+app.options('/{*splat}', cors(corsOptions));
+
+// Rate limiting. The /v1 gateway and /ollama proxy serve inference clients
+// that make many requests, so they have their own limit
+// (GATEWAY_RATE_LIMIT_MAX_REQUESTS, none by default).
+const RATE_LIMIT_WINDOW_MS = parseInt(
+  process.env.RATE_LIMIT_WINDOW_MS || '900000', // 15 minutes by default
+  10,
+);
+const GATEWAY_PATHS = ['/v1', '/ollama'];
+const GATEWAY_RATE_LIMIT_MAX_REQUESTS = parseInt(
+  process.env.GATEWAY_RATE_LIMIT_MAX_REQUESTS || '0',
+  10,
+);
 
-// Rate limiting
 const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10), // 15 minutes by default
+  windowMs: RATE_LIMIT_WINDOW_MS,
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100', 10), // 100 requests per window
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: 'Too many requests, please try again later.' },
+  skip: (req) =>
+    GATEWAY_PATHS.some(
+      (prefix) => req.path === prefix || req.path.startsWith(`${prefix}/`),
+    ),
 });
 
 app.use(limiter);
+if (GATEWAY_RATE_LIMIT_MAX_REQUESTS > 0) {
+  app.use(
+    GATEWAY_PATHS,
+    rateLimit({
+      windowMs: RATE_LIMIT_WINDOW_MS,
+      max: GATEWAY_RATE_LIMIT_MAX_REQUESTS,
+      standardHeaders: true,
+      legacyHeaders: false,
+      message: { error: 'Too many requests, please try again later.' },
+    }),
+  );
+}
 
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
@@ -127,13 +175,19 @@ if (
   });
 }
 
+// Version of this manager's API, reported alongside the Ollama version
+const API_VERSION = '1.0.0';
+
+// How long models loaded through /api/run stay in memory by default
+const DEFAULT_KEEP_ALIVE = process.env.DEFAULT_KEEP_ALIVE || '5m';
+
 // Swagger configuration
 const swaggerOptions = {
   definition: {
     openapi: '3.0.0',
     info: {
       title: 'Ollama Model Manager API',
-      version: '1.0.0',
+      version: API_VERSION,
       description: 'API for managing Ollama models',
       contact: {
         name: 'KhulnaSoft Lab',
@@ -157,6 +211,11 @@ const swaggerOptions = {
           name: 'x-api-key',
           in: 'header',
         },
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'An API key or a session token from /api/auth/login',
+        },
       },
     },
   },
@@ -165,19 +224,423 @@ const swaggerOptions = {
 
 const swaggerSpec = swaggerJSDoc(swaggerOptions);
 
-// API Key Middleware
-const apiKeyAuth = (req, res, next) => {
-  if (process.env.API_KEY) {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey || apiKey !== process.env.API_KEY) {
-      return next(createError(401, 'Invalid API key'));
+// Authentication. Callers identify with an API key, or with a session token
+// from /api/auth/login, sent as `x-api-key` or as a bearer token. Keys are
+// stored hashed in DATA_DIR/api-keys.json, each with a role and optionally
+// the endpoints it's limited to. API_KEY, if set, is an extra admin key.
+// Browsers can also sign in through an OpenID Connect provider and get a
+// session cookie. Until there are keys or OIDC is set up, authentication
+// is off.
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_TTL_MS =
+  (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const ENV_API_KEY = {
+  id: 'env',
+  name: 'API_KEY',
+  role: 'admin',
+  endpoints: null,
+};
+let apiKeys = null; // Loaded on first use
+const sessions = new Map(); // Token hash -> { keyId, expiresAt }
+const SESSION_COOKIE = 'omm_session';
+
+// OIDC_ROLE_MAP is a comma-separated list of group=role pairs
+const parseRoleMap = (value = '') =>
+  value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const index = entry.lastIndexOf('=');
+      return [entry.slice(0, index).trim(), entry.slice(index + 1).trim()];
+    });
+
+const OIDC = process.env.OIDC_ISSUER
+  ? {
+      issuer: process.env.OIDC_ISSUER.replace(/\/+$/, ''),
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      redirectUri: process.env.OIDC_REDIRECT_URI,
+      scopes: process.env.OIDC_SCOPES || 'openid profile email',
+      groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+      roleMap: parseRoleMap(process.env.OIDC_ROLE_MAP),
+      defaultRole: process.env.OIDC_DEFAULT_ROLE || null,
     }
+  : null;
+
+if (OIDC) {
+  const problems = [
+    !OIDC.clientId && 'OIDC_CLIENT_ID is required',
+    !process.env.SESSION_SECRET && 'SESSION_SECRET is required',
+    ...OIDC.roleMap
+      .filter(([group, role]) => !group || !ROLES.includes(role))
+      .map(([group, role]) => `Invalid OIDC_ROLE_MAP entry: ${group}=${role}`),
+    OIDC.defaultRole &&
+      !ROLES.includes(OIDC.defaultRole) &&
+      `Invalid OIDC_DEFAULT_ROLE: ${OIDC.defaultRole}`,
+  ].filter(Boolean);
+  if (problems.length > 0) {
+    logger.error(`Invalid OIDC configuration: ${problems.join('; ')}`);
+    process.exit(1);
+  }
+}
+
+// Cookies carry their payload in the clear, signed with SESSION_SECRET, and
+// are only trusted until their `exp`
+const signCookie = (payload) => {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto
+    .createHmac('sha256', process.env.SESSION_SECRET)
+    .update(data)
+    .digest('base64url');
+  return `${data}.${signature}`;
+};
+
+const readSignedCookie = (req, name) => {
+  const cookie = (req.get('cookie') || '')
+    .split(/;\s*/)
+    .find((entry) => entry.startsWith(`${name}=`));
+  if (!cookie || !process.env.SESSION_SECRET) return null;
+
+  const [data, signature = ''] = decodeURIComponent(
+    cookie.slice(name.length + 1),
+  ).split('.');
+  const expected = crypto
+    .createHmac('sha256', process.env.SESSION_SECRET)
+    .update(data)
+    .digest('base64url');
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    return payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+const cookieOptions = (req, maxAge, path = '/') => ({
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: req.secure,
+  maxAge,
+  path,
+});
+
+// Keys and session tokens are random, so a plain hash is enough at rest
+const hashSecret = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const getApiKeys = () => {
+  apiKeys ??= readStateFile('api-keys.json', []);
+  return apiKeys;
+};
+
+const saveApiKeys = () => {
+  try {
+    writeStateFile('api-keys.json', getApiKeys());
+  } catch (error) {
+    logger.error('Failed to persist API keys:', error);
+  }
+};
+
+const apiKeysEnabled = () =>
+  Boolean(process.env.API_KEY) || getApiKeys().some((key) => !key.revokedAt);
+
+const authEnabled = () => Boolean(OIDC) || apiKeysEnabled();
+
+const findActiveKey = (id) =>
+  id === ENV_API_KEY.id
+    ? process.env.API_KEY && ENV_API_KEY
+    : getApiKeys().find((key) => key.id === id && !key.revokedAt);
+
+// Whether a boolean body field is set, read the way the validators'
+// `isBoolean().toBoolean()` will read it
+const isSet = (value) => ['true', '1'].includes(String(value).toLowerCase());
+
+// Role each request needs, matched in order on the method, the path and,
+// where a rule has one, a test of the body. Paths naming an endpoint, like
+// /api/endpoints/gpu1/pull, count as /api/pull. Reads need viewer and model
+// operations operator; everything else, including deletes and
+// configuration, needs admin. Copies, retags and pushes that delete or
+// replace a model are deletes.
+const ROUTE_ROLES = [
+  ['GET', /^\/api\/(keys|audit)/, 'admin'],
+  ['GET', /^\/(api|v1|ollama)(\/|$)/, 'viewer'],
+  ['POST', /^\/api\/auth\/logout$/, 'viewer'],
+  ['POST', /^\/api\/(show|export|reconcile\/plan)$/, 'viewer'],
+  [
+    'POST',
+    /^\/api\/(copy|retag|push)$/,
+    'admin',
+    (body) => isSet(body.overwrite) || body.mode === 'rename',
+  ],
+  [
+    'POST',
+    /^\/api\/(pull|update-models?|run|stop|chat|compare|benchmarks|create|copy|retag|push|import|replicate)$/,
+    'operator',
+  ],
+  ['POST', /^\/api\/schedules\/[^/]+\/run$/, 'operator'],
+  ['DELETE', /^\/api\/jobs\/[^/]+$/, 'operator'],
+  ['POST', /^\/(v1|ollama)\//, 'operator'],
+];
+
+// The path of a request, with /api/endpoints/:endpointId/x as /api/x
+const routePath = (req) =>
+  `${req.baseUrl}${req.path}`.replace(
+    /^\/api\/endpoints\/[^/]+\/(?=.)/,
+    '/api/',
+  );
+
+const requiredRole = (req) => {
+  const path = routePath(req);
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  return (
+    ROUTE_ROLES.find(
+      ([m, pattern, , test]) =>
+        m === method && pattern.test(path) && (!test || test(req.body || {})),
+    )?.[2] || 'admin'
+  );
+};
+
+// The key behind an API key
+const findKey = (secret) => {
+  if (process.env.API_KEY && secret === process.env.API_KEY) {
+    return ENV_API_KEY;
+  }
+
+  const hash = hashSecret(secret);
+  return (
+    getApiKeys().find((key) => key.hash === hash && !key.revokedAt) || null
+  );
+};
+
+// The key behind a session token
+const findSessionKey = (token) => {
+  const hash = hashSecret(token);
+  const session = sessions.get(hash);
+  if (!session) return null;
+  if (session.expiresAt > Date.now()) {
+    return findActiveKey(session.keyId) || null;
+  }
+  sessions.delete(hash);
+  return null;
+};
+
+// The key behind an API key or session token
+const findCaller = (secret) => findSessionKey(secret) || findKey(secret);
+
+// Who is calling. EventSource can't send headers, so GET requests may pass
+// a session token (never an API key) as `access_token`.
+const identify = (req) => {
+  const secret =
+    req.get('x-api-key') ||
+    req.get('authorization')?.replace(/^Bearer\s+/i, '');
+  if (secret) return findCaller(secret);
+  if (req.method === 'GET' && req.query.access_token) {
+    return findSessionKey(String(req.query.access_token));
+  }
+
+  const session = OIDC && readSignedCookie(req, SESSION_COOKIE);
+  return session
+    ? {
+        id: `oidc:${session.sub}`,
+        name: session.name,
+        role: session.role,
+        endpoints: null,
+      }
+    : null;
+};
+
+// What it takes to sign in
+const PUBLIC_PATHS = [
+  '/api/auth/login',
+  '/api/auth/methods',
+  '/api/auth/oidc/login',
+  '/api/auth/oidc/callback',
+];
+
+// Identify the caller and check their role. `req.auth` is the caller's key,
+// or null when authentication is off.
+const authenticate = (req, res, next) => {
+  req.auth = null;
+  if (!authEnabled() || PUBLIC_PATHS.includes(`${req.baseUrl}${req.path}`)) {
+    return next();
+  }
+
+  const key = identify(req);
+  if (!key) return next(createError(401, 'Authentication required'));
+
+  // Set even if the role falls short, so the audit log shows who tried
+  req.auth = {
+    id: key.id,
+    name: key.name,
+    role: key.role,
+    endpoints: key.endpoints,
+  };
+  const role = requiredRole(req);
+  if (ROLES.indexOf(key.role) < ROLES.indexOf(role)) {
+    return next(createError(403, `This requires the ${role} role`));
+  }
+  next();
+};
+
+// Whether the caller may use an endpoint, given their key's scope
+const canUseEndpoint = (req, endpoint) =>
+  !req.auth?.endpoints || req.auth.endpoints.includes(endpoint.id);
+
+const scopedEndpoints = (req) =>
+  getEndpoints().filter((endpoint) => canUseEndpoint(req, endpoint));
+
+const assertEndpointScope = (req, endpoints) => {
+  const denied = endpoints.find((endpoint) => !canUseEndpoint(req, endpoint));
+  if (denied) {
+    throw createError(403, `Not allowed to use endpoint ${denied.id}`);
+  }
+};
+
+// For settings that list endpoint IDs, where an empty list means all
+// endpoints and so is only for keys that aren't limited to some
+const assertTargetScope = (req, ids) => {
+  if (ids.length === 0 && req.auth?.endpoints) {
+    throw createError(403, 'Not allowed to target all endpoints');
+  }
+  assertEndpointScope(req, ids.map(findEndpoint).filter(Boolean));
+};
+
+// Audit log. Every API request that changes something is appended to
+// DATA_DIR/audit.log as a JSON line once it's answered: who made it, from
+// where, against which endpoints and models, with what parameters, and how
+// it went. Routes that act on endpoints other than the selected one list
+// them in `res.locals.endpoints`. Scheduled update runs are recorded too. The log is rotated at AUDIT_LOG_MAX_BYTES, keeping
+// AUDIT_LOG_FILES older files.
+const AUDIT_LOG_FILE = 'audit.log';
+const AUDIT_LOG_MAX_BYTES =
+  Number(process.env.AUDIT_LOG_MAX_BYTES) || 10 * 1024 * 1024;
+const AUDIT_LOG_FILES = Number(process.env.AUDIT_LOG_FILES) || 5;
+
+// POSTs that only read or generate text, so there's nothing to audit
+const UNAUDITED_ROUTES = /^\/api\/(show|export|chat|compare|reconcile\/plan)$/;
+const SECRET_PARAMS = /key|secret|token|password/i;
+const MAX_AUDIT_PARAM_LENGTH = 500;
+
+// Audit log files, newest first
+const auditLogPath = (index = 0) =>
+  path.join(DATA_DIR, index ? `${AUDIT_LOG_FILE}.${index}` : AUDIT_LOG_FILE);
+
+// Entries are written one at a time, so rotation never races an append
+let auditLogWrite = Promise.resolve();
+
+const rotateAuditLog = async () => {
+  for (let index = AUDIT_LOG_FILES; index > 0; index--) {
+    await fs.promises
+      .rename(auditLogPath(index - 1), auditLogPath(index))
+      .catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+  }
+};
+
+const appendAuditEntry = (entry) => {
+  auditLogWrite = auditLogWrite
+    .then(async () => {
+      await fs.promises.mkdir(DATA_DIR, { recursive: true });
+      const size = await fs.promises
+        .stat(auditLogPath())
+        .then((stats) => stats.size)
+        .catch(() => 0);
+      if (size >= AUDIT_LOG_MAX_BYTES) await rotateAuditLog();
+      await fs.promises.appendFile(
+        auditLogPath(),
+        `${JSON.stringify(entry)}\n`,
+      );
+    })
+    .catch((error) => logger.error('Failed to write audit log:', error));
+  return auditLogWrite;
+};
+
+// Request parameters with secrets redacted and bulky values, like whole
+// manifests, summarized
+const auditParams = (req) =>
+  Object.fromEntries(
+    Object.entries({
+      ...req.query,
+      ...(req.body && typeof req.body === 'object' ? req.body : {}),
+    }).map(([name, value]) => {
+      if (SECRET_PARAMS.test(name)) return [name, '[redacted]'];
+      const length = JSON.stringify(value)?.length || 0;
+      return [
+        name,
+        length > MAX_AUDIT_PARAM_LENGTH ? `[${length} characters]` : value,
+      ];
+    }),
+  );
+
+const auditTrail = (req, res, next) => {
+  const route = routePath(req);
+  if (
+    ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ||
+    UNAUDITED_ROUTES.test(route)
+  ) {
+    return next();
   }
+
+  // The endpoint asked for, in case the request fails before it's resolved
+  const requestedEndpoint =
+    /^\/api\/endpoints\/([^/]+)\/./.exec(`${req.baseUrl}${req.path}`)?.[1] ||
+    req.get('x-ollama-endpoint') ||
+    null;
+  const startedAt = Date.now();
+  let recorded = false;
+  const record = () => {
+    if (recorded) return;
+    recorded = true;
+    const failed = res.statusCode >= 400 || Boolean(res.locals.error);
+    appendAuditEntry({
+      at: new Date(startedAt).toISOString(),
+      actor: req.auth && {
+        id: req.auth.id,
+        name: req.auth.name,
+        role: req.auth.role,
+      },
+      ip: req.ip,
+      action: `${req.method} ${route}`,
+      path: req.originalUrl.split('?')[0],
+      endpoints:
+        res.locals.endpoints ??
+        (req.ollamaEndpoint
+          ? [describeEndpoint(req.ollamaEndpoint).id]
+          : [requestedEndpoint].filter(Boolean)),
+      models: []
+        .concat(
+          req.body?.models ?? req.body?.model ?? req.body?.modelName ?? [],
+        )
+        .filter((model) => typeof model === 'string'),
+      params: auditParams(req),
+      status: res.statusCode,
+      outcome: !res.writableFinished
+        ? 'aborted'
+        : failed
+          ? 'failure'
+          : 'success',
+      error: res.locals.error || null,
+      jobId: res.locals.jobId || null,
+      durationMs: Date.now() - startedAt,
+    });
+  };
+  res.on('finish', record);
+  res.on('close', record);
   next();
 };
 
-// Apply API key authentication to all API routes
-app.use('/api', apiKeyAuth);
+// Audit API requests, including ones that fail authentication, and
+// authenticate all API routes, gateway and proxy included
+app.use('/api', auditTrail);
+app.use(['/api', '/v1', '/ollama'], authenticate);
 
 // Serve Swagger UI
 if (process.env.ENABLE_SWAGGER !== 'false') {
@@ -221,16 +684,96 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-// Store the Ollama endpoint
+// Store the Ollama endpoint used when a request does not name one
 let ollamaEndpoint = 'http://localhost:11434';
 
-// Get endpoints from environment variable
+// Derive a stable endpoint ID from its host, e.g. "localhost-11434"
+const endpointIdFromUrl = (url) => {
+  try {
+    const { hostname, port } = new URL(url);
+    return [hostname, port]
+      .filter(Boolean)
+      .join('-')
+      .replace(/[^\w-]+/g, '-');
+  } catch {
+    return url.replace(/[^\w-]+/g, '-');
+  }
+};
+
+// Get endpoints from environment variable. Entries are either a bare URL
+// or an explicit `id=url` pair, e.g. `gpu1=http://10.0.0.5:11434`.
 const getEndpoints = () => {
   const endpoints = process.env.OLLAMA_ENDPOINTS || 'http://localhost:11434';
-  return endpoints.split(',').map((endpoint) => ({
-    url: endpoint.trim(),
-    active: endpoint.trim() === ollamaEndpoint,
-  }));
+  return endpoints
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf('=');
+      const hasId = separator > 0 && !entry.slice(0, separator).includes('/');
+      const url = (hasId ? entry.slice(separator + 1) : entry)
+        .trim()
+        .replace(/\/+$/, '');
+      return {
+        id: hasId ? entry.slice(0, separator).trim() : endpointIdFromUrl(url),
+        url,
+        active: url === ollamaEndpoint.replace(/\/+$/, ''),
+      };
+    });
+};
+
+// Default to the first configured endpoint
+ollamaEndpoint = getEndpoints()[0]?.url || ollamaEndpoint;
+
+// Check whether an Ollama endpoint answers, and with which version
+const probeEndpoint = async (endpointUrl) => {
+  const startedAt = Date.now();
+  try {
+    const response = await axios.get(`${endpointUrl}/api/version`, {
+      timeout: 5000,
+    });
+    return {
+      reachable: true,
+      version: response.data.version,
+      latencyMs: Date.now() - startedAt,
+      error: null,
+    };
+  } catch (error) {
+    return {
+      reachable: false,
+      version: null,
+      latencyMs: Date.now() - startedAt,
+      error: error.message,
+    };
+  }
+};
+
+// Look up a configured endpoint by ID or URL
+const findEndpoint = (idOrUrl) => {
+  const wanted = String(idOrUrl).trim().replace(/\/+$/, '');
+  return getEndpoints().find(
+    (endpoint) => endpoint.id === wanted || endpoint.url === wanted,
+  );
+};
+
+// Resolve the Ollama endpoint for a request from the `:endpointId` path
+// segment or the `X-Ollama-Endpoint` header, falling back to the active one.
+// Only configured endpoints are accepted so clients can't proxy to any host.
+const resolveEndpoint = (req, res, next) => {
+  const requested = req.params.endpointId || req.get('x-ollama-endpoint');
+
+  const endpoint = requested
+    ? findEndpoint(requested)
+    : describeEndpoint(ollamaEndpoint);
+  if (!endpoint) {
+    return next(createError(404, `Unknown Ollama endpoint: ${requested}`));
+  }
+  if (!canUseEndpoint(req, endpoint)) {
+    return next(createError(403, `Not allowed to use endpoint ${endpoint.id}`));
+  }
+
+  req.ollamaEndpoint = endpoint.url;
+  next();
 };
 
 /**
@@ -249,6 +792,9 @@ const getEndpoints = () => {
  *               items:
  *                 type: object
  *                 properties:
+ *                   id:
+ *                     type: string
+ *                     example: localhost-11434
  *                   url:
  *                     type: string
  *                     example: http://localhost:11434
@@ -257,7 +803,196 @@ const getEndpoints = () => {
  *                     example: true
  */
 app.get('/api/endpoints', (req, res) => {
-  res.json(getEndpoints());
+  res.json(scopedEndpoints(req));
+});
+
+// Endpoint health monitoring. Every configured endpoint is checked at an
+// interval; the most recent checks are kept per endpoint, in memory and
+// optionally in DATA_DIR/health.json.
+const HEALTH_CHECK_INTERVAL_MS =
+  Number(process.env.HEALTH_CHECK_INTERVAL_MS) || 30000;
+const HEALTH_HISTORY_LIMIT = Number(process.env.HEALTH_HISTORY_LIMIT) || 120;
+const HEALTH_PERSIST = process.env.HEALTH_PERSIST === 'true';
+const healthHistory = new Map(); // endpoint URL -> checks, oldest first
+
+// Check one endpoint: `/api/version` for reachability and version, then
+// `/api/tags` for the latency of a real request
+const checkEndpointHealth = async (endpoint) => {
+  const probe = await probeEndpoint(endpoint.url);
+  const check = {
+    at: new Date().toISOString(),
+    up: probe.reachable,
+    version: probe.version,
+    versionLatencyMs: probe.latencyMs,
+    tagsLatencyMs: null,
+    error: probe.error,
+  };
+
+  if (probe.reachable) {
+    const startedAt = Date.now();
+    try {
+      await axios.get(`${endpoint.url}/api/tags`, { timeout: 10000 });
+      check.tagsLatencyMs = Date.now() - startedAt;
+    } catch (error) {
+      Object.assign(check, { up: false, error: error.message });
+    }
+  }
+
+  const history = healthHistory.get(endpoint.url) || [];
+  history.push(check);
+  if (history.length > HEALTH_HISTORY_LIMIT) history.shift();
+  healthHistory.set(endpoint.url, history);
+  return check;
+};
+
+const checkAllEndpoints = async () => {
+  await Promise.all(getEndpoints().map(checkEndpointHealth));
+  if (HEALTH_PERSIST) {
+    try {
+      writeStateFile('health.json', Object.fromEntries(healthHistory));
+    } catch (error) {
+      logger.error('Failed to persist endpoint health:', error);
+    }
+  }
+};
+
+const startHealthMonitor = () => {
+  if (HEALTH_PERSIST) {
+    Object.entries(readStateFile('health.json', {})).forEach(([url, history]) =>
+      healthHistory.set(url, history.slice(-HEALTH_HISTORY_LIMIT)),
+    );
+  }
+
+  const poll = () =>
+    checkAllEndpoints().catch((error) =>
+      logger.error('Endpoint health check failed:', error),
+    );
+  poll();
+  setInterval(poll, HEALTH_CHECK_INTERVAL_MS).unref();
+};
+
+// Nearest-rank percentile of some latencies, or null without any
+const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+};
+
+// Summarize an endpoint's health history
+const describeEndpointHealth = (endpoint) => {
+  const history = healthHistory.get(endpoint.url) || [];
+  const last = history.at(-1);
+  const lastFailure = history.findLast((check) => !check.up);
+  const lastChange = history.findLast((check) => check.up !== last?.up);
+  const latencies = history
+    .map((check) => check.tagsLatencyMs)
+    .filter((latency) => latency !== null);
+
+  return {
+    id: endpoint.id,
+    url: endpoint.url,
+    status: !last ? 'unknown' : last.up ? 'up' : 'down',
+    since: last ? history[history.indexOf(lastChange) + 1].at : null,
+    version: history.findLast((check) => check.version)?.version || null,
+    lastCheckedAt: last?.at || null,
+    lastError: lastFailure
+      ? { at: lastFailure.at, message: lastFailure.error }
+      : null,
+    uptimePercent: history.length
+      ? Math.round(
+          (history.filter((check) => check.up).length / history.length) * 1000,
+        ) / 10
+      : null,
+    latencyMs: {
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      p99: percentile(latencies, 99),
+    },
+    history: history.map(({ at, up, tagsLatencyMs }) => ({
+      at,
+      up,
+      latencyMs: tagsLatencyMs,
+    })),
+  };
+};
+
+/**
+ * @swagger
+ * /api/endpoints/status:
+ *   get:
+ *     summary: Get the health of every endpoint
+ *     description: >-
+ *       Endpoints are checked in the background every
+ *       HEALTH_CHECK_INTERVAL_MS (default 30s). Latency percentiles are of
+ *       the `/api/tags` requests in the kept history.
+ *     tags: [Endpoints]
+ *     responses:
+ *       200:
+ *         description: Health per endpoint
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     example: gpu1
+ *                   url:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                     enum: [up, down, unknown]
+ *                   since:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                     description: First check with the current status, within the kept history
+ *                   version:
+ *                     type: string
+ *                     nullable: true
+ *                   lastCheckedAt:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   lastError:
+ *                     type: object
+ *                     nullable: true
+ *                     properties:
+ *                       at:
+ *                         type: string
+ *                         format: date-time
+ *                       message:
+ *                         type: string
+ *                   uptimePercent:
+ *                     type: number
+ *                     nullable: true
+ *                   latencyMs:
+ *                     type: object
+ *                     properties:
+ *                       p50:
+ *                         type: integer
+ *                       p95:
+ *                         type: integer
+ *                       p99:
+ *                         type: integer
+ *                   history:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         at:
+ *                           type: string
+ *                           format: date-time
+ *                         up:
+ *                           type: boolean
+ *                         latencyMs:
+ *                           type: integer
+ *                           nullable: true
+ */
+app.get('/api/endpoints/status', (req, res) => {
+  res.json(scopedEndpoints(req).map(describeEndpointHealth));
 });
 
 /**
@@ -305,6 +1040,7 @@ app.post(
     }
 
     const { endpoint } = req.body;
+    assertEndpointScope(req, [describeEndpoint(endpoint)]);
 
     try {
       // Test the endpoint
@@ -324,33 +1060,152 @@ app.post(
   }),
 );
 
-// Centralized error handler
-app.use((err, req, res, next) => {
-  const status = err.status || 500;
-  const message = err.message || 'Internal Server Error';
+/**
+ * @swagger
+ * /api/version:
+ *   get:
+ *     summary: Get the Ollama and manager API versions
+ *     tags: [System]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     responses:
+ *       200:
+ *         description: Version information
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 version:
+ *                   type: string
+ *                   example: "0.5.7"
+ *                 apiVersion:
+ *                   type: string
+ *                   example: "1.0.0"
+ *                 endpoint:
+ *                   type: string
+ *                   example: http://localhost:11434
+ *       502:
+ *         description: Ollama endpoint is unreachable
+ */
+app.get(
+  ['/api/version', '/api/endpoints/:endpointId/version'],
+  resolveEndpoint,
+  asyncHandler(async (req, res) => {
+    try {
+      const response = await axios.get(`${req.ollamaEndpoint}/api/version`, {
+        timeout: 5000,
+      });
+      res.json({
+        version: response.data.version,
+        apiVersion: API_VERSION,
+        endpoint: req.ollamaEndpoint,
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to fetch version from ${req.ollamaEndpoint}:`,
+        error,
+      );
+      throw createError(
+        502,
+        `Failed to fetch Ollama version: ${error.message}`,
+      );
+    }
+  }),
+);
 
-  // Log the error
-  logger.error({
-    status,
-    message,
-    stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
-    url: req.originalUrl,
-    method: req.method,
-    ip: req.ip,
-  });
+/**
+ * @swagger
+ * /api/health:
+ *   get:
+ *     summary: Health check including Ollama reachability
+ *     description: >-
+ *       Always answers 200 while the manager is up. `status` is `degraded`
+ *       when the targeted Ollama endpoint cannot be reached.
+ *     tags: [System]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     responses:
+ *       200:
+ *         description: Health status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [ok, degraded]
+ *                 uptime:
+ *                   type: number
+ *                   example: 3600
+ *                 ollama:
+ *                   type: object
+ *                   properties:
+ *                     endpoint:
+ *                       type: string
+ *                     reachable:
+ *                       type: boolean
+ *                     version:
+ *                       type: string
+ *                       nullable: true
+ *                     latencyMs:
+ *                       type: integer
+ *                     error:
+ *                       type: string
+ *                       nullable: true
+ */
+app.get(
+  ['/api/health', '/api/endpoints/:endpointId/health'],
+  resolveEndpoint,
+  asyncHandler(async (req, res) => {
+    const ollama = await probeEndpoint(req.ollamaEndpoint);
+    res.json({
+      status: ollama.reachable ? 'ok' : 'degraded',
+      uptime: process.uptime(),
+      ollama: { endpoint: req.ollamaEndpoint, ...ollama },
+    });
+  }),
+);
 
-  // Set response status and send error
-  res.status(status).json({
-    success: false,
-    error: message,
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
+// Fetch the models installed on an Ollama endpoint, with their details
+const fetchModelsWithDetails = async (endpointUrl) => {
+  const response = await axios.get(`${endpointUrl}/api/tags`, {
+    timeout: 10000,
   });
-});
 
-// 404 handler
-app.use((req, res, next) => {
-  next(createError(404, `Not Found - ${req.originalUrl}`));
-});
+  // Get details for each model
+  const modelsWithDetails = await Promise.all(
+    response.data.models.map(async (model) => {
+      try {
+        const detailsResponse = await axios.post(
+          `${endpointUrl}/api/show`,
+          { name: model.name },
+          { timeout: 10000 },
+        );
+
+        return {
+          ...model,
+          details: {
+            parent_model: detailsResponse.data.details?.parent_model || '',
+            format: detailsResponse.data.details?.format || '',
+            family: detailsResponse.data.details?.family || '',
+            families: detailsResponse.data.details?.families || [],
+            parameter_size: detailsResponse.data.details?.parameter_size || '',
+            quantization_level:
+              detailsResponse.data.details?.quantization_level || '',
+          },
+        };
+      } catch (error) {
+        logger.warn(`Failed to get details for model ${model.name}:`, error);
+        return model; // Return basic model info if details fetch fails
+      }
+    }),
+  );
+
+  // Sort models alphabetically
+  return modelsWithDetails.sort((a, b) => a.name.localeCompare(b.name));
+};
 
 /**
  * @swagger
@@ -358,6 +1213,8 @@ app.use((req, res, next) => {
  *   get:
  *     summary: Get all available models
  *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
  *     responses:
  *       200:
  *         description: List of available models
@@ -369,50 +1226,11 @@ app.use((req, res, next) => {
  *                 $ref: '#/components/schemas/Model'
  */
 app.get(
-  '/api/models',
+  ['/api/models', '/api/endpoints/:endpointId/models'],
+  resolveEndpoint,
   asyncHandler(async (req, res) => {
     try {
-      const response = await axios.get(`${ollamaEndpoint}/api/tags`);
-
-      // Get details for each model
-      const modelsWithDetails = await Promise.all(
-        response.data.models.map(async (model) => {
-          try {
-            const detailsResponse = await axios.post(
-              `${ollamaEndpoint}/api/show`,
-              { name: model.name },
-              { timeout: 10000 },
-            );
-
-            return {
-              ...model,
-              details: {
-                parent_model: detailsResponse.data.details?.parent_model || '',
-                format: detailsResponse.data.details?.format || '',
-                family: detailsResponse.data.details?.family || '',
-                families: detailsResponse.data.details?.families || [],
-                parameter_size:
-                  detailsResponse.data.details?.parameter_size || '',
-                quantization_level:
-                  detailsResponse.data.details?.quantization_level || '',
-              },
-            };
-          } catch (error) {
-            logger.warn(
-              `Failed to get details for model ${model.name}:`,
-              error,
-            );
-            return model; // Return basic model info if details fetch fails
-          }
-        }),
-      );
-
-      // Sort models alphabetically
-      const sortedModels = modelsWithDetails.sort((a, b) =>
-        a.name.localeCompare(b.name),
-      );
-
-      res.json(sortedModels);
+      res.json(await fetchModelsWithDetails(req.ollamaEndpoint));
     } catch (error) {
       logger.error('Failed to fetch models:', error);
       throw createError(500, 'Failed to fetch models', {
@@ -424,11 +1242,176 @@ app.get(
 
 /**
  * @swagger
- * /api/models:
- *   delete:
- *     summary: Delete one or more models
+ * /api/fleet/models:
+ *   get:
+ *     summary: Get the merged model inventory of all configured endpoints
+ *     description: >-
+ *       Queries every endpoint in `OLLAMA_ENDPOINTS` in parallel. Models are
+ *       merged by name and digest, so the same tag at different versions is
+ *       listed once per digest. Unreachable endpoints are reported rather
+ *       than failing the request.
  *     tags: [Models]
- *     requestBody:
+ *     responses:
+ *       200:
+ *         description: Fleet-wide model inventory
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 models:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Model'
+ *                       - type: object
+ *                         properties:
+ *                           hosts:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["gpu1", "localhost-11434"]
+ *                 endpoints:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FleetEndpoint'
+ */
+app.get(
+  '/api/fleet/models',
+  asyncHandler(async (req, res) => {
+    const endpoints = scopedEndpoints(req);
+    const results = await Promise.allSettled(
+      endpoints.map((endpoint) => fetchModelsWithDetails(endpoint.url)),
+    );
+
+    const inventory = new Map();
+    const endpointStatus = endpoints.map((endpoint, index) => {
+      const result = results[index];
+      if (result.status === 'rejected') {
+        logger.warn(
+          `Failed to fetch models from ${endpoint.url}: ${result.reason.message}`,
+        );
+        return {
+          ...endpoint,
+          reachable: false,
+          error: result.reason.message,
+          modelCount: 0,
+        };
+      }
+
+      result.value.forEach((model) => {
+        const key = `${model.name}@${model.digest}`;
+        if (!inventory.has(key)) {
+          inventory.set(key, { ...model, hosts: [] });
+        }
+        inventory.get(key).hosts.push(endpoint.id);
+      });
+
+      return {
+        ...endpoint,
+        reachable: true,
+        error: null,
+        modelCount: result.value.length,
+      };
+    });
+
+    const models = [...inventory.values()].sort(
+      (a, b) => a.name.localeCompare(b.name) || b.hosts.length - a.hosts.length,
+    );
+
+    res.json({ models, endpoints: endpointStatus });
+  }),
+);
+
+// Delete models from one endpoint. Each model gets its own result so one
+// failure doesn't hide what happened to the others. Loaded models are
+// skipped unless `force` is set, in which case they're unloaded first.
+const deleteModelsOnEndpoint = async (endpoint, models, { dryRun, force }) => {
+  let installed;
+  let loaded;
+  try {
+    const [tags, ps] = await Promise.all([
+      axios.get(`${endpoint.url}/api/tags`, { timeout: 10000 }),
+      axios.get(`${endpoint.url}/api/ps`, { timeout: 10000 }),
+    ]);
+    installed = new Map(
+      (tags.data.models || []).map((model) => [model.name, model]),
+    );
+    loaded = new Set((ps.data.models || []).map((model) => model.name));
+  } catch (error) {
+    return models.map((model) => ({
+      endpoint: endpoint.id,
+      model,
+      status: 'failed',
+      size: 0,
+      loaded: false,
+      error: `Failed to reach endpoint: ${error.message}`,
+    }));
+  }
+
+  return Promise.all(
+    models.map(async (requested) => {
+      const model = normalizeModelName(requested);
+      const installedModel = installed.get(model);
+      const result = {
+        endpoint: endpoint.id,
+        model,
+        size: installedModel?.size || 0,
+        loaded: loaded.has(model),
+      };
+
+      if (!installedModel) return { ...result, status: 'not-found' };
+      if (result.loaded && !force) {
+        return { ...result, status: 'skipped', error: 'Model is loaded' };
+      }
+      if (dryRun) return { ...result, status: 'would-delete' };
+
+      try {
+        if (result.loaded) await setModelKeepAlive(endpoint.url, model, 0);
+        await axios.delete(`${endpoint.url}/api/delete`, {
+          data: { name: model },
+          timeout: 30000,
+        });
+        return { ...result, status: 'deleted' };
+      } catch (error) {
+        return { ...result, status: 'failed', error: error.message };
+      }
+    }),
+  );
+};
+
+// Bytes freed on an endpoint by deleting models. Deleted models are gone,
+// so only their listed sizes are known; for a dry run, layers shared with
+// models that are kept don't count, as in /api/storage.
+const freedBytesOnEndpoint = async (endpoint, results, { dryRun }) => {
+  const listedBytes = results.reduce((sum, result) => sum + result.size, 0);
+  if (!dryRun || results.length === 0) return listedBytes;
+  try {
+    return reclaimableBytes(
+      await analyzeStorage(endpoint),
+      results.map((result) => result.model),
+    );
+  } catch (error) {
+    logger.warn(
+      `Failed to analyze storage on ${endpoint.id}, counting listed sizes: ${error.message}`,
+    );
+    return listedBytes;
+  }
+};
+
+/**
+ * @swagger
+ * /api/models:
+ *   delete:
+ *     summary: Delete one or more models
+ *     description: >-
+ *       Deletes models from the selected endpoint, or from each endpoint in
+ *       `endpoints`. Every model on every endpoint gets a result. Responds
+ *       with 207 if any model wasn't deleted.
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
  *       required: true
  *       content:
  *         application/json:
@@ -442,9 +1425,21 @@ app.get(
  *                 items:
  *                   type: string
  *                 example: ["llama2:latest", "mistral:7b"]
+ *               endpoints:
+ *                 type: array
+ *                 description: Endpoint IDs to delete from instead of the selected endpoint
+ *                 items:
+ *                   type: string
+ *                 example: ["gpu1", "gpu2"]
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Report what would be deleted without deleting anything
+ *               force:
+ *                 type: boolean
+ *                 description: Unload and delete models that are currently loaded
  *     responses:
  *       200:
- *         description: Models deleted successfully
+ *         description: Every model was deleted (or would be, for a dry run)
  *         content:
  *           application/json:
  *             schema:
@@ -452,18 +1447,60 @@ app.get(
  *               properties:
  *                 success:
  *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Models deleted successfully"
+ *                 dryRun:
+ *                   type: boolean
+ *                 freedBytes:
+ *                   type: integer
+ *                   description: >-
+ *                     Listed size of the deleted models, or for a dry run the
+ *                     bytes that would be freed, not counting layers shared
+ *                     with models that are kept
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       endpoint:
+ *                         type: string
+ *                       model:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [deleted, would-delete, skipped, not-found, failed]
+ *                       size:
+ *                         type: integer
+ *                       loaded:
+ *                         type: boolean
+ *                       error:
+ *                         type: string
+ *       207:
+ *         description: Some models were not deleted; see their results
  *       400:
- *         description: Invalid request or failed to delete some models
+ *         description: Invalid request
+ *       404:
+ *         description: Unknown endpoint
  */
 app.delete(
-  '/api/models',
+  ['/api/models', '/api/endpoints/:endpointId/models'],
+  // Models are deleted from the listed endpoints instead of the selected one
+  (req, res, next) =>
+    Array.isArray(req.body?.endpoints)
+      ? next()
+      : resolveEndpoint(req, res, next),
   [
-    body('models').isArray().withMessage('Models must be an array'),
+    body('models')
+      .isArray({ min: 1 })
+      .withMessage('No models specified for deletion'),
     body('models.*').isString().withMessage('Each model must be a string'),
+    body('endpoints')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Endpoints must be a non-empty array'),
+    body('endpoints.*')
+      .isString()
+      .withMessage('Each endpoint must be a string'),
+    body('dryRun').optional().isBoolean().toBoolean(),
+    body('force').optional().isBoolean().toBoolean(),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -471,41 +1508,57 @@ app.delete(
       throw createError(400, { errors: errors.array() });
     }
 
-    const { models } = req.body;
-    if (!models || !Array.isArray(models) || models.length === 0) {
-      throw createError(400, 'No models specified for deletion');
-    }
+    if (req.body.endpoints) assertTargetScope(req, req.body.endpoints);
 
-    const results = await Promise.allSettled(
-      models.map((model) =>
-        axios.delete(`${ollamaEndpoint}/api/delete`, {
-          data: { name: model },
-          timeout: 30000,
-        }),
-      ),
-    );
+    const { dryRun = false, force = false } = req.body;
+    const models = [...new Set(req.body.models)];
+    const endpoints = req.body.endpoints
+      ? [...new Set(req.body.endpoints)].map((id) => {
+          const endpoint = findEndpoint(id);
+          if (!endpoint)
+            throw createError(404, `Unknown Ollama endpoint: ${id}`);
+          return endpoint;
+        })
+      : [describeEndpoint(req.ollamaEndpoint)];
+    res.locals.endpoints = endpoints.map((endpoint) => endpoint.id);
 
-    const failed = results
-      .map((result, index) => ({
-        model: models[index],
-        error: result.status === 'rejected' ? result.reason.message : null,
-      }))
-      .filter((item) => item.error);
+    const results = (
+      await Promise.all(
+        endpoints.map((endpoint) =>
+          deleteModelsOnEndpoint(endpoint, models, { dryRun, force }),
+        ),
+      )
+    ).flat();
 
-    if (failed.length > 0) {
-      logger.warn(`Failed to delete some models: ${JSON.stringify(failed)}`);
-      throw createError(207, {
-        success: true,
-        message: 'Some models could not be deleted',
-        failed,
-        deleted: models.length - failed.length,
-      });
+    const done = dryRun ? 'would-delete' : 'deleted';
+    const complete = results.every((result) => result.status === done);
+    const freedBytes = (
+      await Promise.all(
+        endpoints.map((endpoint) =>
+          freedBytesOnEndpoint(
+            endpoint,
+            results.filter(
+              (result) =>
+                result.endpoint === endpoint.id && result.status === done,
+            ),
+            { dryRun },
+          ),
+        ),
+      )
+    ).reduce((sum, bytes) => sum + bytes, 0);
+
+    if (!dryRun) {
+      const failed = results.filter((result) => result.status !== done);
+      if (failed.length > 0) {
+        logger.warn(`Failed to delete some models: ${JSON.stringify(failed)}`);
+      }
     }
 
-    res.json({
-      success: true,
-      message: 'Models deleted successfully',
-      count: models.length,
+    res.status(complete ? 200 : 207).json({
+      success: complete,
+      dryRun,
+      freedBytes,
+      results,
     });
   }),
 );
@@ -516,6 +1569,8 @@ app.delete(
  *   post:
  *     summary: Pull a model from Ollama Hub
  *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
  *     requestBody:
  *       required: true
  *       content:
@@ -529,17 +1584,33 @@ app.delete(
  *                 type: string
  *                 description: Name of the model to pull (e.g., "llama2:latest")
  *                 example: "llama2:latest"
+ *               background:
+ *                 type: boolean
+ *                 description: Return the queued job instead of streaming its progress
  *     responses:
  *       200:
- *         description: Model pull started successfully
+ *         description: >-
+ *           Pull progress, streamed from a background job whose ID is in the
+ *           X-Job-Id header. Closing the connection doesn't cancel the pull.
  *         content:
- *           application/octet-stream:
+ *           application/x-ndjson:
  *             schema:
  *               type: string
- *               format: binary
+ *       202:
+ *         description: Pull queued (background mode)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
  */
 app.post(
-  '/api/pull',
+  ['/api/pull', '/api/endpoints/:endpointId/pull'],
+  resolveEndpoint,
   [
     body('model')
       .isString()
@@ -553,50 +1624,9 @@ app.post(
       throw createError(400, { errors: errors.array() });
     }
 
-    const { model } = req.body;
+    const { model, background } = req.body;
     logger.info(`Pulling model: ${model}`);
-
-    // Set headers for streaming response
-    res.setHeader('Content-Type', 'application/octet-stream');
-    res.setHeader('Transfer-Encoding', 'chunked');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    try {
-      const response = await axios({
-        method: 'POST',
-        url: `${ollamaEndpoint}/api/pull`,
-        data: { name: model },
-        responseType: 'stream',
-        timeout: 0, // No timeout for long-running operations
-      });
-
-      // Stream the response from Ollama to the client
-      response.data.pipe(res);
-
-      // Handle stream errors
-      response.data.on('error', (error) => {
-        logger.error(`Error streaming model pull for ${model}:`, error);
-        if (!res.headersSent) {
-          res.status(500).json({
-            success: false,
-            error: 'Error during model pull',
-            details: error.message,
-          });
-        }
-      });
-
-      // Handle stream end
-      response.data.on('end', () => {
-        logger.info(`Successfully pulled model: ${model}`);
-        if (!res.headersSent) {
-          res.end(JSON.stringify({ status: 'success', model }));
-        }
-      });
-    } catch (error) {
-      logger.error(`Failed to pull model ${model}:`, error);
-      throw createError(500, `Failed to pull model: ${error.message}`);
-    }
+    await handleModelOperation(req, res, { model, type: 'pull', background });
   }),
 );
 
@@ -606,6 +1636,8 @@ app.post(
  *   get:
  *     summary: Get running models
  *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
  *     responses:
  *       200:
  *         description: List of running models
@@ -620,10 +1652,11 @@ app.post(
  *                     $ref: '#/components/schemas/RunningModel'
  */
 app.get(
-  '/api/ps',
+  ['/api/ps', '/api/endpoints/:endpointId/ps'],
+  resolveEndpoint,
   asyncHandler(async (req, res) => {
     try {
-      const response = await axios.get(`${ollamaEndpoint}/api/ps`, {
+      const response = await axios.get(`${req.ollamaEndpoint}/api/ps`, {
         timeout: 10000,
       });
       res.json(response.data);
@@ -636,9 +1669,181 @@ app.get(
   }),
 );
 
+// Load or unload a model with an empty generate request. Ollama loads the
+// model without producing tokens and keeps it resident for `keepAlive`;
+// a keep-alive of 0 unloads it immediately.
+const setModelKeepAlive = (endpointUrl, model, keepAlive) =>
+  axios.post(
+    `${endpointUrl}/api/generate`,
+    { model, prompt: '', keep_alive: keepAlive, stream: false },
+    { timeout: 0 }, // Loading large models can take minutes
+  );
+
+/**
+ * @swagger
+ * /api/run:
+ *   post:
+ *     summary: Load a model into memory
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - model
+ *             properties:
+ *               model:
+ *                 type: string
+ *                 example: "llama2:latest"
+ *               keepAlive:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: number
+ *                 description: >-
+ *                   How long to keep the model loaded, as a duration ("10m")
+ *                   or seconds. -1 keeps it loaded indefinitely. Defaults to
+ *                   DEFAULT_KEEP_ALIVE.
+ *                 example: "10m"
+ *     responses:
+ *       200:
+ *         description: Model loaded
+ *       400:
+ *         description: Invalid request
+ *       502:
+ *         description: Ollama failed to load the model
+ */
+app.post(
+  ['/api/run', '/api/endpoints/:endpointId/run'],
+  resolveEndpoint,
+  [
+    body('model')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model name is required'),
+    body('keepAlive')
+      .optional()
+      .custom(
+        (value) =>
+          typeof value === 'number' ||
+          (typeof value === 'string' &&
+            /^-?\d+(\.\d+)?(ms|s|m|h)?$/.test(value)),
+      )
+      .withMessage('keepAlive must be a number or a duration like "10m"'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const { model, keepAlive = DEFAULT_KEEP_ALIVE } = req.body;
+    logger.info(`Loading model ${model} on ${req.ollamaEndpoint}`);
+
+    try {
+      const response = await setModelKeepAlive(
+        req.ollamaEndpoint,
+        model,
+        keepAlive,
+      );
+      res.json({
+        success: true,
+        message: `Model ${model} loaded`,
+        model,
+        keepAlive,
+        loadDuration: response.data.load_duration,
+      });
+    } catch (error) {
+      const reason = error.response?.data?.error || error.message;
+      logger.error(`Failed to load model ${model}: ${reason}`);
+      throw createError(
+        error.response?.status === 404 ? 404 : 502,
+        `Failed to load model: ${reason}`,
+      );
+    }
+  }),
+);
+
+/**
+ * @swagger
+ * /api/stop:
+ *   post:
+ *     summary: Unload a model from memory
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - model
+ *             properties:
+ *               model:
+ *                 type: string
+ *                 example: "llama2:latest"
+ *     responses:
+ *       200:
+ *         description: Model unloaded
+ *       400:
+ *         description: Invalid request
+ *       502:
+ *         description: Ollama failed to unload the model
+ */
+app.post(
+  ['/api/stop', '/api/endpoints/:endpointId/stop'],
+  resolveEndpoint,
+  [
+    body('model')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model name is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const { model } = req.body;
+    logger.info(`Unloading model ${model} on ${req.ollamaEndpoint}`);
+
+    try {
+      await setModelKeepAlive(req.ollamaEndpoint, model, 0);
+      res.json({ success: true, message: `Model ${model} unloaded`, model });
+    } catch (error) {
+      const reason = error.response?.data?.error || error.message;
+      logger.error(`Failed to unload model ${model}: ${reason}`);
+      throw createError(
+        error.response?.status === 404 ? 404 : 502,
+        `Failed to unload model: ${reason}`,
+      );
+    }
+  }),
+);
+
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     EndpointHeader:
+ *       in: header
+ *       name: X-Ollama-Endpoint
+ *       required: false
+ *       description: >-
+ *         ID or URL of a configured Ollama endpoint to target. Each model
+ *         route is also available as `/api/endpoints/{endpointId}/...`.
+ *         Defaults to the active endpoint.
+ *       schema:
+ *         type: string
+ *         example: localhost-11434
  *   schemas:
  *     Model:
  *       type: object
@@ -676,121 +1881,6190 @@ app.get(
  *               type: string
  *               example: "Q4_0"
  *
- *     RunningModel:
+ *     FleetEndpoint:
  *       type: object
  *       properties:
- *         name:
+ *         id:
  *           type: string
- *           example: "llama2:latest"
+ *           example: "gpu1"
+ *         url:
+ *           type: string
+ *           example: "http://localhost:11434"
+ *         active:
+ *           type: boolean
+ *         reachable:
+ *           type: boolean
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         modelCount:
+ *           type: integer
+ *           example: 12
+ *
+ *     Job:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           enum: [pull, update, create, push, replicate]
  *         model:
  *           type: string
- *           example: "llama2"
- *         size:
- *           type: number
- *           example: 1234567890
- *         size_vram:
- *           type: number
- *           example: 1234567890
- *         size_pending:
- *           type: number
- *           example: 0
- *         size_vram_pending:
- *           type: number
- *           example: 0
- *         details:
- *           $ref: '#/components/schemas/ModelDetails'
+ *           example: "llama2:latest"
+ *         endpoint:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             url:
+ *               type: string
+ *         params:
+ *           type: object
+ *           nullable: true
+ *           description: Type-specific request, e.g. the Modelfile changes of a create job
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *         progress:
+ *           type: object
+ *           nullable: true
+ *           description: Last progress line reported by Ollama
+ *         result:
+ *           type: object
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *
- *     ModelDetails:
+ *     UpdatePolicy:
  *       type: object
+ *       required:
+ *         - name
+ *         - schedule
+ *         - models
  *       properties:
- *         format:
+ *         id:
  *           type: string
- *           example: "gguf"
- *         family:
+ *           format: uuid
+ *           readOnly: true
+ *         name:
  *           type: string
- *           example: "llama"
- *         families:
+ *           example: "Weekly llama updates"
+ *         schedule:
+ *           type: string
+ *           description: Cron expression in the server's time zone
+ *           example: "0 3 * * sun"
+ *         models:
  *           type: array
+ *           description: Model name patterns, `*` matches anything
  *           items:
  *             type: string
- *         parameter_size:
+ *           example: ["llama*"]
+ *         endpoints:
+ *           type: array
+ *           description: Endpoint IDs, all endpoints if empty
+ *           items:
+ *             type: string
+ *           example: ["gpu1", "gpu2"]
+ *         concurrency:
+ *           type: integer
+ *           description: Models updated at once during a run
+ *           default: 1
+ *         windowMinutes:
+ *           type: integer
+ *           nullable: true
+ *           description: >-
+ *             Maintenance window length; models not started within it are
+ *             skipped
+ *         force:
+ *           type: boolean
+ *           description: Also update models that are currently loaded
+ *           default: false
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *         lastRunAt:
  *           type: string
- *           example: "7B"
- *         quantization_level:
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *
+ *     Benchmark:
+ *       type: object
+ *       properties:
+ *         id:
  *           type: string
- *           example: "Q4_0"
+ *           format: uuid
+ *         model:
+ *           type: string
+ *           example: "llama3:latest"
+ *         digest:
+ *           type: string
+ *         endpoint:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             url:
+ *               type: string
+ *         ollamaVersion:
+ *           type: string
+ *           nullable: true
+ *           example: "0.1.32"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         prompts:
+ *           type: array
+ *           description: Stats per benchmark prompt
+ *           items:
+ *             type: object
+ *         summary:
+ *           type: object
+ *           properties:
+ *             loadDuration:
+ *               type: number
+ *               description: Load time before the first prompt, in ms
+ *             tokensPerSecond:
+ *               type: number
+ *             promptTokensPerSecond:
+ *               type: number
+ *             totalDuration:
+ *               type: number
+ *               description: Average time per prompt, in ms
+ *
+ *     CopyRequest:
+ *       type: object
+ *       required:
+ *         - source
+ *         - destination
+ *       properties:
+ *         source:
+ *           type: string
+ *           example: "llama3:latest"
+ *         destination:
+ *           type: string
+ *           example: "llama3:prod"
+ *         overwrite:
+ *           type: boolean
+ *           description: Replace the destination if it already exists
+ *
+ *     ModelManifest:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: integer
+ *           example: 1
+ *         exportedAt:
+ *           type: string
+ *           format: date-time
+ *         endpoint:
+ *           type: object
+ *           description: Endpoint the models were exported from
+ *           properties:
+ *             id:
+ *               type: string
+ *             url:
+ *               type: string
+ *         models:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *               - tag
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "llama3"
+ *               tag:
+ *                 type: string
+ *                 example: "latest"
+ *               digest:
+ *                 type: string
+ *               size:
+ *                 type: integer
+ *               details:
+ *                 type: object
+ *               parameters:
+ *                 type: object
+ *                 description: Parameters from the model's Modelfile
+ *               from:
+ *                 type: string
+ *                 nullable: true
+ *                 description: >-
+ *                   Model this one was created from. Set for models built
+ *                   with a Modelfile, which are recreated on import rather
+ *                   than pulled.
+ *               system:
+ *                 type: string
+ *               template:
+ *                 type: string
+ *
+ *     ImportResult:
+ *       type: object
+ *       properties:
+ *         model:
+ *           type: string
+ *           example: "llama3:latest"
+ *         status:
+ *           type: string
+ *           enum: [present, pulled, created, failed]
+ *         expectedDigest:
+ *           type: string
+ *           nullable: true
+ *           description: Digest listed in the manifest
+ *         digest:
+ *           type: string
+ *           nullable: true
+ *           description: Digest on the endpoint after the import
+ *         digestMatches:
+ *           type: boolean
+ *         error:
+ *           type: string
+ *
+ *     ReconcilePlan:
+ *       type: object
+ *       description: What reconciling would change on one endpoint
+ *       properties:
+ *         endpoint:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             url:
+ *               type: string
+ *         pull:
+ *           type: array
+ *           description: Desired models that aren't installed
+ *           items:
+ *             type: string
+ *         update:
+ *           type: array
+ *           description: Installed desired models the registry has a newer version of
+ *           items:
+ *             type: string
+ *         delete:
+ *           type: array
+ *           description: Installed models that aren't desired (only with `prune`)
+ *           items:
+ *             type: string
+ *         satisfied:
+ *           type: array
+ *           items:
+ *             type: string
+ *         error:
+ *           type: string
+ *           description: Why the endpoint couldn't be planned
+ *
+ *     ModelStorage:
+ *       type: object
+ *       properties:
+ *         model:
+ *           type: string
+ *           example: "llama3:support-bot"
+ *         size:
+ *           type: integer
+ *           description: Size as listed by Ollama, shared layers included
+ *         uniqueBytes:
+ *           type: integer
+ *           description: Bytes only this model uses, freed by deleting it
+ *         sharedBytes:
+ *           type: integer
+ *           description: Bytes in layers other models use too
+ *         sharedWith:
+ *           type: array
+ *           items:
+ *             type: string
+ *         layersKnown:
+ *           type: boolean
+ *           description: >-
+ *             Whether the model's manifest could be read. If not, the whole
+ *             model counts as unique.
+ *
+ *     ProxyRoute:
+ *       type: object
+ *       required:
+ *         - pattern
+ *         - endpoints
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         pattern:
+ *           type: string
+ *           description: Model name pattern where `*` matches anything
+ *           example: "llama3*"
+ *         endpoints:
+ *           type: array
+ *           description: IDs of the endpoints that serve matching models
+ *           items:
+ *             type: string
+ *           example: ["gpu1", "gpu2"]
+ *         priority:
+ *           type: integer
+ *           description: Routes with a higher priority are matched first
+ *           default: 0
+ *
+ *     Caller:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [viewer, operator, admin]
+ *         endpoints:
+ *           type: array
+ *           nullable: true
+ *           description: Endpoint IDs the caller is limited to, null for all
+ *           items:
+ *             type: string
+ *
+ *     ApiKey:
+ *       type: object
+ *       required:
+ *         - name
+ *         - role
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           example: ci-runner
+ *         role:
+ *           type: string
+ *           enum: [viewer, operator, admin]
+ *           description: >-
+ *             viewer can list and inspect, operator can also pull, update,
+ *             run and stop models, admin can do everything
+ *         endpoints:
+ *           type: array
+ *           nullable: true
+ *           description: Endpoint IDs the key is limited to, null for all
+ *           items:
+ *             type: string
+ *           example: ["gpu1"]
+ *         prefix:
+ *           type: string
+ *           readOnly: true
+ *           description: Start of the key, to tell keys apart
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           readOnly: true
+ *
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         at:
+ *           type: string
+ *           format: date-time
+ *           description: When the request was received
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: Who made the request, null if unauthenticated
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             role:
+ *               type: string
+ *         ip:
+ *           type: string
+ *         action:
+ *           type: string
+ *           example: DELETE /api/models
+ *         path:
+ *           type: string
+ *           example: /api/endpoints/gpu1/models
+ *         endpoints:
+ *           type: array
+ *           description: Endpoints the request acted on
+ *           items:
+ *             type: string
+ *           example: [gpu1]
+ *         models:
+ *           type: array
+ *           items:
+ *             type: string
+ *         params:
+ *           type: object
+ *           description: Query and body parameters, with secrets redacted
+ *         status:
+ *           type: integer
+ *           description: HTTP status of the response
+ *         outcome:
+ *           type: string
+ *           enum: [success, failure, aborted]
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         jobId:
+ *           type: string
+ *           nullable: true
+ *           description: Background job started by the request
+ *         durationMs:
+ *           type: integer
+ *
+ *     UpdateResult:
+ *       type: object
+ *       properties:
+ *         model:
+ *           type: string
+ *           example: "llama2:latest"
+ *         status:
+ *           type: string
+ *           enum: [unchanged, updated, failed]
+ *         previousDigest:
+ *           type: string
+ *           description: Digest before the update
+ *         digest:
+ *           type: string
+ *           nullable: true
+ *         error:
+ *           type: string
+ *           description: Why the update failed
+ *         jobId:
+ *           type: string
+ *           format: uuid
+ *
+ *     RunningModel:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "llama2:latest"
+ *         model:
+ *           type: string
+ *           example: "llama2"
+ *         size:
+ *           type: number
+ *           example: 1234567890
+ *         size_vram:
+ *           type: number
+ *           example: 1234567890
+ *         size_pending:
+ *           type: number
+ *           example: 0
+ *         size_vram_pending:
+ *           type: number
+ *           example: 0
+ *         details:
+ *           $ref: '#/components/schemas/ModelDetails'
+ *
+ *     ModelDetails:
+ *       type: object
+ *       properties:
+ *         format:
+ *           type: string
+ *           example: "gguf"
+ *         family:
+ *           type: string
+ *           example: "llama"
+ *         families:
+ *           type: array
+ *           items:
+ *             type: string
+ *         parameter_size:
+ *           type: string
+ *           example: "7B"
+ *         quantization_level:
+ *           type: string
+ *           example: "Q4_0"
+ */
+
+// Directory for state that must survive restarts (jobs, schedules, ...)
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+// Write a JSON state file atomically so a crash can't leave it truncated
+const writeStateFile = (fileName, data) => {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const filePath = path.join(DATA_DIR, fileName);
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${filePath}.tmp`, filePath);
+};
+
+// Read a JSON state file, or return `fallback` if it doesn't exist yet
+const readStateFile = (fileName, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Failed to read ${fileName}, starting empty:`, error);
+    }
+    return fallback;
+  }
+};
+
+// Describe the endpoint behind a URL, including ones set via set-endpoint
+// that aren't in OLLAMA_ENDPOINTS
+const describeEndpoint = (url) => {
+  const endpoint = findEndpoint(url);
+  return endpoint
+    ? { id: endpoint.id, url: endpoint.url }
+    : { id: endpointIdFromUrl(url), url };
+};
+
+// Background jobs for long-running model operations. Jobs run independently
+// of the HTTP request that created them, at most JOB_CONCURRENCY at a time
+// per endpoint, and their state is persisted to DATA_DIR/jobs.json.
+const JOB_CONCURRENCY = Math.max(
+  1,
+  parseInt(process.env.JOB_CONCURRENCY || '1', 10),
+);
+const JOB_HISTORY_LIMIT = parseInt(process.env.JOB_HISTORY_LIMIT || '100', 10);
+const JOB_EVENT_BUFFER = 500; // Events kept per job for Last-Event-ID replay
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const jobs = new Map(
+  readStateFile('jobs.json', []).map((job) => [job.id, job]),
+);
+const jobControllers = new Map();
+const jobEventLogs = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// What each job type does. Runners report Ollama's progress lines through
+// `onProgress` and resolve with the job's result.
+const jobRunners = {
+  pull: (job, onProgress, signal) =>
+    streamOllamaOperation(
+      `${job.endpoint.url}/api/pull`,
+      { name: job.model },
+      onProgress,
+      { signal },
+    ),
+  // Ollama has no update route: re-pull the tag and compare the manifest
+  // digest before and after to tell whether anything changed. A model that
+  // isn't installed has nothing to update.
+  update: async (job, onProgress, signal) => {
+    const previousDigest = await getModelDigest(job.endpoint.url, job.model);
+    if (!previousDigest) {
+      throw createError(404, `${job.model} is not installed, pull it instead`);
+    }
+    await streamOllamaOperation(
+      `${job.endpoint.url}/api/pull`,
+      { name: job.model },
+      onProgress,
+      { signal },
+    );
+    const digest = await getModelDigest(job.endpoint.url, job.model);
+    return {
+      model: job.model,
+      status: digest === previousDigest ? 'unchanged' : 'updated',
+      previousDigest,
+      digest,
+    };
+  },
+  // Create a model from an existing one with a different Modelfile
+  create: async (job, onProgress, signal) => {
+    await streamOllamaOperation(
+      `${job.endpoint.url}/api/create`,
+      { model: job.model, ...job.params },
+      onProgress,
+      { signal },
+    );
+    return {
+      model: job.model,
+      from: job.params.from,
+      digest: await getModelDigest(job.endpoint.url, job.model),
+    };
+  },
+  // Upload a model to the registry named in its tag, e.g.
+  // registry.local:5000/team/llama3:latest. With a `source`, the model is
+  // copied to that name first. If the push fails, a copy the job created is
+  // removed again, like a failed rename's; one that replaced an existing
+  // model is left alone.
+  push: async (job, onProgress, signal) => {
+    const { source, overwrite, insecure } = job.params || {};
+    // A job resumed after a restart has made its copy already
+    if (source && !job.copied) {
+      const { replaced } = await copyModel(
+        job.endpoint.url,
+        source,
+        job.model,
+        {
+          overwrite,
+        },
+      );
+      job.copied = replaced ? 'replaced' : 'created';
+      saveJobs({ immediate: true });
+    }
+
+    try {
+      await streamOllamaOperation(
+        `${job.endpoint.url}/api/push`,
+        { name: job.model, insecure: Boolean(insecure) },
+        onProgress,
+        { signal },
+      );
+    } catch (error) {
+      if (job.copied === 'created') {
+        await axios
+          .delete(`${job.endpoint.url}/api/delete`, {
+            data: { name: job.model },
+            timeout: 30000,
+          })
+          .catch((rollbackError) =>
+            logger.error(
+              `Rollback failed, ${job.model} is left behind: ${rollbackError.message}`,
+            ),
+          );
+      }
+      throw error;
+    }
+    return {
+      model: job.model,
+      source: source || job.model,
+      digest: await getModelDigest(job.endpoint.url, job.model),
+    };
+  },
+  // Make a model from another endpoint present on this one
+  replicate: (job, onProgress, signal) =>
+    replicateToTarget(
+      job.params.source,
+      job.endpoint,
+      job.model,
+      job.params.digest,
+      onProgress,
+      signal,
+    ),
+};
+
+let jobsSaveTimer = null;
+
+// Persist jobs, batching the frequent progress updates into one write
+const saveJobs = ({ immediate = false } = {}) => {
+  const write = () => {
+    jobsSaveTimer = null;
+    try {
+      writeStateFile('jobs.json', [...jobs.values()]);
+    } catch (error) {
+      logger.error('Failed to persist jobs:', error);
+    }
+  };
+
+  if (immediate) {
+    clearTimeout(jobsSaveTimer);
+    write();
+  } else if (!jobsSaveTimer) {
+    jobsSaveTimer = setTimeout(write, 1000);
+  }
+};
+
+// Notify everyone following a job, e.g. a streaming /api/pull response or
+// an SSE client. Event types are `progress`, `status`, `done` and `error`;
+// `raw` carries the Ollama progress line the event was derived from. Event
+// IDs increase per job across restarts so SSE clients can resume with
+// Last-Event-ID from a recent buffer.
+const publishJobEvent = (job, type, data, raw = null) => {
+  job.lastEventId = (job.lastEventId || 0) + 1;
+  const event = { id: job.lastEventId, type, data, raw };
+
+  const log = jobEventLogs.get(job.id) || [];
+  log.push(event);
+  if (log.length > JOB_EVENT_BUFFER) log.shift();
+  jobEventLogs.set(job.id, log);
+
+  jobEvents.emit(job.id, event);
+};
+
+const isFinalJobEvent = (event) =>
+  event.type === 'done' || event.type === 'error';
+
+// Track download progress per layer digest from an Ollama progress line:
+// percentage, average bytes/sec since the layer started and ETA in seconds,
+// plus the job's overall progress across all layers seen so far
+const trackLayerProgress = (job, progress) => {
+  const now = Date.now();
+  const completed = progress.completed || 0;
+  const total = progress.total || 0;
+
+  job.layers = job.layers || {};
+  const layer = job.layers[progress.digest] || {
+    startedAt: now,
+    startCompleted: completed,
+  };
+  const elapsedSeconds = (now - layer.startedAt) / 1000;
+  const bytesPerSecond =
+    elapsedSeconds > 0
+      ? Math.round((completed - layer.startCompleted) / elapsedSeconds)
+      : 0;
+
+  Object.assign(layer, {
+    total,
+    completed,
+    percent: total > 0 ? Math.round((completed / total) * 1000) / 10 : 0,
+    bytesPerSecond,
+    eta:
+      bytesPerSecond > 0
+        ? Math.ceil((total - completed) / bytesPerSecond)
+        : null,
+  });
+  job.layers[progress.digest] = layer;
+
+  const layers = Object.values(job.layers);
+  const overallTotal = layers.reduce((sum, l) => sum + l.total, 0);
+  const overallCompleted = layers.reduce((sum, l) => sum + l.completed, 0);
+
+  return {
+    status: progress.status,
+    digest: progress.digest,
+    total,
+    completed,
+    percent: layer.percent,
+    bytesPerSecond,
+    eta: layer.eta,
+    overall: {
+      total: overallTotal,
+      completed: overallCompleted,
+      percent:
+        overallTotal > 0
+          ? Math.round((overallCompleted / overallTotal) * 1000) / 10
+          : 0,
+    },
+  };
+};
+
+// Forget the oldest finished jobs beyond JOB_HISTORY_LIMIT
+const pruneJobs = () => {
+  const finished = [...jobs.values()]
+    .filter((job) => !ACTIVE_JOB_STATUSES.includes(job.status))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  finished
+    .slice(0, Math.max(0, finished.length - JOB_HISTORY_LIMIT))
+    .forEach((job) => {
+      jobs.delete(job.id);
+      jobEventLogs.delete(job.id);
+    });
+};
+
+const finishJob = (job, status, fields = {}) => {
+  Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+  jobControllers.delete(job.id);
+  pruneJobs();
+  saveJobs({ immediate: true });
+  if (status === 'completed') {
+    publishJobEvent(job, 'done', { status, result: job.result });
+  } else {
+    publishJobEvent(job, 'error', {
+      status,
+      error: job.error || `Job ${status}`,
+    });
+  }
+};
+
+const runJob = async (job) => {
+  const controller = new AbortController();
+  jobControllers.set(job.id, controller);
+  Object.assign(job, {
+    status: 'running',
+    startedAt: new Date().toISOString(),
+  });
+  saveJobs({ immediate: true });
+  publishJobEvent(job, 'status', { status: job.status, message: 'started' });
+  logger.info(`Job ${job.id}: ${job.type} ${job.model} on ${job.endpoint.id}`);
+
+  try {
+    const result = await jobRunners[job.type](
+      job,
+      (progress) => {
+        job.progress = progress;
+        saveJobs();
+        if (progress.digest && progress.total) {
+          publishJobEvent(
+            job,
+            'progress',
+            trackLayerProgress(job, progress),
+            progress,
+          );
+        } else {
+          publishJobEvent(
+            job,
+            'status',
+            { status: job.status, message: progress.status },
+            progress,
+          );
+        }
+      },
+      controller.signal,
+    );
+    logger.info(`Job ${job.id} completed`);
+    finishJob(job, 'completed', { result: result ?? null });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info(`Job ${job.id} cancelled`);
+      finishJob(job, 'cancelled');
+    } else {
+      logger.error(`Job ${job.id} failed: ${error.message}`);
+      finishJob(job, 'failed', { error: error.message });
+    }
+  } finally {
+    processJobQueue();
+  }
+};
+
+// Start queued jobs, oldest first, while their endpoint has capacity
+const processJobQueue = () => {
+  const running = {};
+  jobs.forEach((job) => {
+    if (job.status === 'running') {
+      running[job.endpoint.url] = (running[job.endpoint.url] || 0) + 1;
+    }
+  });
+
+  [...jobs.values()]
+    .filter((job) => job.status === 'queued')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach((job) => {
+      if ((running[job.endpoint.url] || 0) >= JOB_CONCURRENCY) return;
+      running[job.endpoint.url] = (running[job.endpoint.url] || 0) + 1;
+      runJob(job);
+    });
+};
+
+// Queue a job, or return the matching one that is already queued or running
+// so several tabs pulling the same model share one download. Jobs only match
+// with the same params, e.g. a push to the same destination.
+const enqueueJob = ({ type, model, endpoint, params = null }) => {
+  const existing = [...jobs.values()].find(
+    (job) =>
+      job.type === type &&
+      job.model === model &&
+      job.endpoint.url === endpoint.url &&
+      JSON.stringify(job.params) === JSON.stringify(params) &&
+      ACTIVE_JOB_STATUSES.includes(job.status),
+  );
+  if (existing) return existing;
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    model,
+    endpoint,
+    params,
+    status: 'queued',
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+  saveJobs({ immediate: true });
+  processJobQueue();
+  return job;
+};
+
+const cancelJob = (job) => {
+  if (job.status === 'queued') {
+    finishJob(job, 'cancelled');
+  } else {
+    jobControllers.get(job.id)?.abort();
+  }
+};
+
+// Resolve with the job once it has finished
+const waitForJob = (job) =>
+  new Promise((resolve) => {
+    if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+      resolve(job);
+      return;
+    }
+    const onEvent = (event) => {
+      if (!isFinalJobEvent(event)) return;
+      jobEvents.off(job.id, onEvent);
+      resolve(job);
+    };
+    jobEvents.on(job.id, onEvent);
+  });
+
+// Jobs that were running when the server stopped are queued again; Ollama
+// resumes partially downloaded layers
+const resumeJobs = () => {
+  jobs.forEach((job) => {
+    if (job.status === 'running') {
+      Object.assign(job, { status: 'queued', startedAt: null });
+    }
+  });
+  processJobQueue();
+};
+
+// Handle streaming response for model operations. The operation runs as a
+// background job; the response just follows its progress as NDJSON, so
+// closing the connection doesn't stop it.
+const handleModelOperation = async (req, res, operation) => {
+  const job = enqueueJob({
+    type: operation.type || 'pull',
+    model: operation.model,
+    endpoint: describeEndpoint(req.ollamaEndpoint),
+    params: operation.params,
+  });
+  res.setHeader('X-Job-Id', job.id);
+  res.locals.jobId = job.id;
+
+  if (operation.background) {
+    res.status(202).json({ success: true, job });
+    return;
+  }
+
+  // Set headers for streaming response
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  await new Promise((resolve) => {
+    const onEvent = (event) => {
+      if (event.raw) {
+        res.write(`${JSON.stringify(event.raw)}\n`);
+      } else if (event.type === 'done' && event.data.result) {
+        res.write(
+          `${JSON.stringify({ ...event.data.result, jobId: job.id })}\n`,
+        );
+      } else if (event.type === 'error') {
+        res.locals.error = event.data.error;
+        res.write(
+          `${JSON.stringify({
+            status: 'error',
+            error: event.data.error,
+            jobId: job.id,
+          })}\n`,
+        );
+      }
+      res.flush?.(); // Don't let compression hold back progress
+
+      if (isFinalJobEvent(event)) stop();
+    };
+    const stop = () => {
+      jobEvents.off(job.id, onEvent);
+      res.end();
+      resolve();
+    };
+
+    jobEvents.on(job.id, onEvent);
+    res.on('close', stop);
+  });
+};
+
+/**
+ * @swagger
+ * /api/update-model:
+ *   post:
+ *     summary: Update a model
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - modelName
+ *             properties:
+ *               modelName:
+ *                 type: string
+ *                 description: Name of the model to update
+ *                 example: "llama2:latest"
+ *               background:
+ *                 type: boolean
+ *                 description: Return the queued job instead of streaming its progress
+ *     responses:
+ *       200:
+ *         description: >-
+ *           Update progress, streamed from a background job whose ID is in the
+ *           X-Job-Id header. The last line is an UpdateResult, or an error line
+ *           if the update failed. Closing the connection doesn't cancel the
+ *           update.
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       202:
+ *         description: Update queued (background mode)
+ */
+app.post(
+  ['/api/update-model', '/api/endpoints/:endpointId/update-model'],
+  resolveEndpoint,
+  [
+    body('modelName')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model name is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const { modelName, background } = req.body;
+    await handleModelOperation(req, res, {
+      model: modelName,
+      type: 'update',
+      background,
+    });
+  }),
+);
+
+/**
+ * @swagger
+ * /api/update-models:
+ *   post:
+ *     summary: Update several models
+ *     description: >-
+ *       Queues an update job per model and responds once all of them have
+ *       finished, with the outcome for each model.
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - models
+ *             properties:
+ *               models:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["llama2:latest", "mistral:latest"]
+ *     responses:
+ *       200:
+ *         description: Per-model update outcomes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [success, partial, error]
+ *                 updated:
+ *                   type: integer
+ *                 unchanged:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UpdateResult'
+ */
+app.post(
+  ['/api/update-models', '/api/endpoints/:endpointId/update-models'],
+  resolveEndpoint,
+  [
+    body('models')
+      .isArray({ min: 1 })
+      .withMessage('Models must be a non-empty array'),
+    body('models.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model names must be non-empty strings'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const endpoint = describeEndpoint(req.ollamaEndpoint);
+    const queued = [...new Set(req.body.models)].map((model) =>
+      enqueueJob({ type: 'update', model, endpoint }),
+    );
+    const finished = await Promise.all(queued.map(waitForJob));
+
+    const results = finished.map((job) =>
+      job.status === 'completed'
+        ? { ...job.result, jobId: job.id }
+        : {
+            model: job.model,
+            status: 'failed',
+            error: job.error || `Update ${job.status}`,
+            jobId: job.id,
+          },
+    );
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+    const failed = count('failed');
+
+    res.json({
+      status:
+        failed === 0
+          ? 'success'
+          : failed === results.length
+            ? 'error'
+            : 'partial',
+      updated: count('updated'),
+      unchanged: count('unchanged'),
+      failed,
+      results,
+    });
+  }),
+);
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: endpoint
+ *         description: Endpoint ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Jobs, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Job'
+ */
+// Jobs on endpoints outside the caller's scope are treated as missing
+const findJob = (req) => {
+  const job = jobs.get(req.params.id);
+  return job && canUseEndpoint(req, job.endpoint) ? job : undefined;
+};
+
+app.get('/api/jobs', (req, res) => {
+  const { status, endpoint, model } = req.query;
+  res.json(
+    [...jobs.values()]
+      .filter(
+        (job) =>
+          canUseEndpoint(req, job.endpoint) &&
+          (!status || job.status === status) &&
+          (!endpoint || job.endpoint.id === endpoint) &&
+          (!model || job.model === model),
+      )
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+  );
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get a background job
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ *   delete:
+ *     summary: Cancel a queued or running job
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has already finished
+ */
+app.get('/api/jobs/:id', (req, res, next) => {
+  const job = findJob(req);
+  if (!job) return next(createError(404, `Job not found: ${req.params.id}`));
+  res.json(job);
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/events:
+ *   get:
+ *     summary: Follow a job's progress as Server-Sent Events
+ *     description: >-
+ *       Emits `progress` events per layer digest (with percent, bytesPerSecond,
+ *       eta in seconds and overall progress), `status` events for other
+ *       updates, and a final `done` or `error` event before the stream
+ *       closes. Reconnecting clients send `Last-Event-ID` to replay missed
+ *       events; if they can no longer be replayed, a `status` event with a
+ *       snapshot of the job is sent instead. Any number of clients can
+ *       follow the same job.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Job not found
+ */
+app.get('/api/jobs/:id/events', (req, res, next) => {
+  const job = findJob(req);
+  if (!job) return next(createError(404, `Job not found: ${req.params.id}`));
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable Nginx buffering
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`,
+    );
+    res.flush?.(); // Don't let compression hold back events
+  };
+
+  res.write('retry: 3000\n\n');
+
+  // Replay what a reconnecting client missed if it's still buffered,
+  // otherwise start from a snapshot of the job
+  const lastEventId = parseInt(req.get('last-event-id'), 10);
+  const log = jobEventLogs.get(job.id) || [];
+  const canReplay =
+    !Number.isNaN(lastEventId) &&
+    log.length > 0 &&
+    lastEventId >= log[0].id - 1;
+
+  if (canReplay) {
+    log.filter((event) => event.id > lastEventId).forEach(send);
+  } else {
+    send({
+      id: job.lastEventId || 0,
+      type: 'status',
+      data: { status: job.status, job },
+    });
+  }
+
+  if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+    if (!canReplay || !log.some(isFinalJobEvent)) {
+      send({
+        id: job.lastEventId || 0,
+        type: job.status === 'completed' ? 'done' : 'error',
+        data:
+          job.status === 'completed'
+            ? { status: job.status, result: job.result }
+            : { status: job.status, error: job.error || `Job ${job.status}` },
+      });
+    }
+    res.end();
+    return;
+  }
+
+  const keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    res.flush?.();
+  }, 15000);
+
+  const onEvent = (event) => {
+    send(event);
+    if (isFinalJobEvent(event)) res.end();
+  };
+  jobEvents.on(job.id, onEvent);
+
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    jobEvents.off(job.id, onEvent);
+  });
+});
+
+app.delete(
+  '/api/jobs/:id',
+  asyncHandler(async (req, res) => {
+    const job = findJob(req);
+    if (!job) throw createError(404, `Job not found: ${req.params.id}`);
+    if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+      throw createError(409, `Job is already ${job.status}`);
+    }
+
+    // Wait for a running job to wind down so the response has its final state
+    if (job.status === 'running') {
+      const done = new Promise((resolve) => {
+        const onEvent = (event) => {
+          if (!isFinalJobEvent(event)) return;
+          jobEvents.off(job.id, onEvent);
+          resolve();
+        };
+        jobEvents.on(job.id, onEvent);
+      });
+      cancelJob(job);
+      await done;
+    } else {
+      cancelJob(job);
+    }
+
+    res.json({ success: true, message: 'Job cancelled', job });
+  }),
+);
+
+// Split an Ollama model name into its registry parts, applying Ollama's
+// defaults: `llama3` is `registry.ollama.ai/library/llama3:latest`
+const parseModelName = (name) => {
+  const [repository, tag = 'latest'] = name.includes(':', name.lastIndexOf('/'))
+    ? [
+        name.slice(0, name.lastIndexOf(':')),
+        name.slice(name.lastIndexOf(':') + 1),
+      ]
+    : [name];
+  const parts = repository.split('/');
+  const model = parts.pop();
+  const namespace = parts.pop() || 'library';
+  const host = parts.pop() || 'registry.ollama.ai';
+  return { host, namespace, model, tag };
+};
+
+// Normalize a model name the way Ollama lists it in /api/tags
+const normalizeModelName = (name) =>
+  name.includes(':', name.lastIndexOf('/')) ? name : `${name}:latest`;
+
+// Shorten a fully qualified model name, like Ollama reports a model's
+// parent, to the name /api/tags lists it under
+const shortModelName = (name) => {
+  const { host, namespace, model, tag } = parseModelName(name);
+  const defaultHost = host === 'registry.ollama.ai';
+  return [
+    !defaultHost && host,
+    (!defaultHost || namespace !== 'library') && namespace,
+    `${model}:${tag}`,
+  ]
+    .filter(Boolean)
+    .join('/');
+};
+
+// Get the digest of a model installed on an endpoint, or null if missing
+const getModelDigest = async (endpointUrl, name) => {
+  const response = await axios.get(`${endpointUrl}/api/tags`, {
+    timeout: 10000,
+  });
+  const wanted = normalizeModelName(name);
+  const model = response.data.models.find((m) => m.name === wanted);
+  return model ? model.digest : null;
+};
+
+// Run a streaming Ollama operation, calling `onProgress` for every NDJSON
+// line. Lines can straddle chunks, so partial lines are buffered. Rejects
+// when Ollama reports an error in the stream.
+const streamOllamaOperation = async (url, data, onProgress, options = {}) => {
+  let response;
+  try {
+    response = await axios({
+      method: 'POST',
+      url,
+      data,
+      responseType: 'stream',
+      timeout: 0, // No timeout for long-running operations
+      signal: options.signal,
+    });
+  } catch (error) {
+    // Surface Ollama's own error message from the streamed error body
+    if (error.response?.data?.on) {
+      let text = '';
+      for await (const chunk of error.response.data) text += chunk;
+      try {
+        error.message = JSON.parse(text).error || error.message;
+      } catch {
+        // Keep axios' message if the body isn't JSON
+      }
+    }
+    throw error;
+  }
+
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let failed = false;
+
+    const handleLine = (line) => {
+      if (!line.trim() || failed) return;
+      let progress;
+      try {
+        progress = JSON.parse(line);
+      } catch {
+        logger.warn(`Ignoring malformed progress line: ${line}`);
+        return;
+      }
+      if (progress.error) {
+        failed = true;
+        response.data.destroy();
+        reject(new Error(progress.error));
+        return;
+      }
+      onProgress(progress);
+    };
+
+    response.data.on('data', (chunk) => {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    });
+    response.data.on('end', () => {
+      handleLine(buffer);
+      if (!failed) resolve();
+    });
+    response.data.on('error', (error) => {
+      if (!failed) reject(error);
+    });
+  });
+};
+
+// Local model directories the manager can read, for copying blobs of models
+// that aren't available from a registry, e.g. `gpu1=/mnt/gpu1/models`
+const getModelsDirs = () =>
+  Object.fromEntries(
+    (process.env.OLLAMA_MODELS_DIRS || '')
+      .split(',')
+      .map((entry) => entry.trim())
+      .filter((entry) => entry.includes('='))
+      .map((entry) => {
+        const separator = entry.indexOf('=');
+        return [
+          entry.slice(0, separator).trim(),
+          entry.slice(separator + 1).trim(),
+        ];
+      }),
+  );
+
+// Read a model's manifest from an Ollama models directory
+const readLocalManifest = async (modelsDir, name) => {
+  const { host, namespace, model, tag } = parseModelName(name);
+  const manifestPath = path.join(
+    modelsDir,
+    'manifests',
+    host,
+    namespace,
+    model,
+    tag,
+  );
+  return JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+};
+
+// Find a blob in an Ollama models directory. Newer Ollama versions name
+// blobs `sha256-<hex>`, older ones `sha256:<hex>`.
+const findLocalBlob = async (modelsDir, digest) => {
+  const candidates = [digest.replace(':', '-'), digest].map((name) =>
+    path.join(modelsDir, 'blobs', name),
+  );
+  for (const candidate of candidates) {
+    try {
+      const stats = await fs.promises.stat(candidate);
+      return { path: candidate, size: stats.size };
+    } catch {
+      // Try the next naming scheme
+    }
+  }
+  throw new Error(`Blob ${digest} not found in ${modelsDir}`);
+};
+
+// Upload a blob to an endpoint unless it already has it
+const pushBlob = async (endpointUrl, modelsDir, digest, signal) => {
+  try {
+    await axios.head(`${endpointUrl}/api/blobs/${digest}`, {
+      timeout: 10000,
+      signal,
+    });
+    return false;
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+  }
+
+  const blob = await findLocalBlob(modelsDir, digest);
+  await axios.post(
+    `${endpointUrl}/api/blobs/${digest}`,
+    fs.createReadStream(blob.path),
+    {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': blob.size,
+      },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      timeout: 0,
+      signal,
+    },
+  );
+  return true;
+};
+
+// Parse the `parameters` text of /api/show ("key value" per line) into the
+// object form /api/create expects. Repeated keys such as `stop` become arrays.
+const parseModelParameters = (text = '') =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .reduce((parameters, line) => {
+      const separator = line.search(/\s/);
+      if (separator === -1) return parameters;
+      const key = line.slice(0, separator);
+      let value = line
+        .slice(separator)
+        .trim()
+        .replace(/^"(.*)"$/, '$1');
+      if (value !== '' && !Number.isNaN(Number(value))) value = Number(value);
+      else if (value === 'true' || value === 'false') value = value === 'true';
+
+      if (key in parameters) {
+        parameters[key] = [].concat(parameters[key], value);
+      } else {
+        parameters[key] = key === 'stop' ? [value] : value;
+      }
+      return parameters;
+    }, {});
+
+// Recreate a locally created model on a target by uploading its blobs from
+// the source's models directory and calling /api/create
+const replicateByBlobs = async (source, target, model, onProgress, signal) => {
+  const modelsDir = getModelsDirs()[source.id];
+  if (!modelsDir) {
+    throw new Error(
+      `${model} is not available from a registry; set OLLAMA_MODELS_DIRS for ${source.id} to copy its blobs`,
+    );
+  }
+
+  const [manifest, show] = await Promise.all([
+    readLocalManifest(modelsDir, model),
+    axios.post(`${source.url}/api/show`, { name: model }, { timeout: 10000 }),
+  ]);
+
+  const files = {};
+  const adapters = {};
+  for (const [index, layer] of manifest.layers.entries()) {
+    const isModel = layer.mediaType === 'application/vnd.ollama.image.model';
+    const isAdapter =
+      layer.mediaType === 'application/vnd.ollama.image.adapter';
+    if (!isModel && !isAdapter) continue;
+
+    onProgress({ status: `uploading ${layer.digest}`, total: layer.size });
+    const uploaded = await pushBlob(
+      target.url,
+      modelsDir,
+      layer.digest,
+      signal,
+    );
+    onProgress({
+      status: uploaded ? `uploaded ${layer.digest}` : `exists ${layer.digest}`,
+      total: layer.size,
+      completed: layer.size,
+    });
+
+    const fileName = `layer-${index}.gguf`;
+    if (isModel) files[fileName] = layer.digest;
+    else adapters[fileName] = layer.digest;
+  }
+
+  const { template, system, license, parameters, messages } = show.data;
+  await streamOllamaOperation(
+    `${target.url}/api/create`,
+    {
+      model,
+      files,
+      ...(Object.keys(adapters).length > 0 && { adapters }),
+      ...(template && { template }),
+      ...(system && { system }),
+      ...(license && { license }),
+      ...(messages && { messages }),
+      parameters: parseModelParameters(parameters),
+    },
+    onProgress,
+    { signal },
+  );
+};
+
+// Make a model present on one target: pull it from the registry, falling
+// back to copying blobs when the registry doesn't know it. Fails if the
+// target ends up with a different version than the source has.
+const replicateToTarget = async (
+  source,
+  target,
+  model,
+  digest,
+  onProgress,
+  signal,
+) => {
+  const startedAt = Date.now();
+
+  if ((await getModelDigest(target.url, model)) === digest) {
+    return { target: target.id, status: 'present', method: null, digest };
+  }
+
+  let method = 'pull';
+  try {
+    await streamOllamaOperation(
+      `${target.url}/api/pull`,
+      { name: model },
+      onProgress,
+      { signal },
+    );
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    logger.info(
+      `Pulling ${model} on ${target.id} failed (${error.message}), copying blobs from ${source.id}`,
+    );
+    onProgress({ status: `registry pull failed: ${error.message}` });
+    method = 'blobs';
+    await replicateByBlobs(source, target, model, onProgress, signal);
+  }
+
+  const replicatedDigest = await getModelDigest(target.url, model);
+  if (replicatedDigest !== digest) {
+    throw new Error(
+      `Digest mismatch: ${target.id} has ${replicatedDigest}, ${source.id} has ${digest}`,
+    );
+  }
+  return {
+    target: target.id,
+    status: 'replicated',
+    method,
+    digest,
+    duration: Date.now() - startedAt,
+  };
+};
+
+/**
+ * @swagger
+ * /api/replicate:
+ *   post:
+ *     summary: Copy a model from one Ollama endpoint to others
+ *     description: >-
+ *       Makes a model from the source endpoint present on each target. Targets
+ *       pull the same tag from the registry; models the registry doesn't know
+ *       (e.g. created locally) are recreated by uploading their blobs, which
+ *       requires the source's models directory in `OLLAMA_MODELS_DIRS`.
+ *       Each target is a background job (IDs in the X-Job-Id header), so
+ *       closing the connection doesn't stop it. Progress is streamed as
+ *       NDJSON, one object per line, tagged with the target endpoint ID. The
+ *       last line summarizes every target.
+ *     tags: [Models]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - source
+ *               - model
+ *               - targets
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 description: ID or URL of the endpoint that has the model
+ *                 example: gpu1
+ *               model:
+ *                 type: string
+ *                 example: "llama3:latest"
+ *               targets:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["gpu2", "gpu3"]
+ *               background:
+ *                 type: boolean
+ *                 description: Return the queued jobs instead of streaming their progress
+ *     responses:
+ *       200:
+ *         description: Replication progress stream
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       202:
+ *         description: Replication queued (background mode)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Unknown endpoint or model not found on the source
+ */
+app.post(
+  '/api/replicate',
+  [
+    body('source')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Source is required'),
+    body('model')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model name is required'),
+    body('targets')
+      .isArray({ min: 1 })
+      .withMessage('Targets must be a non-empty array'),
+    body('targets.*').isString().withMessage('Each target must be a string'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const model = normalizeModelName(req.body.model);
+    const source = findEndpoint(req.body.source);
+    if (!source) {
+      throw createError(404, `Unknown Ollama endpoint: ${req.body.source}`);
+    }
+
+    const targets = [...new Set(req.body.targets)].map((id) => {
+      const target = findEndpoint(id);
+      if (!target) throw createError(404, `Unknown Ollama endpoint: ${id}`);
+      return target;
+    });
+    if (targets.some((target) => target.id === source.id)) {
+      throw createError(400, 'Targets must not include the source endpoint');
+    }
+    assertEndpointScope(req, [source, ...targets]);
+    res.locals.endpoints = [source, ...targets].map((endpoint) => endpoint.id);
+
+    const digest = await getModelDigest(source.url, model);
+    if (!digest) {
+      throw createError(404, `Model ${model} not found on ${source.id}`);
+    }
+
+    logger.info(
+      `Replicating ${model} from ${source.id} to ${targets.map((t) => t.id).join(', ')}`,
+    );
+
+    // One job per target, so each is queued, listed and cancelled with the
+    // other jobs on that endpoint
+    const queued = targets.map((target) =>
+      enqueueJob({
+        type: 'replicate',
+        model,
+        endpoint: describeEndpoint(target.url),
+        params: { source: describeEndpoint(source.url), digest },
+      }),
+    );
+    res.setHeader('X-Job-Id', queued.map((job) => job.id).join(', '));
+
+    if (req.body.background) {
+      res.status(202).json({ success: true, jobs: queued });
+      return;
+    }
+
+    // Set headers for streaming response
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const emit = (line) => {
+      if (res.writableEnded) return;
+      res.write(`${JSON.stringify(line)}\n`);
+      res.flush?.(); // Don't let compression hold back progress
+    };
+
+    // Follow every target's job; closing the connection doesn't stop them
+    const listeners = queued.map((job) => {
+      const onEvent = (event) => {
+        if (event.raw) emit({ target: job.endpoint.id, ...event.raw });
+      };
+      jobEvents.on(job.id, onEvent);
+      return () => jobEvents.off(job.id, onEvent);
+    });
+    const finished = await Promise.all(queued.map(waitForJob));
+    listeners.forEach((stop) => stop());
+
+    const results = finished.map((job) =>
+      job.status === 'completed'
+        ? { ...job.result, jobId: job.id }
+        : {
+            target: job.endpoint.id,
+            status: 'failed',
+            error: job.error || `Replication ${job.status}`,
+            jobId: job.id,
+          },
+    );
+    results.forEach((result) => emit(result));
+
+    const failed = results.filter((result) => result.status === 'failed');
+    emit({
+      status:
+        failed.length === 0
+          ? 'success'
+          : failed.length === results.length
+            ? 'error'
+            : 'partial',
+      model,
+      source: source.id,
+      digest,
+      results,
+    });
+    res.end();
+  }),
+);
+
+// Registry used for models without an explicit host, e.g. a local stub
+// registry for testing
+const OLLAMA_REGISTRY_URL = (
+  process.env.OLLAMA_REGISTRY_URL || 'https://registry.ollama.ai'
+).replace(/\/+$/, '');
+const REGISTRY_CHECK_CONCURRENCY = 4;
+
+// Fetch a model's manifest from its registry, or null if the registry
+// doesn't have it. Only the manifest is downloaded, not its layers.
+const fetchRegistryManifest = async (name) => {
+  const { host, namespace, model, tag } = parseModelName(name);
+  const registryUrl =
+    host === 'registry.ollama.ai' ? OLLAMA_REGISTRY_URL : `https://${host}`;
+
+  const response = await axios.get(
+    `${registryUrl}/v2/${namespace}/${model}/manifests/${tag}`,
+    {
+      headers: {
+        Accept: 'application/vnd.docker.distribution.manifest.v2+json',
+      },
+      responseType: 'arraybuffer',
+      timeout: 10000,
+      validateStatus: (status) => status < 400 || status === 404,
+    },
+  );
+  return response.status === 404 ? null : response;
+};
+
+// Get the digest of a model's manifest in its registry, or null if the
+// registry doesn't have it. Ollama's local digest is the SHA-256 of the
+// manifest as served.
+const getRegistryDigest = async (name) => {
+  const response = await fetchRegistryManifest(name);
+  if (!response) return null;
+
+  return (
+    response.headers['docker-content-digest'] ||
+    `sha256:${crypto.createHash('sha256').update(response.data).digest('hex')}`
+  );
+};
+
+// Compare a local model against its registry manifest
+const checkModelUpdate = async (localModel) => {
+  const digest = localModel.digest.replace(/^sha256:/, '');
+  try {
+    const remoteDigest = await getRegistryDigest(localModel.name);
+    return {
+      model: localModel.name,
+      status: !remoteDigest
+        ? 'local-only'
+        : remoteDigest.replace(/^sha256:/, '') === digest
+          ? 'up-to-date'
+          : 'update-available',
+      digest,
+      remoteDigest: remoteDigest?.replace(/^sha256:/, '') ?? null,
+    };
+  } catch (error) {
+    logger.warn(
+      `Failed to check ${localModel.name} for updates: ${error.message}`,
+    );
+    return {
+      model: localModel.name,
+      status: 'unknown',
+      digest,
+      remoteDigest: null,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * @swagger
+ * /api/models/updates:
+ *   get:
+ *     summary: Check installed models for updates
+ *     description: >-
+ *       Compares the digest of each installed model with its manifest in the
+ *       registry (`OLLAMA_REGISTRY_URL` for models without an explicit host).
+ *       Nothing is downloaded.
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     responses:
+ *       200:
+ *         description: Update status of each installed model
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   model:
+ *                     type: string
+ *                     example: "llama3:latest"
+ *                   status:
+ *                     type: string
+ *                     enum: [up-to-date, update-available, local-only, unknown]
+ *                   digest:
+ *                     type: string
+ *                   remoteDigest:
+ *                     type: string
+ *                     nullable: true
+ *                   error:
+ *                     type: string
+ *                     description: Why the registry couldn't be checked
+ */
+app.get(
+  ['/api/models/updates', '/api/endpoints/:endpointId/models/updates'],
+  resolveEndpoint,
+  asyncHandler(async (req, res) => {
+    const response = await axios.get(`${req.ollamaEndpoint}/api/tags`, {
+      timeout: 10000,
+    });
+    const models = response.data.models || [];
+
+    // Check a few models at a time to go easy on the registry
+    const results = [];
+    for (let i = 0; i < models.length; i += REGISTRY_CHECK_CONCURRENCY) {
+      results.push(
+        ...(await Promise.all(
+          models.slice(i, i + REGISTRY_CHECK_CONCURRENCY).map(checkModelUpdate),
+        )),
+      );
+    }
+    res.json(results);
+  }),
+);
+
+// Scheduled updates. Policies run on a cron schedule in the server's local
+// time zone and update the matching models through the job queue. Policies
+// and run history are persisted to DATA_DIR.
+const SCHEDULE_RUN_HISTORY = 100;
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+const CRON_NAMES = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+  sun: 0,
+  mon: 1,
+  tue: 2,
+  wed: 3,
+  thu: 4,
+  fri: 5,
+  sat: 6,
+};
+
+// Parse a five-field cron expression (minute hour day-of-month month
+// day-of-week) supporting `*`, lists, ranges, steps and month/day names
+const parseCron = (expression) => {
+  const fields = String(expression)
+    .trim()
+    .toLowerCase()
+    .replace(/[a-z]{3}/g, (name) => CRON_NAMES[name] ?? name)
+    .split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have 5 fields');
+  }
+
+  return fields.map((field, index) => {
+    const { name, min, max } = CRON_FIELDS[index];
+    const values = new Set();
+    field.split(',').forEach((part) => {
+      const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!match) throw new Error(`Invalid ${name} field: ${field}`);
+      const [, any, from, to, stepText] = match;
+      const start = any ? min : Number(from);
+      const end = any ? max : to ? Number(to) : stepText ? max : start;
+      const step = Number(stepText || 1);
+      if (start < min || end > max || start > end || step < 1) {
+        throw new Error(`Invalid ${name} field: ${field}`);
+      }
+      for (let value = start; value <= end; value += step) {
+        values.add(index === 4 ? value % 7 : value); // 7 is also Sunday
+      }
+    });
+    return { values, any: field === '*' };
+  });
+};
+
+// Whether a parsed cron expression matches a date, to the minute. As in
+// cron, a day matches if either day field does when both are restricted.
+const cronMatches = (cron, date) => {
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = cron;
+  const domMatches = dayOfMonth.values.has(date.getDate());
+  const dowMatches = dayOfWeek.values.has(date.getDay());
+  const dayMatches =
+    dayOfMonth.any || dayOfWeek.any
+      ? domMatches && dowMatches
+      : domMatches || dowMatches;
+  return (
+    minute.values.has(date.getMinutes()) &&
+    hour.values.has(date.getHours()) &&
+    month.values.has(date.getMonth() + 1) &&
+    dayMatches
+  );
+};
+
+// Match a model name against a policy pattern where `*` matches anything,
+// e.g. `llama*`. Names without a tag match as `:latest`.
+const modelMatchesPattern = (name, pattern) => {
+  const regex = new RegExp(
+    `^${pattern
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')}$`,
+  );
+  return regex.test(name) || regex.test(normalizeModelName(name));
+};
+
+const schedulePolicies = new Map(
+  readStateFile('schedules.json', []).map((policy) => [policy.id, policy]),
+);
+const scheduleRuns = readStateFile('schedule-runs.json', []);
+let lastScheduledMinute = null;
+
+// Runs still marked running were interrupted by a restart
+scheduleRuns
+  .filter((run) => run.status === 'running')
+  .forEach((run) => {
+    Object.assign(run, {
+      status: 'failed',
+      error: 'Interrupted by a server restart',
+      finishedAt: run.finishedAt || new Date().toISOString(),
+    });
+  });
+
+const saveSchedules = () => {
+  try {
+    writeStateFile('schedules.json', [...schedulePolicies.values()]);
+    writeStateFile(
+      'schedule-runs.json',
+      scheduleRuns.slice(-SCHEDULE_RUN_HISTORY),
+    );
+  } catch (error) {
+    logger.error('Failed to persist schedules:', error);
+  }
+};
+
+// List the models a policy would update on one endpoint, marking the ones
+// that are skipped because they're loaded
+const planPolicyUpdates = async (policy, endpoint) => {
+  const [tags, ps] = await Promise.all([
+    axios.get(`${endpoint.url}/api/tags`, { timeout: 10000 }),
+    axios.get(`${endpoint.url}/api/ps`, { timeout: 10000 }),
+  ]);
+  const loaded = new Set((ps.data.models || []).map((model) => model.name));
+
+  return (tags.data.models || [])
+    .filter((model) =>
+      policy.models.some((pattern) => modelMatchesPattern(model.name, pattern)),
+    )
+    .map((model) => ({
+      endpoint,
+      model: model.name,
+      skip: !policy.force && loaded.has(model.name) ? 'Model is loaded' : null,
+    }));
+};
+
+// Endpoints a policy updates; an empty list means all of them
+const policyEndpoints = (policy) =>
+  policy.endpoints.length
+    ? policy.endpoints.map(findEndpoint).filter(Boolean)
+    : getEndpoints();
+
+// Start running a policy now: update each matching model, at most
+// `policy.concurrency` at a time, and record the outcome of every model.
+// The maintenance window only limits scheduled runs. Resolves once the
+// first updates are queued, with the run and a promise of the finished run.
+const startPolicyRun = async (policy, trigger) => {
+  const run = {
+    id: crypto.randomUUID(),
+    policyId: policy.id,
+    policyName: policy.name,
+    endpoints: [...policy.endpoints],
+    trigger,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    jobIds: [],
+    results: [],
+  };
+  scheduleRuns.push(run);
+  policy.lastRunAt = run.startedAt;
+  saveSchedules();
+  logger.info(`Running update policy ${policy.name} (${trigger})`);
+
+  const endpoints = policyEndpoints(policy);
+  const windowEndsAt =
+    trigger === 'schedule' && policy.windowMinutes
+      ? Date.parse(run.startedAt) + policy.windowMinutes * 60 * 1000
+      : Infinity;
+
+  const planned = [];
+  await Promise.all(
+    endpoints.map(async (endpoint) => {
+      try {
+        planned.push(...(await planPolicyUpdates(policy, endpoint)));
+      } catch (error) {
+        run.results.push({
+          endpoint: endpoint.id,
+          model: null,
+          status: 'failed',
+          error: `Failed to list models: ${error.message}`,
+        });
+      }
+    }),
+  );
+
+  planned
+    .filter((item) => item.skip)
+    .forEach((item) =>
+      run.results.push({
+        endpoint: item.endpoint.id,
+        model: item.model,
+        status: 'skipped',
+        reason: item.skip,
+      }),
+    );
+
+  const pending = planned.filter((item) => !item.skip);
+  const worker = async () => {
+    while (pending.length > 0) {
+      const item = pending.shift();
+      if (Date.now() >= windowEndsAt) {
+        run.results.push({
+          endpoint: item.endpoint.id,
+          model: item.model,
+          status: 'skipped',
+          reason: 'Maintenance window closed',
+        });
+        continue;
+      }
+
+      const queued = enqueueJob({
+        type: 'update',
+        model: item.model,
+        endpoint: describeEndpoint(item.endpoint.url),
+      });
+      run.jobIds.push(queued.id);
+      const job = await waitForJob(queued);
+      run.results.push(
+        job.status === 'completed'
+          ? { endpoint: item.endpoint.id, ...job.result, jobId: job.id }
+          : {
+              endpoint: item.endpoint.id,
+              model: item.model,
+              status: 'failed',
+              error: job.error || `Update ${job.status}`,
+              jobId: job.id,
+            },
+      );
+      saveSchedules();
+    }
+  };
+  const workers = Promise.all(
+    Array.from({ length: policy.concurrency }, () => worker()),
+  );
+  saveSchedules();
+
+  const finished = workers.then(() => {
+    const failed = run.results.filter((result) => result.status === 'failed');
+    Object.assign(run, {
+      status:
+        failed.length === 0
+          ? 'completed'
+          : failed.length === run.results.length
+            ? 'failed'
+            : 'partial',
+      finishedAt: new Date().toISOString(),
+    });
+    saveSchedules();
+    logger.info(`Update policy ${policy.name} finished: ${run.status}`);
+
+    // Manual runs are recorded like any other request
+    if (trigger === 'schedule') {
+      appendAuditEntry({
+        at: run.startedAt,
+        actor: { id: 'scheduler', name: 'scheduler', role: null },
+        ip: null,
+        action: 'SCHEDULE /api/schedules/:id/run',
+        path: `/api/schedules/${policy.id}/run`,
+        endpoints: endpoints.map((endpoint) => endpoint.id),
+        models: [
+          ...new Set(
+            run.results
+              .filter((result) => result.jobId)
+              .map((result) => result.model),
+          ),
+        ],
+        params: { policy: policy.name, runId: run.id },
+        status: null,
+        outcome: run.status === 'completed' ? 'success' : 'failure',
+        error: failed.length > 0 ? `${failed.length} update(s) failed` : null,
+        jobId: null,
+        durationMs: Date.parse(run.finishedAt) - Date.parse(run.startedAt),
+      });
+    }
+    return run;
+  });
+  return { run, finished };
+};
+
+// Run a policy and resolve with the finished run
+const runPolicy = async (policy, trigger) =>
+  (await startPolicyRun(policy, trigger)).finished;
+
+// Start the policies that are due this minute
+const schedulerTick = () => {
+  const now = new Date();
+  const minute = Math.floor(now.getTime() / 60000);
+  if (minute === lastScheduledMinute) return;
+  lastScheduledMinute = minute;
+
+  schedulePolicies.forEach((policy) => {
+    // A bad schedule in schedules.json must not stop the other policies
+    let due;
+    try {
+      due = policy.enabled && cronMatches(parseCron(policy.schedule), now);
+    } catch (error) {
+      logger.error(
+        `Update policy ${policy.name} has an invalid schedule, skipping: ${error.message}`,
+      );
+      return;
+    }
+    if (!due) return;
+    const running = scheduleRuns.some(
+      (run) => run.policyId === policy.id && run.status === 'running',
+    );
+    if (running) {
+      logger.warn(`Update policy ${policy.name} is still running, skipping`);
+      return;
+    }
+    runPolicy(policy, 'schedule').catch((error) =>
+      logger.error(`Update policy ${policy.name} failed:`, error),
+    );
+  });
+};
+
+// Check the policies once per minute
+const startScheduler = () => {
+  setInterval(schedulerTick, 15000).unref();
+};
+
+const policyValidators = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Name is required'),
+    field('schedule')
+      .isString()
+      .custom((value) => parseCron(value))
+      .withMessage('Schedule must be a valid cron expression'),
+    field('models')
+      .isArray({ min: 1 })
+      .withMessage('Models must be a non-empty array of name patterns'),
+    body('models.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model patterns must be non-empty strings'),
+    body('endpoints')
+      .optional()
+      .isArray()
+      .custom((ids) => ids.every(findEndpoint))
+      .withMessage('Endpoints must be known endpoint IDs'),
+    body('concurrency')
+      .optional()
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Concurrency must be a positive integer'),
+    body('windowMinutes')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .toInt()
+      .withMessage('Window must be a positive number of minutes'),
+    body('force').optional().isBoolean().toBoolean(),
+    body('enabled').optional().isBoolean().toBoolean(),
+  ];
+};
+
+const POLICY_FIELDS = [
+  'name',
+  'schedule',
+  'models',
+  'endpoints',
+  'concurrency',
+  'windowMinutes',
+  'force',
+  'enabled',
+];
+
+/**
+ * @swagger
+ * /api/schedules:
+ *   get:
+ *     summary: List scheduled update policies
+ *     tags: [Schedules]
+ *     responses:
+ *       200:
+ *         description: Update policies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/UpdatePolicy'
+ *   post:
+ *     summary: Create a scheduled update policy
+ *     tags: [Schedules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdatePolicy'
+ *     responses:
+ *       201:
+ *         description: Policy created
+ *       400:
+ *         description: Invalid policy
+ */
+// Keys limited to some endpoints only see the policies, and runs, that
+// target nothing else. Runs from before runs recorded their endpoints
+// count as targeting all endpoints.
+const canSeePolicy = (req, { endpoints }) =>
+  !req.auth?.endpoints ||
+  (endpoints?.length > 0 &&
+    endpoints.every((id) => req.auth.endpoints.includes(id)));
+
+// Policies the caller can't see are treated as missing
+const findPolicy = (req) => {
+  const policy = schedulePolicies.get(req.params.id);
+  return policy && canSeePolicy(req, policy) ? policy : undefined;
+};
+
+app.get('/api/schedules', (req, res) => {
+  res.json(
+    [...schedulePolicies.values()].filter((policy) =>
+      canSeePolicy(req, policy),
+    ),
+  );
+});
+
+app.post(
+  '/api/schedules',
+  policyValidators(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    assertTargetScope(req, req.body.endpoints || []);
+
+    const now = new Date().toISOString();
+    const policy = {
+      id: crypto.randomUUID(),
+      endpoints: [],
+      concurrency: 1,
+      windowMinutes: null,
+      force: false,
+      enabled: true,
+      ...Object.fromEntries(
+        POLICY_FIELDS.filter((key) => req.body[key] !== undefined).map(
+          (key) => [key, req.body[key]],
+        ),
+      ),
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+    };
+    schedulePolicies.set(policy.id, policy);
+    saveSchedules();
+    res.status(201).json(policy);
+  }),
+);
+
+/**
+ * @swagger
+ * /api/schedules/runs:
+ *   get:
+ *     summary: List scheduled update runs
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: query
+ *         name: policy
+ *         description: Only runs of this policy ID
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Runs, newest first, with the outcome for each model
+ */
+app.get('/api/schedules/runs', (req, res) => {
+  res.json(
+    scheduleRuns
+      .filter(
+        (run) =>
+          (!req.query.policy || run.policyId === req.query.policy) &&
+          canSeePolicy(req, run),
+      )
+      .slice()
+      .reverse(),
+  );
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}:
+ *   get:
+ *     summary: Get a scheduled update policy
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The policy
+ *       404:
+ *         description: Policy not found
+ *   put:
+ *     summary: Update a scheduled update policy
+ *     description: Fields that are left out keep their current values.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdatePolicy'
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Invalid policy
+ *       404:
+ *         description: Policy not found
+ *   delete:
+ *     summary: Delete a scheduled update policy
+ *     description: Run history of the policy is kept.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy deleted
+ *       404:
+ *         description: Policy not found
+ */
+app.get('/api/schedules/:id', (req, res, next) => {
+  const policy = findPolicy(req);
+  if (!policy) {
+    return next(createError(404, `Schedule not found: ${req.params.id}`));
+  }
+  res.json(policy);
+});
+
+app.put(
+  '/api/schedules/:id',
+  policyValidators({ optional: true }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const policy = findPolicy(req);
+    if (!policy) {
+      throw createError(404, `Schedule not found: ${req.params.id}`);
+    }
+    assertTargetScope(req, req.body.endpoints || policy.endpoints);
+    POLICY_FIELDS.filter((key) => req.body[key] !== undefined).forEach(
+      (key) => {
+        policy[key] = req.body[key];
+      },
+    );
+    policy.updatedAt = new Date().toISOString();
+    saveSchedules();
+    res.json(policy);
+  }),
+);
+
+app.delete('/api/schedules/:id', (req, res, next) => {
+  const policy = findPolicy(req);
+  if (!policy) {
+    return next(createError(404, `Schedule not found: ${req.params.id}`));
+  }
+  schedulePolicies.delete(policy.id);
+  saveSchedules();
+  res.json({ success: true, message: 'Schedule deleted' });
+});
+
+/**
+ * @swagger
+ * /api/schedules/{id}/run:
+ *   post:
+ *     summary: Run a scheduled update policy now
+ *     description: >-
+ *       Starts running the policy outside its schedule and maintenance
+ *       window. Responds once the first updates are queued; follow them
+ *       through the jobs API and the run through the run history.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: The run was started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 runId:
+ *                   type: string
+ *                 jobIds:
+ *                   type: array
+ *                   description: Update jobs queued so far
+ *                   items:
+ *                     type: string
+ *       404:
+ *         description: Policy not found
+ *       409:
+ *         description: The policy is already running
+ */
+app.post(
+  '/api/schedules/:id/run',
+  asyncHandler(async (req, res) => {
+    const policy = findPolicy(req);
+    if (!policy) {
+      throw createError(404, `Schedule not found: ${req.params.id}`);
+    }
+    if (
+      scheduleRuns.some(
+        (run) => run.policyId === policy.id && run.status === 'running',
+      )
+    ) {
+      throw createError(409, 'Schedule is already running');
+    }
+    res.locals.endpoints = policyEndpoints(policy).map(
+      (endpoint) => endpoint.id,
+    );
+    const { run, finished } = await startPolicyRun(policy, 'manual');
+    finished.catch((error) =>
+      logger.error(`Update policy ${policy.name} failed:`, error),
+    );
+    res.status(202).json({
+      success: true,
+      runId: run.id,
+      jobIds: [...run.jobIds],
+    });
+  }),
+);
+
+/**
+ * @swagger
+ * /api/chat:
+ *   post:
+ *     summary: Chat with a model
+ *     description: >-
+ *       Proxies Ollama's `/api/chat` for the selected endpoint and streams its
+ *       response as NDJSON. The final line has `done: true` and Ollama's
+ *       timing stats (`eval_count`, `eval_duration`, ...). Closing the
+ *       connection stops generation.
+ *     tags: [Chat]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - model
+ *               - messages
+ *             properties:
+ *               model:
+ *                 type: string
+ *                 example: "llama3:latest"
+ *               messages:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       type: string
+ *                       enum: [user, assistant, system]
+ *                     content:
+ *                       type: string
+ *                 example: [{ "role": "user", "content": "Why is the sky blue?" }]
+ *               system:
+ *                 type: string
+ *                 description: System prompt, sent before the messages
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   temperature:
+ *                     type: number
+ *                     example: 0.8
+ *                   top_p:
+ *                     type: number
+ *                     example: 0.9
+ *                   num_ctx:
+ *                     type: integer
+ *                     example: 4096
+ *     responses:
+ *       200:
+ *         description: Response chunks, one JSON object per line
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid request
+ *       502:
+ *         description: Ollama rejected the request
+ */
+app.post(
+  ['/api/chat', '/api/endpoints/:endpointId/chat'],
+  resolveEndpoint,
+  [
+    body('model')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model name is required'),
+    body('messages')
+      .isArray({ min: 1 })
+      .withMessage('Messages must be a non-empty array'),
+    body('messages.*.role')
+      .isIn(['user', 'assistant', 'system'])
+      .withMessage('Message role must be user, assistant or system'),
+    body('messages.*.content')
+      .isString()
+      .withMessage('Message content must be a string'),
+    body('system').optional().isString(),
+    body('options.temperature')
+      .optional()
+      .isFloat({ min: 0, max: 2 })
+      .toFloat(),
+    body('options.top_p').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+    body('options.num_ctx').optional().isInt({ min: 1 }).toInt(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const { model, system, options = {} } = req.body;
+    const messages = req.body.messages.map(({ role, content }) => ({
+      role,
+      content,
+    }));
+    if (system) messages.unshift({ role: 'system', content: system });
+
+    // Stop generating when the client goes away, e.g. the Stop button
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+
+    try {
+      await streamOllamaOperation(
+        `${req.ollamaEndpoint}/api/chat`,
+        {
+          model,
+          messages,
+          options: {
+            temperature: options.temperature,
+            top_p: options.top_p,
+            num_ctx: options.num_ctx,
+          },
+          keep_alive: DEFAULT_KEEP_ALIVE,
+        },
+        (chunk) => {
+          res.write(`${JSON.stringify(chunk)}\n`);
+          res.flush?.(); // Don't let compression hold back tokens
+        },
+        { signal: controller.signal },
+      );
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      logger.error(`Chat with ${model} failed: ${error.message}`);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Type'); // The error is JSON, not a stream
+        throw createError(502, `Chat failed: ${error.message}`);
+      }
+      res.write(
+        `${JSON.stringify({ status: 'error', error: error.message })}\n`,
+      );
+    }
+    res.end();
+  }),
+);
+
+// Ollama reports durations in nanoseconds; convert its generate stats to
+// milliseconds and work out tokens per second
+const summarizeGenerateStats = (data) => {
+  const ms = (ns) => (ns ? Math.round(ns / 1e4) / 100 : 0);
+  return {
+    totalDuration: ms(data.total_duration),
+    loadDuration: ms(data.load_duration),
+    promptEvalCount: data.prompt_eval_count || 0,
+    promptEvalDuration: ms(data.prompt_eval_duration),
+    evalCount: data.eval_count || 0,
+    evalDuration: ms(data.eval_duration),
+    tokensPerSecond: data.eval_duration
+      ? Math.round((data.eval_count / data.eval_duration) * 1e9 * 10) / 10
+      : 0,
+  };
+};
+
+/**
+ * @swagger
+ * /api/compare:
+ *   post:
+ *     summary: Run one prompt against several models
+ *     description: >-
+ *       Sends the prompt to 2-4 models at once through Ollama's
+ *       `/api/generate`, optionally on different endpoints, and returns each
+ *       output with its timing stats. Durations are in milliseconds.
+ *     tags: [Chat]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - prompt
+ *               - targets
+ *             properties:
+ *               prompt:
+ *                 type: string
+ *                 example: "Explain quantization in one paragraph."
+ *               system:
+ *                 type: string
+ *               options:
+ *                 type: object
+ *                 description: Ollama model options, e.g. temperature or seed
+ *               targets:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 4
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - model
+ *                   properties:
+ *                     model:
+ *                       type: string
+ *                       example: "llama3:8b-instruct-q4_K_M"
+ *                     endpoint:
+ *                       type: string
+ *                       description: Endpoint ID, defaults to the selected endpoint
+ *     responses:
+ *       200:
+ *         description: One result per target, in request order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 prompt:
+ *                   type: string
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       model:
+ *                         type: string
+ *                       endpoint:
+ *                         type: string
+ *                       response:
+ *                         type: string
+ *                       stats:
+ *                         type: object
+ *                       error:
+ *                         type: string
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Unknown endpoint
+ */
+app.post(
+  ['/api/compare', '/api/endpoints/:endpointId/compare'],
+  resolveEndpoint,
+  [
+    body('prompt')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Prompt is required'),
+    body('system').optional().isString(),
+    body('options').optional().isObject(),
+    body('targets')
+      .isArray({ min: 2, max: 4 })
+      .withMessage('Compare 2 to 4 models'),
+    body('targets.*.model')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Each target needs a model'),
+    body('targets.*.endpoint').optional().isString(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const { prompt, system, options } = req.body;
+    const targets = req.body.targets.map(({ model, endpoint }) => {
+      const target = endpoint
+        ? findEndpoint(endpoint)
+        : describeEndpoint(req.ollamaEndpoint);
+      if (!target)
+        throw createError(404, `Unknown Ollama endpoint: ${endpoint}`);
+      return { model, endpoint: target };
+    });
+    assertEndpointScope(
+      req,
+      targets.map(({ endpoint }) => endpoint),
+    );
+
+    // Stop generating if the client gives up
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const results = await Promise.all(
+      targets.map(async ({ model, endpoint }) => {
+        try {
+          const response = await axios.post(
+            `${endpoint.url}/api/generate`,
+            { model, prompt, system, options, stream: false },
+            { timeout: 0, signal: controller.signal },
+          );
+          return {
+            model,
+            endpoint: endpoint.id,
+            response: response.data.response,
+            stats: summarizeGenerateStats(response.data),
+          };
+        } catch (error) {
+          return {
+            model,
+            endpoint: endpoint.id,
+            response: null,
+            stats: null,
+            error: error.response?.data?.error || error.message,
+          };
+        }
+      }),
+    );
+
+    res.json({
+      prompt,
+      system,
+      options,
+      createdAt: new Date().toISOString(),
+      results,
+    });
+  }),
+);
+
+// Benchmarks run a fixed set of prompts so results stay comparable across
+// runs. Output is capped and sampling is fixed to keep the work per run the
+// same. History is persisted to DATA_DIR/benchmarks.json, keyed by endpoint
+// and model digest.
+const BENCHMARK_PROMPTS = [
+  'Reply with the single word "ready".',
+  'Explain in three sentences why the sky is blue.',
+  'Write a Python function that returns the n-th Fibonacci number, with a short docstring.',
+  'Summarize the plot of Romeo and Juliet in one paragraph.',
+];
+const BENCHMARK_OPTIONS = { temperature: 0, seed: 42, num_predict: 256 };
+const BENCHMARK_HISTORY_LIMIT = 50; // Runs kept per endpoint and digest
+
+const benchmarks = readStateFile('benchmarks.json', {});
+
+const average = (values) =>
+  values.length
+    ? Math.round(
+        (values.reduce((sum, v) => sum + v, 0) / values.length) * 100,
+      ) / 100
+    : 0;
+
+/**
+ * @swagger
+ * /api/benchmarks:
+ *   get:
+ *     summary: List benchmark history
+ *     tags: [Benchmarks]
+ *     parameters:
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: endpoint
+ *         description: Endpoint ID
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Benchmark runs, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Benchmark'
+ *   post:
+ *     summary: Benchmark a model
+ *     description: >-
+ *       Runs a fixed set of prompts against the model on the selected endpoint,
+ *       one at a time, and stores the result. Durations are in milliseconds.
+ *     tags: [Benchmarks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - model
+ *             properties:
+ *               model:
+ *                 type: string
+ *                 example: "llama3:latest"
+ *     responses:
+ *       201:
+ *         description: The stored benchmark run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Benchmark'
+ *       404:
+ *         description: Model not installed on the endpoint
+ *       502:
+ *         description: Ollama failed to run a prompt
+ */
+app.get('/api/benchmarks', (req, res) => {
+  const { model, endpoint } = req.query;
+  const runs = Object.values(benchmarks)
+    .flat()
+    .filter(
+      (run) =>
+        canUseEndpoint(req, run.endpoint) &&
+        (!model || run.model === normalizeModelName(model)) &&
+        (!endpoint || run.endpoint.id === endpoint),
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json(runs);
+});
+
+app.post(
+  ['/api/benchmarks', '/api/endpoints/:endpointId/benchmarks'],
+  resolveEndpoint,
+  [
+    body('model')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model name is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const model = normalizeModelName(req.body.model);
+    const endpoint = describeEndpoint(req.ollamaEndpoint);
+    const [digest, probe] = await Promise.all([
+      getModelDigest(endpoint.url, model),
+      probeEndpoint(endpoint.url),
+    ]);
+    if (!digest) {
+      throw createError(404, `Model ${model} not found on ${endpoint.id}`);
+    }
+
+    logger.info(`Benchmarking ${model} on ${endpoint.id}`);
+    const prompts = [];
+    for (const prompt of BENCHMARK_PROMPTS) {
+      try {
+        const response = await axios.post(
+          `${endpoint.url}/api/generate`,
+          { model, prompt, options: BENCHMARK_OPTIONS, stream: false },
+          { timeout: 0 },
+        );
+        prompts.push({ prompt, ...summarizeGenerateStats(response.data) });
+      } catch (error) {
+        throw createError(
+          502,
+          `Benchmark failed: ${error.response?.data?.error || error.message}`,
+        );
+      }
+    }
+
+    const run = {
+      id: crypto.randomUUID(),
+      model,
+      digest,
+      endpoint,
+      ollamaVersion: probe.version,
+      createdAt: new Date().toISOString(),
+      options: BENCHMARK_OPTIONS,
+      prompts,
+      summary: {
+        loadDuration: prompts[0].loadDuration,
+        tokensPerSecond: average(prompts.map((p) => p.tokensPerSecond)),
+        promptTokensPerSecond: average(
+          prompts.map((p) =>
+            p.promptEvalDuration
+              ? (p.promptEvalCount / p.promptEvalDuration) * 1000
+              : 0,
+          ),
+        ),
+        totalDuration: average(prompts.map((p) => p.totalDuration)),
+      },
+    };
+
+    const key = `${endpoint.id}/${digest}`;
+    benchmarks[key] = [...(benchmarks[key] || []), run].slice(
+      -BENCHMARK_HISTORY_LIMIT,
+    );
+    try {
+      writeStateFile('benchmarks.json', benchmarks);
+    } catch (error) {
+      logger.error('Failed to persist benchmarks:', error);
+    }
+
+    res.status(201).json(run);
+  }),
+);
+
+/**
+ * @swagger
+ * /api/show:
+ *   post:
+ *     summary: Show a model's Modelfile and metadata
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - model
+ *             properties:
+ *               model:
+ *                 type: string
+ *                 example: "llama3:latest"
+ *     responses:
+ *       200:
+ *         description: Modelfile, template, parameters, system prompt and license
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 model:
+ *                   type: string
+ *                 modelfile:
+ *                   type: string
+ *                 template:
+ *                   type: string
+ *                 system:
+ *                   type: string
+ *                 license:
+ *                   type: string
+ *                 parameters:
+ *                   type: object
+ *                   example: { "temperature": 0.7, "stop": ["<|eot_id|>"] }
+ *                 details:
+ *                   type: object
+ *                 modelInfo:
+ *                   type: object
+ *                 modifiedAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Model not found
+ */
+app.post(
+  ['/api/show', '/api/endpoints/:endpointId/show'],
+  resolveEndpoint,
+  [
+    body('model')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model name is required'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const model = normalizeModelName(req.body.model);
+    let show;
+    try {
+      show = await axios.post(
+        `${req.ollamaEndpoint}/api/show`,
+        { name: model },
+        { timeout: 10000 },
+      );
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw createError(404, `Model ${model} not found`);
+      }
+      throw createError(502, `Failed to show ${model}: ${error.message}`);
+    }
+
+    res.json({
+      model,
+      modelfile: show.data.modelfile || '',
+      template: show.data.template || '',
+      system: show.data.system || '',
+      license: show.data.license || '',
+      parameters: parseModelParameters(show.data.parameters),
+      details: show.data.details || {},
+      modelInfo: show.data.model_info || {},
+      modifiedAt: show.data.modified_at || null,
+    });
+  }),
+);
+
+/**
+ * @swagger
+ * /api/create:
+ *   post:
+ *     summary: Create a model derived from an installed one
+ *     description: >-
+ *       Saves an installed model under a new name with a different system
+ *       prompt, parameters or template, through Ollama's `/api/create`. Runs as
+ *       a background job like pulls; progress is streamed as NDJSON.
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - model
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 description: Installed model to start from
+ *                 example: "llama3:latest"
+ *               model:
+ *                 type: string
+ *                 description: Name of the new model
+ *                 example: "llama3:support-bot"
+ *               system:
+ *                 type: string
+ *               template:
+ *                 type: string
+ *               parameters:
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *                 description: >-
+ *                   Parameters as an object, or as Modelfile-style `key value`
+ *                   lines. Replaces the parameters of `from`.
+ *                 example: { "temperature": 0.2, "num_ctx": 8192 }
+ *               background:
+ *                 type: boolean
+ *                 description: Return the queued job instead of streaming its progress
+ *     responses:
+ *       200:
+ *         description: >-
+ *           Create progress, streamed from a background job whose ID is in the
+ *           X-Job-Id header
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       202:
+ *         description: Create queued (background mode)
+ *       400:
+ *         description: Invalid request
+ */
+app.post(
+  ['/api/create', '/api/endpoints/:endpointId/create'],
+  resolveEndpoint,
+  [
+    body('from')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Source model is required'),
+    body('model')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model name is required'),
+    body('system').optional().isString(),
+    body('template').optional().isString(),
+    body('parameters')
+      .optional()
+      .custom((value) => typeof value === 'string' || typeof value === 'object')
+      .withMessage('Parameters must be an object or Modelfile-style lines'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const { from, system, template, background } = req.body;
+    const model = normalizeModelName(req.body.model);
+    if (model === normalizeModelName(from)) {
+      throw createError(400, 'The new model needs a different name');
+    }
+
+    let { parameters } = req.body;
+    if (typeof parameters === 'string') {
+      parameters = parseModelParameters(parameters);
+    }
+
+    await handleModelOperation(req, res, {
+      model,
+      type: 'create',
+      background,
+      params: {
+        from: normalizeModelName(from),
+        ...(system !== undefined && { system }),
+        ...(template !== undefined && { template }),
+        ...(parameters !== undefined && { parameters }),
+      },
+    });
+  }),
+);
+
+// Copy a model to a new name on one endpoint. Ollama's /api/copy silently
+// replaces an existing destination, so that has to be asked for. Resolves
+// whether an existing destination was replaced.
+const copyModel = async (endpointUrl, source, destination, { overwrite }) => {
+  if (source === destination) {
+    throw createError(400, 'Source and destination are the same');
+  }
+  if (!(await getModelDigest(endpointUrl, source))) {
+    throw createError(404, `Model ${source} not found`);
+  }
+  const replaced = Boolean(await getModelDigest(endpointUrl, destination));
+  if (replaced && !overwrite) {
+    throw createError(409, `Model ${destination} already exists`);
+  }
+  await axios.post(
+    `${endpointUrl}/api/copy`,
+    { source, destination },
+    { timeout: 30000 },
+  );
+  return { replaced };
+};
+
+// Rename is a copy followed by deleting the source. If the delete fails a
+// copy the rename created is removed again, so the model doesn't end up
+// under both names. A destination that existed before is left alone: what
+// it held is gone either way.
+const renameModel = async (endpointUrl, source, destination, options) => {
+  const { replaced } = await copyModel(
+    endpointUrl,
+    source,
+    destination,
+    options,
+  );
+  try {
+    await axios.delete(`${endpointUrl}/api/delete`, {
+      data: { name: source },
+      timeout: 30000,
+    });
+  } catch (error) {
+    const reason = error.response?.data?.error || error.message;
+    if (replaced) {
+      logger.error(
+        `Failed to delete ${source} after copying it over ${destination}`,
+      );
+      throw createError(
+        502,
+        `Failed to delete ${source}: ${reason}. ${destination} was already replaced with a copy of it`,
+      );
+    }
+
+    logger.error(
+      `Failed to delete ${source} after copying it to ${destination}, rolling back`,
+    );
+    await axios
+      .delete(`${endpointUrl}/api/delete`, {
+        data: { name: destination },
+        timeout: 30000,
+      })
+      .catch((rollbackError) =>
+        logger.error(
+          `Rollback failed, ${destination} is left behind: ${rollbackError.message}`,
+        ),
+      );
+    throw createError(502, `Failed to delete ${source}: ${reason}`);
+  }
+};
+
+// Apply a retag to a model name: a prefix and/or suffix on the model part
+// (keeping any namespace) and/or a new tag
+const retagModelName = (name, { prefix = '', suffix = '', tag }) => {
+  const normalized = normalizeModelName(name);
+  const separator = normalized.lastIndexOf(':');
+  const repository = normalized.slice(0, separator);
+  const slash = repository.lastIndexOf('/') + 1;
+  return `${repository.slice(0, slash)}${prefix}${repository.slice(slash)}${suffix}:${tag || normalized.slice(separator + 1)}`;
+};
+
+const copyValidators = [
+  body('source')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Source model is required'),
+  body('destination')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Destination model is required'),
+  body('overwrite').optional().isBoolean().toBoolean(),
+];
+
+/**
+ * @swagger
+ * /api/copy:
+ *   post:
+ *     summary: Copy a model to a new name
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CopyRequest'
+ *     responses:
+ *       200:
+ *         description: Model copied
+ *       404:
+ *         description: Source model not found
+ *       409:
+ *         description: Destination exists and overwrite is not set
+ */
+app.post(
+  ['/api/copy', '/api/endpoints/:endpointId/copy'],
+  resolveEndpoint,
+  copyValidators,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const source = normalizeModelName(req.body.source);
+    const destination = normalizeModelName(req.body.destination);
+    await copyModel(req.ollamaEndpoint, source, destination, {
+      overwrite: req.body.overwrite,
+    });
+    res.json({ success: true, message: `Copied ${source} to ${destination}` });
+  }),
+);
+
+/**
+ * @swagger
+ * /api/rename:
+ *   post:
+ *     summary: Rename a model
+ *     description: >-
+ *       Copies the model to the new name and deletes the old one. If deleting
+ *       fails, the copy is removed again.
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CopyRequest'
+ *     responses:
+ *       200:
+ *         description: Model renamed
+ *       404:
+ *         description: Source model not found
+ *       409:
+ *         description: Destination exists and overwrite is not set
+ *       502:
+ *         description: Deleting the old name failed; the copy was rolled back
+ */
+app.post(
+  ['/api/rename', '/api/endpoints/:endpointId/rename'],
+  resolveEndpoint,
+  copyValidators,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const source = normalizeModelName(req.body.source);
+    const destination = normalizeModelName(req.body.destination);
+    await renameModel(req.ollamaEndpoint, source, destination, {
+      overwrite: req.body.overwrite,
+    });
+    res.json({ success: true, message: `Renamed ${source} to ${destination}` });
+  }),
+);
+
+/**
+ * @swagger
+ * /api/retag:
+ *   post:
+ *     summary: Copy or rename several models to new names
+ *     description: >-
+ *       Adds a prefix and/or suffix to each model's name (after any namespace)
+ *       and/or replaces its tag, e.g. prefix `prod-` turns `llama3:latest`
+ *       into `prod-llama3:latest`. Responds with 207 if any model failed.
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - models
+ *             properties:
+ *               models:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["llama3:latest", "mistral:7b"]
+ *               prefix:
+ *                 type: string
+ *                 example: "prod-"
+ *               suffix:
+ *                 type: string
+ *               tag:
+ *                 type: string
+ *                 description: Replaces each model's tag
+ *               mode:
+ *                 type: string
+ *                 enum: [copy, rename]
+ *                 default: copy
+ *               overwrite:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Every model was retagged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       source:
+ *                         type: string
+ *                       destination:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [copied, renamed, failed]
+ *                       error:
+ *                         type: string
+ *       207:
+ *         description: Some models failed; see their results
+ */
+app.post(
+  ['/api/retag', '/api/endpoints/:endpointId/retag'],
+  resolveEndpoint,
+  [
+    body('models')
+      .isArray({ min: 1 })
+      .withMessage('Models must be a non-empty array'),
+    body('models.*').isString().withMessage('Each model must be a string'),
+    body('prefix')
+      .optional({ values: 'falsy' })
+      .isString()
+      .matches(/^[a-zA-Z0-9][\w.-]*$/)
+      .withMessage(
+        'Prefix must start with a letter or digit and may only contain letters, digits, _, . and -',
+      ),
+    body('suffix')
+      .optional({ values: 'falsy' })
+      .isString()
+      .matches(/^[\w.-]+$/)
+      .withMessage('Suffix may only contain letters, digits, _, . and -'),
+    body('tag')
+      .optional()
+      .matches(/^[\w][\w.-]*$/)
+      .withMessage('Tag may only contain letters, digits, _, . and -'),
+    body('mode').optional().isIn(['copy', 'rename']),
+    body('overwrite').optional().isBoolean().toBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const { prefix, suffix, tag, mode = 'copy', overwrite } = req.body;
+    if (!prefix && !suffix && !tag) {
+      throw createError(400, 'Specify a prefix, suffix or tag');
+    }
+
+    // One at a time, so renames of related names can't race each other
+    const results = [];
+    for (const name of [...new Set(req.body.models)]) {
+      const source = normalizeModelName(name);
+      const destination = retagModelName(source, { prefix, suffix, tag });
+      try {
+        const operation = mode === 'rename' ? renameModel : copyModel;
+        await operation(req.ollamaEndpoint, source, destination, { overwrite });
+        results.push({
+          source,
+          destination,
+          status: mode === 'rename' ? 'renamed' : 'copied',
+        });
+      } catch (error) {
+        results.push({
+          source,
+          destination,
+          status: 'failed',
+          error: error.message,
+        });
+      }
+    }
+
+    const success = results.every((result) => result.status !== 'failed');
+    res.status(success ? 200 : 207).json({ success, results });
+  }),
+);
+
+/**
+ * @swagger
+ * /api/push:
+ *   post:
+ *     summary: Push a model to a registry
+ *     description: >-
+ *       Uploads an installed model through Ollama's `/api/push`. The registry
+ *       comes from the model name, so a model is usually pushed under a
+ *       `destination` such as `registry.local:5000/team/llama3:latest`, which
+ *       the job copies from `model` first, and removes again if the push
+ *       fails and it wasn't there before. Runs as a background job like
+ *       pulls; progress is streamed as NDJSON.
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - model
+ *             properties:
+ *               model:
+ *                 type: string
+ *                 description: Installed model to push
+ *                 example: "llama3:latest"
+ *               destination:
+ *                 type: string
+ *                 description: Name to push the model under, including the registry
+ *                 example: "registry.local:5000/team/llama3:latest"
+ *               overwrite:
+ *                 type: boolean
+ *                 description: Replace an existing model named like `destination`
+ *               insecure:
+ *                 type: boolean
+ *                 description: Allow a registry served over plain HTTP or with an untrusted certificate
+ *               background:
+ *                 type: boolean
+ *                 description: Return the queued job instead of streaming its progress
+ *     responses:
+ *       200:
+ *         description: >-
+ *           Push progress, streamed from a background job whose ID is in the
+ *           X-Job-Id header
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       202:
+ *         description: Push queued (background mode)
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Model not found
+ *       409:
+ *         description: Destination already exists
+ */
+app.post(
+  ['/api/push', '/api/endpoints/:endpointId/push'],
+  resolveEndpoint,
+  [
+    body('model')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model name is required'),
+    body('destination')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Destination must be a model name'),
+    body('overwrite').optional().isBoolean().toBoolean(),
+    body('insecure').optional().isBoolean().toBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const { overwrite = false, insecure = false, background } = req.body;
+    const source = normalizeModelName(req.body.model);
+    const model = req.body.destination
+      ? normalizeModelName(req.body.destination)
+      : source;
+
+    // Checked here for a clear answer; the job makes the copy
+    if (!(await getModelDigest(req.ollamaEndpoint, source))) {
+      throw createError(404, `Model ${source} not found`);
+    }
+    if (
+      model !== source &&
+      !overwrite &&
+      (await getModelDigest(req.ollamaEndpoint, model))
+    ) {
+      throw createError(409, `Model ${model} already exists`);
+    }
+
+    await handleModelOperation(req, res, {
+      model,
+      type: 'push',
+      background,
+      params: { insecure, ...(model !== source && { source, overwrite }) },
+    });
+  }),
+);
+
+// Describe installed models in enough detail to pull or recreate them on
+// another endpoint
+const buildModelManifest = async (endpointUrl, names) => {
+  const tags = await axios.get(`${endpointUrl}/api/tags`, { timeout: 10000 });
+  const installed = new Map(tags.data.models.map((m) => [m.name, m]));
+
+  const models = await Promise.all(
+    names.map(async (name) => {
+      const model = installed.get(name);
+      if (!model) throw createError(404, `Model ${name} not found`);
+      const show = await axios.post(
+        `${endpointUrl}/api/show`,
+        { name },
+        { timeout: 10000 },
+      );
+      return {
+        name: name.slice(0, name.lastIndexOf(':')),
+        tag: parseModelName(name).tag,
+        digest: model.digest,
+        size: model.size,
+        details: show.data.details || {},
+        parameters: parseModelParameters(show.data.parameters),
+        from: show.data.details?.parent_model
+          ? shortModelName(show.data.details.parent_model)
+          : null,
+        ...(show.data.system && { system: show.data.system }),
+        ...(show.data.template && { template: show.data.template }),
+      };
+    }),
+  );
+
+  return {
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    endpoint: describeEndpoint(endpointUrl),
+    models,
+  };
+};
+
+// Manifests are uploaded as objects or as JSON/YAML text; YAML parses both
+const parseModelManifest = (input) => {
+  let manifest = input;
+  if (typeof input === 'string') {
+    try {
+      manifest = YAML.parse(input);
+    } catch (error) {
+      throw createError(400, `Invalid manifest: ${error.message}`);
+    }
+  }
+  if (manifest?.version !== 1 || !Array.isArray(manifest.models)) {
+    throw createError(400, 'Invalid manifest: expected version 1 with models');
+  }
+  const invalid = manifest.models.find(
+    (entry) => typeof entry?.name !== 'string' || typeof entry.tag !== 'string',
+  );
+  if (invalid) {
+    throw createError(
+      400,
+      'Invalid manifest: every model needs a name and tag',
+    );
+  }
+  return manifest;
+};
+
+// Bring one manifest entry onto an endpoint. Models created from a
+// Modelfile are recreated from their parent, which is pulled if missing;
+// everything else is pulled from the registry.
+const importManifestEntry = async (endpoint, entry, installed) => {
+  const model = `${entry.name}:${entry.tag}`;
+  const result = (status, fields) => ({
+    model,
+    status,
+    expectedDigest: entry.digest || null,
+    ...fields,
+  });
+
+  if (entry.digest && installed.get(model) === entry.digest) {
+    return result('present', { digest: entry.digest, digestMatches: true });
+  }
+
+  let job;
+  if (entry.from) {
+    const from = shortModelName(entry.from);
+    if (!installed.has(from)) {
+      const parent = await waitForJob(
+        enqueueJob({ type: 'pull', model: from, endpoint }),
+      );
+      if (parent.status !== 'completed') {
+        return result('failed', {
+          error: `Failed to pull ${from}: ${parent.error || parent.status}`,
+        });
+      }
+    }
+    job = enqueueJob({
+      type: 'create',
+      model,
+      endpoint,
+      params: {
+        from,
+        ...(entry.system !== undefined && { system: entry.system }),
+        ...(entry.template !== undefined && { template: entry.template }),
+        ...(entry.parameters && { parameters: entry.parameters }),
+      },
+    });
+  } else {
+    job = enqueueJob({ type: 'pull', model, endpoint });
+  }
+
+  await waitForJob(job);
+  if (job.status !== 'completed') {
+    return result('failed', {
+      error: job.error || `Import ${job.status}`,
+      jobId: job.id,
+    });
+  }
+  const digest = await getModelDigest(endpoint.url, model);
+  return result(entry.from ? 'created' : 'pulled', {
+    digest,
+    digestMatches: Boolean(entry.digest) && digest === entry.digest,
+    jobId: job.id,
+  });
+};
+
+/**
+ * @swagger
+ * /api/export:
+ *   post:
+ *     summary: Export a manifest of installed models
+ *     description: >-
+ *       Describes the given models (name, tag, digest, size, details and
+ *       Modelfile parameters) so they can be imported on another endpoint.
+ *       The manifest is returned as a JSON or YAML download.
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - models
+ *             properties:
+ *               models:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["llama3:latest", "llama3:support-bot"]
+ *               format:
+ *                 type: string
+ *                 enum: [json, yaml]
+ *                 default: json
+ *     responses:
+ *       200:
+ *         description: The manifest
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModelManifest'
+ *           application/yaml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Model not found
+ */
+app.post(
+  ['/api/export', '/api/endpoints/:endpointId/export'],
+  resolveEndpoint,
+  [
+    body('models')
+      .isArray({ min: 1 })
+      .withMessage('Models must be a non-empty array'),
+    body('models.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Model names must be non-empty strings'),
+    body('format')
+      .optional()
+      .isIn(['json', 'yaml'])
+      .withMessage('Format must be json or yaml'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const names = [...new Set(req.body.models.map(normalizeModelName))];
+    const manifest = await buildModelManifest(req.ollamaEndpoint, names);
+    const fileName = `models-${manifest.endpoint.id}`;
+
+    if (req.body.format === 'yaml') {
+      res.attachment(`${fileName}.yaml`);
+      res.type('application/yaml').send(YAML.stringify(manifest));
+    } else {
+      res.attachment(`${fileName}.json`);
+      res.json(manifest);
+    }
+  }),
+);
+
+/**
+ * @swagger
+ * /api/import:
+ *   post:
+ *     summary: Import models from a manifest
+ *     description: >-
+ *       Makes every model listed in a manifest from `/api/export` present on
+ *       the endpoint. Models already installed with the listed digest are
+ *       left alone, models created from a Modelfile are recreated from their
+ *       parent, and everything else is pulled. Waits until all models are
+ *       done.
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - manifest
+ *             properties:
+ *               manifest:
+ *                 oneOf:
+ *                   - $ref: '#/components/schemas/ModelManifest'
+ *                   - type: string
+ *                     description: The manifest as JSON or YAML text
+ *     responses:
+ *       200:
+ *         description: Import results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [success, partial, error]
+ *                 present:
+ *                   type: integer
+ *                 pulled:
+ *                   type: integer
+ *                 created:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportResult'
+ *       400:
+ *         description: Invalid manifest
+ */
+app.post(
+  ['/api/import', '/api/endpoints/:endpointId/import'],
+  resolveEndpoint,
+  [body('manifest').exists().withMessage('Manifest is required')],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const manifest = parseModelManifest(req.body.manifest);
+    const endpoint = describeEndpoint(req.ollamaEndpoint);
+    const tags = await axios.get(`${endpoint.url}/api/tags`, {
+      timeout: 10000,
+    });
+    const installed = new Map(tags.data.models.map((m) => [m.name, m.digest]));
+
+    const results = await Promise.all(
+      manifest.models.map((entry) =>
+        importManifestEntry(endpoint, entry, installed).catch((error) => ({
+          model: `${entry.name}:${entry.tag}`,
+          status: 'failed',
+          expectedDigest: entry.digest || null,
+          error: error.message,
+        })),
+      ),
+    );
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+    const failed = count('failed');
+
+    res.json({
+      status:
+        failed === 0
+          ? 'success'
+          : failed === results.length
+            ? 'error'
+            : 'partial',
+      present: count('present'),
+      pulled: count('pulled'),
+      created: count('created'),
+      failed,
+      results,
+    });
+  }),
+);
+
+// Desired-state reconciliation. A YAML (or JSON) file declares the models
+// each endpoint should have; reconciling pulls what's missing, updates what
+// the registry has newer versions of and, with `prune`, deletes the rest:
+//
+//   prune: false        # defaults for every endpoint
+//   update: true
+//   models: [llama3:latest]
+//   endpoints:
+//     gpu1:
+//       prune: true
+//       models: [mistral:7b]
+//
+// Top-level models are wanted on every endpoint; otherwise only the listed
+// endpoints are reconciled.
+const DESIRED_STATE_FILE = process.env.DESIRED_STATE_FILE || './models.yaml';
+
+// Read the desired state from the request, or from DESIRED_STATE_FILE
+const loadDesiredState = (input) => {
+  let desired = input;
+  if (desired === undefined) {
+    try {
+      desired = fs.readFileSync(DESIRED_STATE_FILE, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw createError(
+        400,
+        `No desired state: send one or create ${DESIRED_STATE_FILE}`,
+      );
+    }
+  }
+  if (typeof desired === 'string') {
+    try {
+      desired = YAML.parse(desired);
+    } catch (error) {
+      throw createError(400, `Invalid desired state: ${error.message}`);
+    }
+  }
+  if (!desired || typeof desired !== 'object' || Array.isArray(desired)) {
+    throw createError(400, 'Invalid desired state: expected a mapping');
+  }
+  return desired;
+};
+
+// Resolve the desired state into per-endpoint targets, optionally limited to
+// some endpoints
+const resolveDesiredState = (desired, only) => {
+  const modelList = (models, where) => {
+    if (models === undefined) return [];
+    if (
+      !Array.isArray(models) ||
+      !models.every((name) => typeof name === 'string' && name.trim())
+    ) {
+      throw createError(
+        400,
+        `Invalid desired state: models ${where} must be a list of names`,
+      );
+    }
+    return models.map((name) => normalizeModelName(name.trim()));
+  };
+
+  const shared = modelList(desired.models, 'at the top level');
+  const targets = new Map();
+  const addTarget = (endpoint, config = {}) =>
+    targets.set(endpoint.url, {
+      endpoint: describeEndpoint(endpoint.url),
+      models: [
+        ...new Set([
+          ...shared,
+          ...modelList(config.models, `for ${endpoint.id}`),
+        ]),
+      ],
+      prune: Boolean(config.prune ?? desired.prune ?? false),
+      update: Boolean(config.update ?? desired.update ?? true),
+    });
+
+  if (shared.length > 0) getEndpoints().forEach((e) => addTarget(e));
+  Object.entries(desired.endpoints || {}).forEach(([key, config]) => {
+    const endpoint = findEndpoint(key);
+    if (!endpoint) {
+      throw createError(400, `Unknown endpoint in desired state: ${key}`);
+    }
+    addTarget(endpoint, config || {});
+  });
+
+  return [...targets.values()].filter(
+    (target) =>
+      !only ||
+      only.some(
+        (idOrUrl) => findEndpoint(idOrUrl)?.url === target.endpoint.url,
+      ),
+  );
+};
+
+// Compare one endpoint's installed models with its target
+const planEndpoint = async (target) => {
+  const plan = {
+    endpoint: target.endpoint,
+    pull: [],
+    update: [],
+    delete: [],
+    satisfied: [],
+  };
+  let installed;
+  try {
+    const tags = await axios.get(`${target.endpoint.url}/api/tags`, {
+      timeout: 10000,
+    });
+    installed = new Map(tags.data.models.map((m) => [m.name, m]));
+  } catch (error) {
+    return { ...plan, error: `Failed to reach endpoint: ${error.message}` };
+  }
+
+  const checks = await Promise.all(
+    target.models.map(async (model) => {
+      if (!installed.has(model)) return { model, action: 'pull' };
+      if (!target.update) return { model, action: 'satisfied' };
+      const check = await checkModelUpdate(installed.get(model));
+      return {
+        model,
+        action: check.status === 'update-available' ? 'update' : 'satisfied',
+      };
+    }),
+  );
+  checks.forEach(({ model, action }) => plan[action].push(model));
+
+  if (target.prune) {
+    plan.delete = [...installed.keys()]
+      .filter((model) => !target.models.includes(model))
+      .sort();
+  }
+  return plan;
+};
+
+const reconcileValidators = [
+  body('endpoints')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Endpoints must be a non-empty array'),
+  body('desired')
+    .optional()
+    .custom((value) => typeof value === 'string' || typeof value === 'object')
+    .withMessage('Desired state must be an object or YAML text'),
+];
+
+// Plan reconciliation for every targeted endpoint
+const planReconcile = async (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createError(400, { errors: errors.array() });
+  }
+
+  if (req.body.endpoints) {
+    assertEndpointScope(
+      req,
+      req.body.endpoints.map(findEndpoint).filter(Boolean),
+    );
+  }
+  const targets = resolveDesiredState(
+    loadDesiredState(req.body.desired),
+    req.body.endpoints,
+  ).filter((target) => canUseEndpoint(req, target.endpoint));
+  return Promise.all(targets.map(planEndpoint));
+};
+
+// Fingerprint of what a plan would change, so applying can check it's still
+// the plan that was reviewed
+const hashPlan = (plan) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify(
+        plan.map((entry) => [
+          entry.endpoint.url,
+          entry.pull,
+          entry.update,
+          entry.delete,
+          entry.error || null,
+        ]),
+      ),
+    )
+    .digest('hex');
+
+/**
+ * @swagger
+ * /api/reconcile/plan:
+ *   post:
+ *     summary: Plan reconciling endpoints with the desired state
+ *     description: >-
+ *       Compares the models installed on each endpoint with a desired-state
+ *       file (DESIRED_STATE_FILE, default `./models.yaml`) or the `desired`
+ *       state in the request, and lists what reconciling would pull, update
+ *       and delete. Nothing is changed.
+ *     tags: [Reconcile]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               desired:
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *                 description: Desired state to use instead of the file, as an object or YAML text
+ *                 example: { "models": ["llama3:latest"], "endpoints": { "gpu1": { "prune": true, "models": ["mistral:7b"] } } }
+ *               endpoints:
+ *                 type: array
+ *                 description: Only reconcile these endpoints (IDs or URLs)
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Plan per endpoint
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 plan:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReconcilePlan'
+ *                 planHash:
+ *                   type: string
+ *                   description: Pass to `/api/reconcile/apply` to apply this plan
+ *       400:
+ *         description: Missing or invalid desired state
+ */
+app.post(
+  '/api/reconcile/plan',
+  reconcileValidators,
+  asyncHandler(async (req, res) => {
+    const plan = await planReconcile(req);
+    res.json({ plan, planHash: hashPlan(plan) });
+  }),
+);
+
+/**
+ * @swagger
+ * /api/reconcile/apply:
+ *   post:
+ *     summary: Reconcile endpoints with the desired state
+ *     description: >-
+ *       Plans like `/api/reconcile/plan` and, if that's still the reviewed
+ *       plan, applies it: pulls and updates run as background jobs, then
+ *       models are deleted like `DELETE /api/models`. Waits until everything
+ *       is done.
+ *     tags: [Reconcile]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               desired:
+ *                 oneOf:
+ *                   - type: object
+ *                   - type: string
+ *               endpoints:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               planHash:
+ *                 type: string
+ *                 description: The `planHash` of the reviewed plan
+ *               force:
+ *                 type: boolean
+ *                 description: Unload loaded models so they can be deleted
+ *     responses:
+ *       200:
+ *         description: The applied plan and a result per action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [success, partial, error]
+ *                 plan:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReconcilePlan'
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       endpoint:
+ *                         type: string
+ *                       model:
+ *                         type: string
+ *                       action:
+ *                         type: string
+ *                         enum: [pull, update, delete]
+ *                       status:
+ *                         type: string
+ *                         enum: [done, skipped, failed]
+ *                       error:
+ *                         type: string
+ *                       jobId:
+ *                         type: string
+ *       400:
+ *         description: Missing or invalid desired state
+ *       409:
+ *         description: The plan changed since it was reviewed; the new plan is returned
+ */
+app.post(
+  '/api/reconcile/apply',
+  [
+    ...reconcileValidators,
+    body('planHash')
+      .isString()
+      .notEmpty()
+      .withMessage('planHash from /api/reconcile/plan is required'),
+    body('force').optional().isBoolean().toBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const plan = await planReconcile(req);
+    const planHash = hashPlan(plan);
+    if (planHash !== req.body.planHash) {
+      return res.status(409).json({
+        success: false,
+        message: 'The plan changed since it was reviewed, review it again',
+        plan,
+        planHash,
+      });
+    }
+    res.locals.endpoints = plan
+      .filter(
+        (endpointPlan) =>
+          endpointPlan.error ||
+          ['pull', 'update', 'delete'].some(
+            (action) => endpointPlan[action].length > 0,
+          ),
+      )
+      .map((endpointPlan) => endpointPlan.endpoint.id);
+
+    const results = (
+      await Promise.all(
+        plan.map(async (endpointPlan) => {
+          const { endpoint } = endpointPlan;
+          if (endpointPlan.error) {
+            return [
+              {
+                endpoint: endpoint.id,
+                model: null,
+                action: null,
+                status: 'failed',
+                error: endpointPlan.error,
+              },
+            ];
+          }
+
+          // Models are only pruned once everything wanted is in place
+          const jobResults = await Promise.all(
+            ['pull', 'update'].flatMap((action) =>
+              endpointPlan[action].map(async (model) => {
+                const job = await waitForJob(
+                  enqueueJob({ type: action, model, endpoint }),
+                );
+                return {
+                  endpoint: endpoint.id,
+                  model,
+                  action,
+                  status: job.status === 'completed' ? 'done' : 'failed',
+                  ...(job.status !== 'completed' && {
+                    error: job.error || `${action} ${job.status}`,
+                  }),
+                  jobId: job.id,
+                };
+              }),
+            ),
+          );
+          if (jobResults.some((result) => result.status === 'failed')) {
+            return [
+              ...jobResults,
+              ...endpointPlan.delete.map((model) => ({
+                endpoint: endpoint.id,
+                model,
+                action: 'delete',
+                status: 'skipped',
+                error: 'Not deleted because a pull or update failed',
+              })),
+            ];
+          }
+          const deleteResults =
+            endpointPlan.delete.length > 0
+              ? await deleteModelsOnEndpoint(endpoint, endpointPlan.delete, {
+                  dryRun: false,
+                  force: Boolean(req.body.force),
+                })
+              : [];
+
+          return [
+            ...jobResults,
+            ...deleteResults.map((result) => ({
+              endpoint: endpoint.id,
+              model: result.model,
+              action: 'delete',
+              status:
+                result.status === 'deleted' || result.status === 'not-found'
+                  ? 'done'
+                  : result.status,
+              ...(result.error && { error: result.error }),
+            })),
+          ];
+        }),
+      )
+    ).flat();
+
+    const failed = results.filter((result) => result.status === 'failed');
+    res.json({
+      status:
+        failed.length === 0
+          ? 'success'
+          : failed.length === results.length
+            ? 'error'
+            : 'partial',
+      plan,
+      results,
+    });
+  }),
+);
+
+// Storage analytics. Models share layers (e.g. a model and the ones created
+// from it), so their listed sizes overstate disk usage and what deleting
+// them frees. Layer lists come from manifests, read from the endpoint's
+// models directory (OLLAMA_MODELS_DIRS) or else from the registry.
+const STORAGE_LARGEST_LIMIT = 5;
+
+// Blobs (config included) of an installed model, or null if its manifest
+// can't be read. Registry manifests are only used if they're the installed
+// version.
+const getModelLayers = async (endpoint, model) => {
+  const toLayers = (manifest) =>
+    [manifest.config, ...(manifest.layers || [])]
+      .filter(Boolean)
+      .map(({ digest, size }) => ({ digest, size }));
+
+  const modelsDir = getModelsDirs()[endpoint.id];
+  if (modelsDir) {
+    try {
+      return toLayers(await readLocalManifest(modelsDir, model.name));
+    } catch (error) {
+      logger.warn(
+        `Failed to read the manifest of ${model.name} in ${modelsDir}: ${error.message}`,
+      );
+    }
+  }
+
+  try {
+    const response = await fetchRegistryManifest(model.name);
+    if (!response) return null;
+    const digest = crypto
+      .createHash('sha256')
+      .update(response.data)
+      .digest('hex');
+    if (digest !== model.digest.replace(/^sha256:/, '')) return null;
+    return toLayers(JSON.parse(response.data.toString('utf8')));
+  } catch (error) {
+    logger.warn(
+      `Failed to fetch the manifest of ${model.name}: ${error.message}`,
+    );
+    return null;
+  }
+};
+
+// Work out which bytes each model on an endpoint has to itself
+const analyzeStorage = async (endpoint) => {
+  const tags = await axios.get(`${endpoint.url}/api/tags`, { timeout: 10000 });
+  const installed = tags.data.models || [];
+
+  // Fetch a few manifests at a time to go easy on the registry
+  const layers = [];
+  for (let i = 0; i < installed.length; i += REGISTRY_CHECK_CONCURRENCY) {
+    layers.push(
+      ...(await Promise.all(
+        installed
+          .slice(i, i + REGISTRY_CHECK_CONCURRENCY)
+          .map((model) => getModelLayers(endpoint, model)),
+      )),
+    );
+  }
+
+  // Which models use each blob
+  const blobs = new Map();
+  installed.forEach((model, index) => {
+    (layers[index] || []).forEach(({ digest, size }) => {
+      const blob = blobs.get(digest) || { size, models: new Set() };
+      blob.models.add(model.name);
+      blobs.set(digest, blob);
+    });
+  });
+
+  const models = installed.map((model, index) => {
+    if (!layers[index]) {
+      return {
+        model: model.name,
+        size: model.size,
+        uniqueBytes: model.size,
+        sharedBytes: 0,
+        sharedWith: [],
+        layersKnown: false,
+      };
+    }
+    const sharedWith = new Set();
+    let uniqueBytes = 0;
+    let sharedBytes = 0;
+    new Set(layers[index].map(({ digest }) => digest)).forEach((digest) => {
+      const blob = blobs.get(digest);
+      if (blob.models.size === 1) {
+        uniqueBytes += blob.size;
+      } else {
+        sharedBytes += blob.size;
+        blob.models.forEach((name) => sharedWith.add(name));
+      }
+    });
+    sharedWith.delete(model.name);
+    return {
+      model: model.name,
+      size: model.size,
+      uniqueBytes,
+      sharedBytes,
+      sharedWith: [...sharedWith].sort(),
+      layersKnown: true,
+    };
+  });
+
+  return { models, blobs };
+};
+
+// Bytes freed by deleting a set of models: blobs no other model uses, plus
+// models whose layers aren't known
+const reclaimableBytes = ({ models, blobs }, names) => {
+  const deleting = new Set(names);
+  const unknown = models
+    .filter((model) => deleting.has(model.model) && !model.layersKnown)
+    .reduce((total, model) => total + model.size, 0);
+  return [...blobs.values()]
+    .filter((blob) => [...blob.models].every((name) => deleting.has(name)))
+    .reduce((total, blob) => total + blob.size, unknown);
+};
+
+/**
+ * @swagger
+ * /api/storage:
+ *   get:
+ *     summary: Analyze disk usage of installed models
+ *     description: >-
+ *       Splits each model's size into bytes it has to itself and bytes in
+ *       layers shared with other models, from the models' manifests. Manifests
+ *       are read from the endpoint's models directory (`OLLAMA_MODELS_DIRS`)
+ *       or fetched from the registry.
+ *     tags: [Models]
+ *     parameters:
+ *       - $ref: '#/components/parameters/EndpointHeader'
+ *       - in: query
+ *         name: reclaim
+ *         schema:
+ *           type: string
+ *         description: Comma-separated models to work out the space freed by deleting
+ *         example: "llama3:latest,llama3:support-bot"
+ *     responses:
+ *       200:
+ *         description: Storage analysis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 endpoint:
+ *                   type: object
+ *                 totalBytes:
+ *                   type: integer
+ *                   description: Sum of the listed model sizes
+ *                 diskBytes:
+ *                   type: integer
+ *                   description: Bytes actually used, counting shared layers once
+ *                 sharedSavingsBytes:
+ *                   type: integer
+ *                   description: Bytes saved by sharing layers
+ *                 largest:
+ *                   type: array
+ *                   description: Models using the most space of their own
+ *                   items:
+ *                     $ref: '#/components/schemas/ModelStorage'
+ *                 models:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ModelStorage'
+ *                 accurate:
+ *                   type: boolean
+ *                   description: False if some models' layers are unknown, so they're counted in full
+ *                 note:
+ *                   type: string
+ *                   description: Why the analysis isn't accurate, only when it isn't
+ *                 reclaimable:
+ *                   type: object
+ *                   description: Only with `reclaim`
+ *                   properties:
+ *                     models:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     notFound:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     listedBytes:
+ *                       type: integer
+ *                       description: Sum of the listed sizes of the models
+ *                     bytes:
+ *                       type: integer
+ *                       description: Bytes actually freed by deleting them
+ */
+app.get(
+  ['/api/storage', '/api/endpoints/:endpointId/storage'],
+  resolveEndpoint,
+  asyncHandler(async (req, res) => {
+    const endpoint = describeEndpoint(req.ollamaEndpoint);
+    const analysis = await analyzeStorage(endpoint);
+    const { models } = analysis;
+
+    const totalBytes = models.reduce((total, model) => total + model.size, 0);
+    const diskBytes = reclaimableBytes(
+      analysis,
+      models.map((model) => model.model),
+    );
+    const result = {
+      endpoint,
+      totalBytes,
+      diskBytes,
+      sharedSavingsBytes: totalBytes - diskBytes,
+      largest: [...models]
+        .sort((a, b) => b.uniqueBytes - a.uniqueBytes)
+        .slice(0, STORAGE_LARGEST_LIMIT),
+      models: models.sort((a, b) => a.model.localeCompare(b.model)),
+      accurate: models.every((model) => model.layersKnown),
+    };
+    // Without a models directory, only manifests the registry still has can
+    // be read, so models created locally are counted in full
+    if (!result.accurate) {
+      const unknown = models.filter((model) => !model.layersKnown).length;
+      result.note = getModelsDirs()[endpoint.id]
+        ? `The manifests of ${unknown} model(s) couldn't be read, so they're counted in full and disk usage is overstated`
+        : `${unknown} model(s) aren't in the registry at their installed version, like models created locally, so they're counted in full and disk usage is overstated. Set OLLAMA_MODELS_DIRS for ${endpoint.id} to read manifests from disk.`;
+    }
+
+    if (req.query.reclaim) {
+      const requested = [
+        ...new Set(
+          String(req.query.reclaim)
+            .split(',')
+            .map((name) => name.trim())
+            .filter(Boolean)
+            .map(normalizeModelName),
+        ),
+      ];
+      const sizes = new Map(models.map((model) => [model.model, model.size]));
+      const found = requested.filter((name) => sizes.has(name));
+      result.reclaimable = {
+        models: found,
+        notFound: requested.filter((name) => !sizes.has(name)),
+        listedBytes: found.reduce((total, name) => total + sizes.get(name), 0),
+        bytes: reclaimableBytes(analysis, found),
+      };
+    }
+
+    res.json(result);
+  }),
+);
+
+// OpenAI-compatible gateway. Requests to /v1 are sent to an endpoint that
+// has the model installed, preferring endpoints where it's already loaded,
+// and passed through to Ollama's own OpenAI-compatible API. If an endpoint
+// fails before anything was sent to the client, the next one is tried.
+const GATEWAY_STRATEGY =
+  process.env.GATEWAY_STRATEGY === 'round-robin' ? 'round-robin' : 'least-busy';
+const GATEWAY_CACHE_MS = 5000; // How long an endpoint's model lists are reused
+const gatewayModels = new Map(); // endpoint URL -> { at, installed, loaded }
+const gatewayInFlight = new Map(); // endpoint URL -> requests in progress
+let gatewayTurn = 0;
+
+// Installed and loaded models of an endpoint, cached briefly so every
+// request doesn't query the whole fleet
+const getGatewayModels = async (endpoint) => {
+  const cached = gatewayModels.get(endpoint.url);
+  if (cached && Date.now() - cached.at < GATEWAY_CACHE_MS) return cached;
+
+  const [tags, ps] = await Promise.all([
+    axios.get(`${endpoint.url}/api/tags`, { timeout: 5000 }),
+    axios.get(`${endpoint.url}/api/ps`, { timeout: 5000 }),
+  ]);
+  const models = {
+    at: Date.now(),
+    installed: new Set((tags.data.models || []).map((model) => model.name)),
+    loaded: new Set((ps.data.models || []).map((model) => model.name)),
+  };
+  gatewayModels.set(endpoint.url, models);
+  return models;
+};
+
+// Endpoints that can serve a model, best first. Only the endpoints of the
+// first matching proxy route are considered, and endpoints the health
+// monitor last saw down are left out.
+const rankGatewayEndpoints = async (req, model) => {
+  const wanted = normalizeModelName(model);
+  const endpoints = routeEndpointsFor(wanted).filter(
+    (endpoint) =>
+      canUseEndpoint(req, endpoint) &&
+      healthHistory.get(endpoint.url)?.at(-1)?.up !== false,
+  );
+  const states = await Promise.all(
+    endpoints.map((endpoint) => getGatewayModels(endpoint).catch(() => null)),
+  );
+  const candidates = endpoints
+    .map((endpoint, index) => ({ endpoint, state: states[index] }))
+    .filter(({ state }) => state?.installed.has(wanted));
+
+  // Rotate first so ties are shared out in turn
+  const turn = gatewayTurn++;
+  const busy = ({ endpoint }) => gatewayInFlight.get(endpoint.url) || 0;
+  return candidates
+    .map((_, index) => candidates[(index + turn) % candidates.length])
+    .sort(
+      (a, b) =>
+        b.state.loaded.has(wanted) - a.state.loaded.has(wanted) ||
+        (GATEWAY_STRATEGY === 'least-busy' ? busy(a) - busy(b) : 0),
+    )
+    .map(({ endpoint }) => endpoint);
+};
+
+// Errors in the shape OpenAI clients expect
+const sendOpenAIError = (res, status, message, type, code = null) =>
+  res.status(status).json({ error: { message, type, param: null, code } });
+
+// Pass a request through to the first endpoint that handles it, at the
+// same path or at `path(req)`. Streaming responses are forwarded chunk by
+// chunk.
+const proxyToGateway = (path, sendError = sendOpenAIError) =>
+  asyncHandler(async (req, res) => {
+    const model = req.body?.model ?? req.body?.name;
+    if (typeof model !== 'string' || !model.trim()) {
+      return sendError(
+        res,
+        400,
+        'You must provide a model parameter',
+        'invalid_request_error',
+      );
+    }
+
+    const endpoints = await rankGatewayEndpoints(req, model);
+    if (endpoints.length === 0) {
+      return sendError(
+        res,
+        404,
+        `The model '${model}' is not installed on any reachable endpoint`,
+        'invalid_request_error',
+        'model_not_found',
+      );
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    let lastError;
+    for (const endpoint of endpoints) {
+      gatewayInFlight.set(
+        endpoint.url,
+        (gatewayInFlight.get(endpoint.url) || 0) + 1,
+      );
+      try {
+        const url = `${endpoint.url}${typeof path === 'function' ? path(req) : path}`;
+        const upstream = await axios.post(url, req.body, {
+          responseType: 'stream',
+          signal: controller.signal,
+          validateStatus: () => true,
+        });
+
+        // Another endpoint may do better with server errors, or with a
+        // model deleted since the model lists were cached
+        if (upstream.status >= 500 || upstream.status === 404) {
+          let body = '';
+          for await (const chunk of upstream.data) body += chunk;
+          throw new Error(
+            `${upstream.status} ${body.trim() || upstream.statusText}`,
+          );
+        }
+
+        res.status(upstream.status);
+        res.setHeader(
+          'Content-Type',
+          upstream.headers['content-type'] || 'application/json',
+        );
+        res.setHeader('X-Gateway-Endpoint', endpoint.id);
+        for await (const chunk of upstream.data) {
+          res.write(chunk);
+          res.flush?.(); // Don't let compression hold back tokens
+        }
+        res.end();
+        return;
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        if (res.headersSent) {
+          logger.error(
+            `Gateway stream from ${endpoint.id} failed: ${error.message}`,
+          );
+          res.end();
+          return;
+        }
+        logger.warn(
+          `Gateway request for ${model} to ${endpoint.id} failed: ${error.message}`,
+        );
+        lastError = error.message;
+        gatewayModels.delete(endpoint.url);
+      } finally {
+        gatewayInFlight.set(
+          endpoint.url,
+          gatewayInFlight.get(endpoint.url) - 1,
+        );
+      }
+    }
+
+    return sendError(
+      res,
+      502,
+      `Every endpoint with ${model} failed, last error: ${lastError}`,
+      'api_error',
+    );
+  });
+
+/**
+ * @swagger
+ * /v1/chat/completions:
+ *   post:
+ *     summary: OpenAI-compatible chat completions, routed across the fleet
+ *     description: >-
+ *       Sent to an endpoint that has `model` installed, preferring endpoints
+ *       where it's loaded, then the least busy one (GATEWAY_STRATEGY
+ *       `least-busy`, the default) or the next in turn (`round-robin`). If an
+ *       endpoint fails the next one is tried. The request and response are
+ *       Ollama's OpenAI-compatible API, streaming included; the endpoint used
+ *       is in the X-Gateway-Endpoint header.
+ *     tags: [Gateway]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - model
+ *               - messages
+ *             properties:
+ *               model:
+ *                 type: string
+ *                 example: "llama3"
+ *               messages:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               stream:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Completion, or server-sent events when streaming
+ *       404:
+ *         description: No reachable endpoint has the model
+ *       502:
+ *         description: Every endpoint with the model failed
+ */
+app.post('/v1/chat/completions', proxyToGateway('/v1/chat/completions'));
+
+/**
+ * @swagger
+ * /v1/embeddings:
+ *   post:
+ *     summary: OpenAI-compatible embeddings, routed across the fleet
+ *     description: Routed like `/v1/chat/completions`.
+ *     tags: [Gateway]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - model
+ *               - input
+ *             properties:
+ *               model:
+ *                 type: string
+ *                 example: "nomic-embed-text"
+ *               input:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Embeddings
+ *       404:
+ *         description: No reachable endpoint has the model
+ *       502:
+ *         description: Every endpoint with the model failed
+ */
+app.post('/v1/embeddings', proxyToGateway('/v1/embeddings'));
+
+/**
+ * @swagger
+ * /v1/models:
+ *   get:
+ *     summary: List the models available through the gateway
+ *     description: Every model installed on at least one reachable endpoint.
+ *     tags: [Gateway]
+ *     responses:
+ *       200:
+ *         description: Models in OpenAI's list format
+ */
+app.get(
+  '/v1/models',
+  asyncHandler(async (req, res) => {
+    const states = await Promise.all(
+      scopedEndpoints(req).map((endpoint) =>
+        getGatewayModels(endpoint).catch(() => null),
+      ),
+    );
+    const names = new Set(
+      states.flatMap((state) => (state ? [...state.installed] : [])),
+    );
+    res.json({
+      object: 'list',
+      data: [...names].sort().map((id) => ({
+        id,
+        object: 'model',
+        created: 0,
+        owned_by: 'ollama',
+      })),
+    });
+  }),
+);
+
+// Ollama-compatible proxy. Native Ollama clients pointed at
+// http://<manager>/ollama see the fleet as one Ollama server: model
+// requests are routed like the /v1 gateway, and model lists are merged.
+// Proxy routes pin model name patterns to endpoints; the first matching
+// route (highest priority, then oldest) decides which endpoints are used.
+const proxyRoutes = readStateFile('proxy-routes.json', []);
+const PROXY_ROUTE_FIELDS = ['pattern', 'endpoints', 'priority'];
+
+const saveProxyRoutes = () => {
+  try {
+    writeStateFile('proxy-routes.json', proxyRoutes);
+  } catch (error) {
+    logger.error('Failed to persist proxy routes:', error);
+  }
+};
+
+const sortProxyRoutes = () =>
+  proxyRoutes.sort(
+    (a, b) => b.priority - a.priority || a.createdAt.localeCompare(b.createdAt),
+  );
+
+// Endpoints a model may be served from
+const routeEndpointsFor = (model) => {
+  const route = proxyRoutes.find((candidate) =>
+    modelMatchesPattern(model, candidate.pattern),
+  );
+  if (!route) return getEndpoints();
+  return route.endpoints.map(findEndpoint).filter(Boolean);
+};
+
+const proxyRouteValidators = ({ optional = false } = {}) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('pattern')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Pattern is required'),
+    field('endpoints')
+      .isArray({ min: 1 })
+      .custom((ids) => ids.every(findEndpoint))
+      .withMessage('Endpoints must be a non-empty array of known endpoint IDs'),
+    body('priority')
+      .optional()
+      .isInt()
+      .toInt()
+      .withMessage('Priority must be an integer'),
+  ];
+};
+
+/**
+ * @swagger
+ * /api/proxy/routes:
+ *   get:
+ *     summary: List proxy routes
+ *     description: Routes in the order they're matched.
+ *     tags: [Proxy]
+ *     responses:
+ *       200:
+ *         description: Proxy routes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProxyRoute'
+ *   post:
+ *     summary: Create a proxy route
+ *     tags: [Proxy]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProxyRoute'
+ *     responses:
+ *       201:
+ *         description: Route created
+ *       400:
+ *         description: Invalid route
+ */
+app.get('/api/proxy/routes', (req, res) => {
+  res.json(proxyRoutes);
+});
+
+app.post(
+  '/api/proxy/routes',
+  proxyRouteValidators(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    assertTargetScope(req, req.body.endpoints);
+
+    const now = new Date().toISOString();
+    const route = {
+      id: crypto.randomUUID(),
+      priority: 0,
+      ...Object.fromEntries(
+        PROXY_ROUTE_FIELDS.filter((key) => req.body[key] !== undefined).map(
+          (key) => [key, req.body[key]],
+        ),
+      ),
+      createdAt: now,
+      updatedAt: now,
+    };
+    proxyRoutes.push(route);
+    sortProxyRoutes();
+    saveProxyRoutes();
+    res.status(201).json(route);
+  }),
+);
+
+/**
+ * @swagger
+ * /api/proxy/routes/{id}:
+ *   put:
+ *     summary: Update a proxy route
+ *     description: Fields that are left out keep their current values.
+ *     tags: [Proxy]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProxyRoute'
+ *     responses:
+ *       200:
+ *         description: The updated route
+ *       400:
+ *         description: Invalid route
+ *       404:
+ *         description: Route not found
+ *   delete:
+ *     summary: Delete a proxy route
+ *     tags: [Proxy]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Route deleted
+ *       404:
+ *         description: Route not found
+ */
+app.put(
+  '/api/proxy/routes/:id',
+  proxyRouteValidators({ optional: true }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const route = proxyRoutes.find(({ id }) => id === req.params.id);
+    if (!route) {
+      throw createError(404, `Proxy route not found: ${req.params.id}`);
+    }
+    assertTargetScope(req, req.body.endpoints || route.endpoints);
+    PROXY_ROUTE_FIELDS.filter((key) => req.body[key] !== undefined).forEach(
+      (key) => {
+        route[key] = req.body[key];
+      },
+    );
+    route.updatedAt = new Date().toISOString();
+    sortProxyRoutes();
+    saveProxyRoutes();
+    res.json(route);
+  }),
+);
+
+app.delete('/api/proxy/routes/:id', (req, res, next) => {
+  const index = proxyRoutes.findIndex(({ id }) => id === req.params.id);
+  if (index === -1) {
+    return next(createError(404, `Proxy route not found: ${req.params.id}`));
+  }
+  assertTargetScope(req, proxyRoutes[index].endpoints);
+  proxyRoutes.splice(index, 1);
+  saveProxyRoutes();
+  res.json({ success: true, message: 'Proxy route deleted' });
+});
+
+// Errors in the shape Ollama clients expect
+const sendOllamaError = (res, status, message) =>
+  res.status(status).json({ error: message });
+
+// Ollama clients check that the server is up by fetching its root
+app.get('/ollama', (req, res) => {
+  res.type('text/plain').send('Ollama is running');
+});
+
+/**
+ * @swagger
+ * /ollama/api/{operation}:
+ *   post:
+ *     summary: Ollama-compatible model requests, routed across the fleet
+ *     description: >-
+ *       Forwards `generate`, `chat`, `embed`, `embeddings` and `show`
+ *       requests unchanged to an endpoint that has the model, chosen like
+ *       the `/v1` gateway within the endpoints of the first matching proxy
+ *       route. Streaming responses are passed through; the endpoint used is
+ *       in the X-Gateway-Endpoint header.
+ *     tags: [Proxy]
+ *     parameters:
+ *       - in: path
+ *         name: operation
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [generate, chat, embed, embeddings, show]
+ *     responses:
+ *       200:
+ *         description: Ollama's response
+ *       404:
+ *         description: No reachable endpoint has the model
+ *       502:
+ *         description: Every endpoint with the model failed
+ */
+app.post(
+  [
+    '/ollama/api/generate',
+    '/ollama/api/chat',
+    '/ollama/api/embed',
+    '/ollama/api/embeddings',
+    '/ollama/api/show',
+  ],
+  proxyToGateway((req) => req.path.slice('/ollama'.length), sendOllamaError),
+);
+
+// Fetch a list from every reachable endpoint and merge it by model name,
+// keeping the first endpoint's entry for models on several
+const mergeFleetModels = async (req, path) => {
+  const responses = await Promise.allSettled(
+    scopedEndpoints(req).map((endpoint) =>
+      axios.get(`${endpoint.url}${path}`, { timeout: 10000 }),
+    ),
+  );
+  const models = new Map();
+  responses
+    .filter((response) => response.status === 'fulfilled')
+    .flatMap((response) => response.value.data.models || [])
+    .forEach((model) => {
+      if (!models.has(model.name)) models.set(model.name, model);
+    });
+  return [...models.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * @swagger
+ * /ollama/api/tags:
+ *   get:
+ *     summary: Models installed anywhere in the fleet, as Ollama lists them
+ *     tags: [Proxy]
+ *     responses:
+ *       200:
+ *         description: Ollama's `/api/tags` response, merged across endpoints
+ */
+app.get(
+  '/ollama/api/tags',
+  asyncHandler(async (req, res) => {
+    res.json({ models: await mergeFleetModels(req, '/api/tags') });
+  }),
+);
+
+/**
+ * @swagger
+ * /ollama/api/ps:
+ *   get:
+ *     summary: Models loaded anywhere in the fleet, as Ollama lists them
+ *     tags: [Proxy]
+ *     responses:
+ *       200:
+ *         description: Ollama's `/api/ps` response, merged across endpoints
  */
+app.get(
+  '/ollama/api/ps',
+  asyncHandler(async (req, res) => {
+    res.json({ models: await mergeFleetModels(req, '/api/ps') });
+  }),
+);
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-const server = app.listen(PORT, '0.0.0.0', () => {
-  const address = server.address();
-  const host = address.address === '::' ? 'localhost' : address.address;
-  const port = address.port;
+/**
+ * @swagger
+ * /ollama/api/version:
+ *   get:
+ *     summary: Ollama version, as reported by the first reachable endpoint
+ *     tags: [Proxy]
+ *     responses:
+ *       200:
+ *         description: Ollama's `/api/version` response
+ *       502:
+ *         description: No endpoint is reachable
+ */
+app.get(
+  '/ollama/api/version',
+  asyncHandler(async (req, res) => {
+    for (const endpoint of scopedEndpoints(req)) {
+      const probe = await probeEndpoint(endpoint.url);
+      if (probe.reachable) return res.json({ version: probe.version });
+    }
+    sendOllamaError(res, 502, 'No Ollama endpoint is reachable');
+  }),
+);
 
-  console.log(`Server running at http://${host}:${port}`);
-  logger.info(`Server running at http://${host}:${port}`);
+// Sessions and API key management. Signing in with an API key gives a
+// session token for the browser to use instead of keeping the key; tokens
+// live in memory, so a restart signs everyone out. SSO sessions live in
+// their cookie instead.
+const newSecret = (prefix = '') =>
+  `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
 
-  if (process.env.NODE_ENV !== 'production') {
-    console.log(
-      `API Documentation available at http://${host}:${port}/api-docs`,
-    );
-    logger.info(
-      `API Documentation available at http://${host}:${port}/api-docs`,
-    );
-  }
+// A key as shown to clients, never with its hash
+const describeApiKey = (key) => ({
+  id: key.id,
+  name: key.name,
+  role: key.role,
+  endpoints: key.endpoints,
+  prefix: key.prefix,
+  createdAt: key.createdAt,
+  createdBy: key.createdBy,
+  revokedAt: key.revokedAt,
+});
 
-  // Log environment info
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(
-    `Ollama endpoints: ${process.env.OLLAMA_ENDPOINTS || 'Not configured'}`,
-  );
+const describeCaller = (key) => ({
+  id: key.id,
+  name: key.name,
+  role: key.role,
+  endpoints: key.endpoints,
 });
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  // Consider restarting the server or performing cleanup
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Sign in with an API key
+ *     description: Exchanges an API key for a session token that expires
+ *       after SESSION_TTL_HOURS. Send the token like an API key.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - apiKey
+ *             properties:
+ *               apiKey:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 user:
+ *                   $ref: '#/components/schemas/Caller'
+ *       400:
+ *         description: Authentication is off
+ *       401:
+ *         description: Unknown or revoked API key
+ */
+app.post(
+  '/api/auth/login',
+  [body('apiKey').isString().notEmpty().withMessage('API key is required')],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+    if (!authEnabled()) {
+      throw createError(400, 'Authentication is not enabled');
+    }
+
+    const key = findKey(req.body.apiKey);
+    if (!key) throw createError(401, 'Invalid API key');
+    req.auth = describeCaller(key); // For the audit log
+
+    const now = Date.now();
+    sessions.forEach((session, hash) => {
+      if (session.expiresAt <= now) sessions.delete(hash);
+    });
+    const token = newSecret();
+    const expiresAt = now + SESSION_TTL_MS;
+    sessions.set(hashSecret(token), { keyId: key.id, expiresAt });
+    logger.info(`${key.name} signed in`);
+
+    res.json({
+      token,
+      expiresAt: new Date(expiresAt).toISOString(),
+      user: describeCaller(key),
+    });
+  }),
+);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: End the current session
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Signed out
+ */
+app.post('/api/auth/logout', (req, res) => {
+  const token = req.get('authorization')?.replace(/^Bearer\s+/i, '');
+  if (token) sessions.delete(hashSecret(token));
+  res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+  res.json({ success: true, message: 'Signed out' });
 });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  logger.error('Uncaught Exception:', error);
-  // Perform cleanup if needed
-  process.exit(1); // Exit with error
+/**
+ * @swagger
+ * /api/auth/methods:
+ *   get:
+ *     summary: Ways to sign in
+ *     description: Needs no authentication, so sign-in pages can use it.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Sign-in methods
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 authEnabled:
+ *                   type: boolean
+ *                 apiKey:
+ *                   type: boolean
+ *                   description: Whether API keys can sign in
+ *                 oidc:
+ *                   type: boolean
+ *                   description: Whether SSO sign-in is set up
+ */
+app.get('/api/auth/methods', (req, res) => {
+  res.json({
+    authEnabled: authEnabled(),
+    apiKey: apiKeysEnabled(),
+    oidc: Boolean(OIDC),
+  });
 });
 
-// Graceful shutdown
-const shutdown = (signal) => {
-  logger.info(`Received ${signal}. Shutting down gracefully...`);
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Who the caller is
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The caller, or null when authentication is off
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 authEnabled:
+ *                   type: boolean
+ *                 user:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Caller'
+ *       401:
+ *         description: Not signed in
+ */
+app.get('/api/auth/me', (req, res) => {
+  res.json({ authEnabled: authEnabled(), user: req.auth });
+});
 
-  // Close the server
-  server.close((err) => {
-    if (err) {
-      logger.error('Error during server shutdown:', err);
-      process.exit(1);
+// Single sign-on with OpenID Connect: the authorization code flow with
+// PKCE. The ID token's signature is checked against the provider's JWKS,
+// and the user's groups, from the ID token or else the userinfo endpoint,
+// are mapped to a role with OIDC_ROLE_MAP.
+const OIDC_COOKIE = 'omm_oidc';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+const OIDC_LOGIN_TTL_MS = 10 * 60 * 1000;
+let oidcDiscovery = null; // Promise of the provider's configuration
+let oidcKeys = null;
+
+const getOidcConfig = () => {
+  oidcDiscovery ??= axios
+    .get(`${OIDC.issuer}/.well-known/openid-configuration`, {
+      timeout: 10000,
+    })
+    .then((response) => response.data)
+    .catch((error) => {
+      oidcDiscovery = null;
+      throw createError(
+        502,
+        `Failed to reach the OIDC provider: ${error.message}`,
+      );
+    });
+  return oidcDiscovery;
+};
+
+// The provider's signing key with this ID, fetching the key set again if
+// it's unknown, in case keys were rotated
+const getOidcKey = async (kid) => {
+  const findKey = () =>
+    oidcKeys?.find((key) => key.kid === kid) ||
+    (!kid && oidcKeys?.length === 1 ? oidcKeys[0] : undefined);
+  if (!findKey()) {
+    const config = await getOidcConfig();
+    const response = await axios.get(config.jwks_uri, { timeout: 10000 });
+    oidcKeys = response.data.keys || [];
+  }
+  const jwk = findKey();
+  if (!jwk) throw createError(401, `Unknown ID token signing key: ${kid}`);
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+const verifyIdToken = async (idToken, nonce) => {
+  const [header64, payload64, signature64] = String(idToken).split('.');
+  const decode = (part) =>
+    JSON.parse(Buffer.from(part || '', 'base64url').toString());
+  let header;
+  let claims;
+  try {
+    header = decode(header64);
+    claims = decode(payload64);
+  } catch {
+    throw createError(401, 'Malformed ID token');
+  }
+
+  const alg = /^(RS|PS|ES)(256|384|512)$/.exec(header.alg);
+  if (!alg) {
+    throw createError(401, `Unsupported ID token algorithm: ${header.alg}`);
+  }
+  const key = await getOidcKey(header.kid);
+  const verified = crypto.verify(
+    `sha${alg[2]}`,
+    Buffer.from(`${header64}.${payload64}`),
+    {
+      key,
+      ...(alg[1] === 'PS' && {
+        padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+        saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+      }),
+      ...(alg[1] === 'ES' && { dsaEncoding: 'ieee-p1363' }),
+    },
+    Buffer.from(signature64 || '', 'base64url'),
+  );
+
+  const config = await getOidcConfig();
+  const audiences = [].concat(claims.aud);
+  const problem =
+    (!verified && 'bad signature') ||
+    (claims.iss !== config.issuer && `unexpected issuer ${claims.iss}`) ||
+    (!audiences.includes(OIDC.clientId) && 'issued for another client') ||
+    (!(claims.exp * 1000 > Date.now()) && 'expired') ||
+    (claims.nonce !== nonce && 'nonce mismatch');
+  if (problem) throw createError(401, `Invalid ID token: ${problem}`);
+  return claims;
+};
+
+// The highest role any of the user's groups map to
+const oidcRole = (groups) => {
+  const names = [].concat(groups ?? []).map(String);
+  const roles = OIDC.roleMap
+    .filter(([group]) => names.includes(group))
+    .map(([, role]) => role);
+  if (roles.length === 0) return OIDC.defaultRole;
+  return roles.reduce((best, role) =>
+    ROLES.indexOf(role) > ROLES.indexOf(best) ? role : best,
+  );
+};
+
+/**
+ * @swagger
+ * /api/auth/oidc/login:
+ *   get:
+ *     summary: Sign in with SSO
+ *     description: Redirects the browser to the OIDC provider, which sends
+ *       it back to /api/auth/oidc/callback.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: returnTo
+ *         description: Path to go back to after signing in
+ *         schema:
+ *           type: string
+ *           default: /
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: SSO isn't set up
+ */
+app.get(
+  '/api/auth/oidc/login',
+  asyncHandler(async (req, res) => {
+    if (!OIDC) throw createError(404, 'SSO is not set up');
+    const config = await getOidcConfig();
+
+    // Only go back to paths on this server
+    const returnTo = /^\/(?![/\\])/.test(req.query.returnTo || '')
+      ? req.query.returnTo
+      : '/';
+    const login = {
+      state: newSecret(),
+      nonce: newSecret(),
+      verifier: newSecret(),
+      redirectUri:
+        OIDC.redirectUri ||
+        `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`,
+      returnTo,
+      exp: Date.now() + OIDC_LOGIN_TTL_MS,
+    };
+    res.cookie(
+      OIDC_COOKIE,
+      signCookie(login),
+      cookieOptions(req, OIDC_LOGIN_TTL_MS, OIDC_COOKIE_PATH),
+    );
+
+    const url = new URL(config.authorization_endpoint);
+    Object.entries({
+      response_type: 'code',
+      client_id: OIDC.clientId,
+      redirect_uri: login.redirectUri,
+      scope: OIDC.scopes,
+      state: login.state,
+      nonce: login.nonce,
+      code_challenge: crypto
+        .createHash('sha256')
+        .update(login.verifier)
+        .digest('base64url'),
+      code_challenge_method: 'S256',
+    }).forEach(([name, value]) => url.searchParams.set(name, value));
+    res.redirect(url.href);
+  }),
+);
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   get:
+ *     summary: Finish signing in with SSO
+ *     description: Where the OIDC provider sends the browser back to. Sets
+ *       the session cookie and redirects to where sign-in started.
+ *     tags: [Auth]
+ *     responses:
+ *       302:
+ *         description: Signed in
+ *       400:
+ *         description: No sign-in in progress
+ *       401:
+ *         description: The provider refused, or its response didn't check out
+ *       403:
+ *         description: The user's groups have no role
+ */
+app.get(
+  '/api/auth/oidc/callback',
+  asyncHandler(async (req, res) => {
+    if (!OIDC) throw createError(404, 'SSO is not set up');
+    const login = readSignedCookie(req, OIDC_COOKIE);
+    res.clearCookie(
+      OIDC_COOKIE,
+      cookieOptions(req, undefined, OIDC_COOKIE_PATH),
+    );
+
+    if (req.query.error) {
+      throw createError(
+        401,
+        `Sign-in failed: ${req.query.error_description || req.query.error}`,
+      );
+    }
+    if (!login || login.state !== req.query.state || !req.query.code) {
+      throw createError(400, 'Sign-in expired or was not started here');
     }
 
-    // Close database connections or other resources here
-    logger.info('Server has been stopped');
-    process.exit(0);
+    const config = await getOidcConfig();
+    let tokens;
+    try {
+      const response = await axios.post(
+        config.token_endpoint,
+        new URLSearchParams({
+          grant_type: 'authorization_code',
+          code: req.query.code,
+          redirect_uri: login.redirectUri,
+          client_id: OIDC.clientId,
+          code_verifier: login.verifier,
+        }).toString(),
+        {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          auth: OIDC.clientSecret && {
+            username: encodeURIComponent(OIDC.clientId),
+            password: encodeURIComponent(OIDC.clientSecret),
+          },
+          timeout: 10000,
+        },
+      );
+      tokens = response.data;
+    } catch (error) {
+      throw createError(
+        401,
+        `Sign-in failed: ${error.response?.data?.error_description || error.response?.data?.error || error.message}`,
+      );
+    }
+
+    const claims = await verifyIdToken(tokens.id_token, login.nonce);
+    let groups = claims[OIDC.groupsClaim];
+    if (groups === undefined && config.userinfo_endpoint) {
+      const userinfo = await axios.get(config.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: 10000,
+      });
+      if (userinfo.data.sub === claims.sub) {
+        groups = userinfo.data[OIDC.groupsClaim];
+      }
+    }
+
+    const name =
+      claims.name || claims.preferred_username || claims.email || claims.sub;
+    const role = oidcRole(groups);
+    if (!role) {
+      throw createError(403, `None of ${name}'s groups has a role here`);
+    }
+
+    res.cookie(
+      SESSION_COOKIE,
+      signCookie({
+        sub: claims.sub,
+        name,
+        role,
+        exp: Date.now() + SESSION_TTL_MS,
+      }),
+      cookieOptions(req, SESSION_TTL_MS),
+    );
+    logger.info(`${name} signed in with SSO as ${role}`);
+    res.redirect(login.returnTo);
+  }),
+);
+
+/**
+ * @swagger
+ * /api/keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Revoked keys are included. Key hashes are never returned.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *   post:
+ *     summary: Create an API key
+ *     description: >-
+ *       The key itself is only returned in this response. Authentication
+ *       turns on with the first key, which must therefore be an admin key.
+ *       Keys limited to some endpoints can only create keys limited to
+ *       those endpoints.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKey'
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: omk_Xq3v...
+ *       400:
+ *         description: Invalid key
+ *       403:
+ *         description: Outside the caller's endpoints
+ *       404:
+ *         description: Unknown endpoint
+ */
+app.get('/api/keys', (req, res) => {
+  res.json(getApiKeys().map(describeApiKey));
+});
+
+app.post(
+  '/api/keys',
+  [
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('role')
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    body('endpoints')
+      .optional({ values: 'null' })
+      .isArray()
+      .withMessage('Endpoints must be an array'),
+    body('endpoints.*')
+      .isString()
+      .withMessage('Each endpoint must be a string'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw createError(400, { errors: errors.array() });
+    }
+
+    const { name, role } = req.body;
+    const endpoints = req.body.endpoints?.length
+      ? [
+          ...new Set(
+            req.body.endpoints.map((id) => {
+              const endpoint = findEndpoint(id);
+              if (!endpoint)
+                throw createError(404, `Unknown Ollama endpoint: ${id}`);
+              return endpoint.id;
+            }),
+          ),
+        ]
+      : null;
+    if (!authEnabled() && role !== 'admin') {
+      throw createError(
+        400,
+        'The first API key must be an admin key, or nobody could manage keys',
+      );
+    }
+    assertTargetScope(req, endpoints || []);
+
+    const secret = newSecret('omk_');
+    const key = {
+      id: crypto.randomUUID(),
+      name,
+      role,
+      endpoints,
+      prefix: secret.slice(0, 8),
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      createdBy: req.auth?.name || null,
+      revokedAt: null,
+    };
+    getApiKeys().push(key);
+    saveApiKeys();
+    logger.info(`API key ${name} (${role}) created`);
+    res.status(201).json({ ...describeApiKey(key), key: secret });
+  }),
+);
+
+/**
+ * @swagger
+ * /api/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Sessions signed in with the key end too.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       404:
+ *         description: Key not found or already revoked
+ */
+app.delete('/api/keys/:id', (req, res, next) => {
+  const key = findActiveKey(req.params.id);
+  if (!key || key === ENV_API_KEY) {
+    return next(createError(404, `API key not found: ${req.params.id}`));
+  }
+  assertTargetScope(req, key.endpoints || []);
+
+  key.revokedAt = new Date().toISOString();
+  sessions.forEach((session, hash) => {
+    if (session.keyId === key.id) sessions.delete(hash);
   });
+  saveApiKeys();
+  logger.info(`API key ${key.name} revoked`);
+  res.json({ success: true, message: 'API key revoked' });
+});
+
+// Read back the audit log, newest first
+const AUDIT_QUERY_LIMIT = 200;
+const AUDIT_QUERY_MAX_LIMIT = 5000;
+const AUDIT_CSV_COLUMNS = [
+  'at',
+  'actor',
+  'role',
+  'ip',
+  'action',
+  'endpoints',
+  'models',
+  'status',
+  'outcome',
+  'error',
+  'durationMs',
+  'jobId',
+  'params',
+];
+
+const AUDIT_READ_CHUNK_BYTES = 64 * 1024;
+
+// Lines of a file, last first, read from the end a chunk at a time
+async function* readLinesBackwards(file) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    let position = (await handle.stat()).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(AUDIT_READ_CHUNK_BYTES, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      const buffer = Buffer.concat([chunk, rest]);
+
+      // The text before the first newline may continue in the next chunk
+      let end = buffer.length;
+      let newline = buffer.lastIndexOf(0x0a, end - 1);
+      while (newline !== -1) {
+        yield buffer.subarray(newline + 1, end).toString('utf8');
+        end = newline;
+        newline = end > 0 ? buffer.lastIndexOf(0x0a, end - 1) : -1;
+      }
+      rest = buffer.subarray(0, end);
+    }
+    if (rest.length > 0) yield rest.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+// Entries from before requests could act on several endpoints have one
+// `endpoint`
+const upgradeAuditEntry = ({ endpoint, ...entry }) => ({
+  ...entry,
+  endpoints: entry.endpoints ?? (endpoint ? [endpoint] : []),
+});
+
+// The newest `limit` entries that match, reading back from the newest file
+// and stopping once there are enough
+const readAuditLog = async (matches, limit) => {
+  const entries = [];
+  for (
+    let index = 0;
+    index <= AUDIT_LOG_FILES && entries.length < limit;
+    index++
+  ) {
+    try {
+      for await (const line of readLinesBackwards(auditLogPath(index))) {
+        let entry;
+        try {
+          entry = line && upgradeAuditEntry(JSON.parse(line));
+        } catch {
+          continue; // Skip a line cut short by a crash
+        }
+        if (entry && matches(entry)) entries.push(entry);
+        if (entries.length >= limit) break;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return entries;
+};
 
-  // Force shutdown after 10 seconds
-  setTimeout(() => {
-    logger.error('Forcing shutdown after timeout');
-    process.exit(1);
-  }, 10000);
+// Quote a CSV cell when needed, and keep spreadsheets from running it as a
+// formula
+const csvCell = (value) => {
+  let text =
+    value === null || value === undefined
+      ? ''
+      : typeof value === 'object'
+        ? JSON.stringify(value)
+        : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 };
 
-// Listen for shutdown signals
-process.on('SIGTERM', () => shutdown('SIGTERM'));
-process.on('SIGINT', () => shutdown('SIGINT'));
+const auditEntryToCsv = (entry) =>
+  AUDIT_CSV_COLUMNS.map((column) =>
+    csvCell(
+      {
+        actor: entry.actor?.name,
+        role: entry.actor?.role,
+        endpoints: entry.endpoints.join(' '),
+        models: entry.models?.join(' '),
+      }[column] ?? entry[column],
+    ),
+  ).join(',');
 
-// Export the server for testing
-if (process.env.NODE_ENV === 'test') {
-  module.exports = { app, server };
-}
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: >-
+ *       Requests that changed something, newest first. Text filters match
+ *       case-insensitively anywhere in the field.
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         description: Name or ID of who made the request
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         description: Method and route, e.g. `DELETE /api/models`
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: endpoint
+ *         description: Endpoint ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure, aborted]
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 200
+ *           maximum: 5000
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditEntry'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter
+ */
+app.get(
+  '/api/audit',
+  asyncHandler(async (req, res) => {
+    const { actor, action, endpoint, model, outcome, format } = req.query;
+    const since = req.query.since ? Date.parse(req.query.since) : -Infinity;
+    const until = req.query.until ? Date.parse(req.query.until) : Infinity;
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      throw createError(400, 'since and until must be dates');
+    }
+    const limit = Math.min(
+      parseInt(req.query.limit, 10) || AUDIT_QUERY_LIMIT,
+      AUDIT_QUERY_MAX_LIMIT,
+    );
+    const contains = (value, wanted) =>
+      !wanted ||
+      String(value ?? '')
+        .toLowerCase()
+        .includes(String(wanted).toLowerCase());
+
+    const entries = await readAuditLog(
+      (entry) =>
+        (!req.auth?.endpoints ||
+          entry.endpoints.some((id) => req.auth.endpoints.includes(id))) &&
+        (contains(entry.actor?.name, actor) ||
+          contains(entry.actor?.id, actor)) &&
+        contains(entry.action, action) &&
+        (!endpoint || entry.endpoints.includes(endpoint)) &&
+        (!model || entry.models.some((name) => contains(name, model))) &&
+        (!outcome || entry.outcome === outcome) &&
+        Date.parse(entry.at) >= since &&
+        Date.parse(entry.at) <= until,
+      limit,
+    );
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`,
+      );
+      res.send(
+        [AUDIT_CSV_COLUMNS.join(','), ...entries.map(auditEntryToCsv)].join(
+          '\r\n',
+        ) + '\r\n',
+      );
+      return;
+    }
+    res.json(entries);
+  }),
+);
 
 // 404 handler - must be after all other routes but before error handlers
 app.use((req, res, next) => {
@@ -801,6 +8075,7 @@ app.use((req, res, next) => {
 app.use((err, req, res, next) => {
   const status = err.status || 500;
   const message = err.message || 'Internal Server Error';
+  res.locals.error = message;
 
   // Don't log 404 errors as errors
   if (status === 404) {
@@ -833,262 +8108,94 @@ app.use((err, req, res, next) => {
   res.status(status).json(errorResponse);
 });
 
-// Handle streaming response for model operations
-const handleModelOperation = async (req, res, operation) => {
-  try {
-    const response = await axios({
-      method: 'POST',
-      url: `${ollamaEndpoint}/api/${operation.type || 'pull'}`,
-      data: { name: operation.model },
-      responseType: 'stream',
-      timeout: 0, // No timeout for long-running operations
-    });
+// Start the server. The tests import the app without starting it.
+const PORT = process.env.PORT || 3000;
+const startServer = () =>
+  app.listen(PORT, '0.0.0.0', () => {
+    const address = server.address();
+    const host = address.address === '::' ? 'localhost' : address.address;
+    const port = address.port;
 
-    // Stream the response from Ollama to the client
-    response.data.pipe(res);
+    console.log(`Server running at http://${host}:${port}`);
+    logger.info(`Server running at http://${host}:${port}`);
 
-    // Handle stream errors
-    response.data.on('error', (error) => {
-      logger.error(
-        `Error streaming ${operation.type || 'operation'} for ${operation.model}:`,
-        error,
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(
+        `API Documentation available at http://${host}:${port}/api-docs`,
       );
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          error: `Error during ${operation.type || 'operation'}`,
-          details: error.message,
-        });
-      }
-    });
-
-    // Handle stream end
-    response.data.on('end', () => {
       logger.info(
-        `Successfully completed ${operation.type || 'operation'} for model: ${operation.model}`,
+        `API Documentation available at http://${host}:${port}/api-docs`,
       );
-      if (!res.headersSent) {
-        res.end(
-          JSON.stringify({
-            status: 'success',
-            model: operation.model,
-            operation: operation.type || 'pull',
-          }),
-        );
-      }
-    });
-  } catch (error) {
-    logger.error(
-      `Failed to ${operation.type || 'process operation'} for model ${operation.model}:`,
-      error,
-    );
-    throw createError(
-      500,
-      `Failed to ${operation.type || 'process operation'}: ${error.message}`,
-    );
-  }
-};
-
-/**
- * @swagger
- * /api/update-model:
- *   post:
- *     summary: Update a model
- *     tags: [Models]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - modelName
- *             properties:
- *               modelName:
- *                 type: string
- *                 description: Name of the model to update
- *                 example: "llama2:latest"
- *     responses:
- *       200:
- *         description: Model update started successfully
- *         content:
- *           application/octet-stream:
- *             schema:
- *               type: string
- *               format: binary
- */
-app.post(
-  '/api/update-model',
-  [
-    body('modelName')
-      .isString()
-      .trim()
-      .notEmpty()
-      .withMessage('Model name is required'),
-  ],
-  asyncHandler(async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      throw createError(400, { errors: errors.array() });
     }
 
-    const { modelName } = req.body;
-    await handleModelOperation(req, res, { model: modelName, type: 'update' });
-  }),
-);
-
-// Health check endpoint
-app.get('/health', (req, res) => res.json({ status: 'ok' }));
+    // Resume jobs interrupted by a restart
+    resumeJobs();
+    startScheduler();
+    startHealthMonitor();
 
-/**
- * @swagger
- * /api/models:
- *   delete:
- *     summary: Delete one or more models
- *     tags: [Models]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - models
- *             properties:
- *               models:
- *                 type: array
- *                 items:
- *                   type: string
- *                 example: ["llama2:latest", "mistral:7b"]
- *     responses:
- *       200:
- *         description: Models deleted successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Models deleted successfully"
- *                 count:
- *                   type: integer
- *                   example: 2
- *       207:
- *         description: Some models could not be deleted
- *       400:
- *         description: Invalid request or no models specified
- *       500:
- *         description: Failed to process delete request
- */
-app.delete(
-  '/api/models',
-  [
-    body('models').isArray().withMessage('Models must be an array'),
-    body('models.*').isString().withMessage('Each model must be a string'),
-  ],
-  asyncHandler(async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      throw createError(400, { errors: errors.array() });
-    }
+    // Log environment info
+    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(
+      `Ollama endpoints: ${process.env.OLLAMA_ENDPOINTS || 'Not configured'}`,
+    );
+  });
+const server = process.env.NODE_ENV === 'test' ? null : startServer();
 
-    const { models } = req.body;
-    if (!models || !Array.isArray(models) || models.length === 0) {
-      throw createError(400, 'No models specified for deletion');
-    }
+// Handle unhandled promise rejections
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  // Consider restarting the server or performing cleanup
+});
 
-    const results = await Promise.allSettled(
-      models.map((model) =>
-        axios.delete(`${ollamaEndpoint}/api/delete`, {
-          data: { name: model },
-          timeout: 30000,
-        }),
-      ),
-    );
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught Exception:', error);
+  // Perform cleanup if needed
+  process.exit(1); // Exit with error
+});
 
-    const failed = results
-      .map((result, index) => ({
-        model: models[index],
-        error: result.status === 'rejected' ? result.reason.message : null,
-      }))
-      .filter((item) => item.error);
-
-    if (failed.length > 0) {
-      if (failed.length === models.length) {
-        // All deletions failed
-        throw createError(500, {
-          success: false,
-          message: 'Failed to delete all models',
-          failed,
-        });
-      }
+// Graceful shutdown
+const shutdown = (signal) => {
+  logger.info(`Received ${signal}. Shutting down gracefully...`);
 
-      // Some deletions failed
-      res.status(207).json({
-        success: true,
-        message: 'Some models could not be deleted',
-        failed,
-        deleted: models.length - failed.length,
-      });
-      return;
+  // Close the server
+  server.close((err) => {
+    if (err) {
+      logger.error('Error during server shutdown:', err);
+      process.exit(1);
     }
 
-    res.json({
-      success: true,
-      message: 'Models deleted successfully',
-      count: models.length,
-    });
-  }),
-);
+    // Close database connections or other resources here
+    saveJobs({ immediate: true });
+    logger.info('Server has been stopped');
+    process.exit(0);
+  });
 
-/**
- * @swagger
- * /api/pull:
- *   post:
- *     summary: Pull a model from Ollama Hub
- *     tags: [Models]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - model
- *             properties:
- *               model:
- *                 type: string
- *                 description: Name of the model to pull (e.g., "llama2:latest")
- *                 example: "llama2:latest"
- *     responses:
- *       200:
- *         description: Model pull started successfully
- *         content:
- *           application/octet-stream:
- *             schema:
- *               type: string
- *               format: binary
- */
-app.post(
-  '/api/pull',
-  [
-    body('model')
-      .isString()
-      .trim()
-      .notEmpty()
-      .withMessage('Model name is required'),
-  ],
-  asyncHandler(async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      throw createError(400, { errors: errors.array() });
-    }
+  // Force shutdown after 10 seconds
+  setTimeout(() => {
+    logger.error('Forcing shutdown after timeout');
+    process.exit(1);
+  }, 10000);
+};
 
-    const { model } = req.body;
-    await handleModelOperation(req, res, { model, type: 'pull' });
-  }),
-);
+// Listen for shutdown signals
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Exported for the tests
+export {
+  app,
+  server,
+  parseCron,
+  cronMatches,
+  schedulerTick,
+  resumeJobs,
+  checkAllEndpoints,
+  ROUTE_ROLES,
+  requiredRole,
+  verifyIdToken,
+  oidcRole,
+  csvCell,
+  retagModelName,
+  renameModel,
+};
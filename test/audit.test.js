@@ -0,0 +1,157 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+
+process.env.AUDIT_LOG_FILES = '2';
+process.env.OLLAMA_ENDPOINTS =
+  'test=http://127.0.0.1:9,gpu2=http://127.0.0.1:9/gpu2';
+const { app, csvCell } = await import('../server.js');
+
+const entry = (index, fields = {}) => ({
+  at: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString(),
+  actor: { id: 'k1', name: 'root', role: 'admin' },
+  action: 'POST /api/pull',
+  endpoint: 'test',
+  models: [`model-${index}:latest`],
+  outcome: 'success',
+  ...fields,
+});
+
+const writeLog = (name, entries, extra = '') =>
+  fs.writeFileSync(
+    path.join(process.env.DATA_DIR, name),
+    entries.map((e) => `${JSON.stringify(e)}\n`).join('') + extra,
+  );
+
+describe('csvCell', () => {
+  it.each([
+    [null, ''],
+    [undefined, ''],
+    [42, '42'],
+    ['plain', 'plain'],
+    ['a,b', '"a,b"'],
+    ['say "hi"', '"say ""hi"""'],
+    ['two\nlines', '"two\nlines"'],
+    [{ model: 'x' }, '"{""model"":""x""}"'],
+  ])('writes %p as %p', (value, expected) => {
+    expect(csvCell(value)).toBe(expected);
+  });
+
+  it.each(['=1+1', '+1', '-1', '@SUM(A1)', '\tx', '\rx'])(
+    'keeps %p from running as a formula',
+    (value) => {
+      expect(csvCell(value)).toMatch(/^"?'/);
+    },
+  );
+});
+
+describe('GET /api/audit', () => {
+  it('reads newest first across rotated logs and stops at the limit', async () => {
+    writeLog('audit.log.2', [entry(1), entry(2)]);
+    writeLog('audit.log.1', [entry(3), entry(4)], '{"cut short');
+    writeLog('audit.log', [entry(5), entry(6, { outcome: 'failure' })]);
+
+    const all = await request(app).get('/api/audit');
+    expect(all.status).toBe(200);
+    expect(all.body.map((e) => e.models[0])).toEqual([
+      'model-6:latest',
+      'model-5:latest',
+      'model-4:latest',
+      'model-3:latest',
+      'model-2:latest',
+      'model-1:latest',
+    ]);
+
+    const limited = await request(app).get('/api/audit').query({ limit: 3 });
+    expect(limited.body.map((e) => e.models[0])).toEqual([
+      'model-6:latest',
+      'model-5:latest',
+      'model-4:latest',
+    ]);
+    expect(limited.body[0]).toMatchObject({ endpoints: ['test'] });
+    expect(limited.body[0]).not.toHaveProperty('endpoint');
+  });
+
+  it('filters before applying the limit', async () => {
+    const response = await request(app)
+      .get('/api/audit')
+      .query({ outcome: 'success', model: 'model-', limit: 2 });
+    expect(response.body.map((e) => e.models[0])).toEqual([
+      'model-5:latest',
+      'model-4:latest',
+    ]);
+  });
+
+  it('exports CSV', async () => {
+    const response = await request(app)
+      .get('/api/audit')
+      .query({ format: 'csv', limit: 1 });
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    const [header, row] = response.text.trim().split('\r\n');
+    expect(header).toMatch(/^at,actor,role,/);
+    expect(row).toMatch(/^2024-01-01T00:06:00.000Z,root,admin,/);
+  });
+
+  it('records requests that change something', async () => {
+    await request(app).post('/api/schedules').send({ name: 'nightly' });
+    let entries = [];
+    for (let attempt = 0; attempt < 20 && entries.length === 0; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 25));
+      entries = (
+        await request(app)
+          .get('/api/audit')
+          .query({ action: 'POST /api/schedules' })
+      ).body;
+    }
+    expect(entries[0]).toMatchObject({
+      action: 'POST /api/schedules',
+      status: 400,
+      outcome: 'failure',
+      params: { name: 'nightly' },
+    });
+  });
+
+  // Wait for the entry a request appends once it's answered
+  const findEntries = async (query, key = '') => {
+    let entries = [];
+    for (let attempt = 0; attempt < 20 && entries.length === 0; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 25));
+      entries = (
+        await request(app).get('/api/audit').set('x-api-key', key).query(query)
+      ).body;
+    }
+    return entries;
+  };
+
+  it('records every endpoint a delete targets, and filters on any of them', async () => {
+    await request(app)
+      .delete('/api/models')
+      .send({ models: ['llama3'], endpoints: ['test', 'gpu2'] });
+
+    const entries = await findEntries({
+      action: 'DELETE /api/models',
+      endpoint: 'gpu2',
+    });
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      endpoints: ['test', 'gpu2'],
+      models: ['llama3'],
+    });
+  });
+
+  it('shows keys limited to an endpoint the entries that name it', async () => {
+    const adminKey = (
+      await request(app).post('/api/keys').send({ name: 'root', role: 'admin' })
+    ).body.key;
+    const scopedKey = (
+      await request(app)
+        .post('/api/keys')
+        .set('x-api-key', adminKey)
+        .send({ name: 'gpu2-admin', role: 'admin', endpoints: ['gpu2'] })
+    ).body.key;
+
+    const entries = await findEntries({}, scopedKey);
+    expect(entries.map((e) => e.action)).toEqual(['DELETE /api/models']);
+  });
+});
@@ -0,0 +1,97 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import fs from 'node:fs';
+import path from 'node:path';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const gpu1 = await startMockOllama({
+  'llama3:latest': 'sha256:aaa',
+  'mistral:7b': 'sha256:bbb',
+});
+const gpu2 = await startMockOllama({ 'llama3:latest': 'sha256:aaa' });
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url}`;
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+const benchmark = (model, endpoint = 'gpu1') =>
+  request(app).post(`/api/endpoints/${endpoint}/benchmarks`).send({ model });
+
+describe('benchmarks', () => {
+  it('runs the fixed prompts with fixed sampling and records the stats', async () => {
+    const response = await benchmark('llama3');
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      model: 'llama3:latest',
+      digest: 'sha256:aaa',
+      endpoint: { id: 'gpu1', url: gpu1.url },
+      ollamaVersion: '0.5.7',
+      options: { temperature: 0, seed: 42 },
+      summary: {
+        loadDuration: 500,
+        tokensPerSecond: 50,
+        promptTokensPerSecond: 40,
+        totalDuration: 3000,
+      },
+    });
+    expect(response.body.prompts).toHaveLength(4);
+    expect(response.body.prompts[0]).toMatchObject({
+      prompt: expect.any(String),
+      evalCount: 100,
+      evalDuration: 2000,
+    });
+
+    const generated = gpu1.requests.filter((r) => r.path === '/api/generate');
+    expect(generated).toHaveLength(4);
+    expect(new Set(generated.map((r) => r.body.options.seed))).toEqual(
+      new Set([42]),
+    );
+  });
+
+  it('stores runs on disk by endpoint and digest', async () => {
+    const saved = JSON.parse(
+      fs.readFileSync(
+        path.join(process.env.DATA_DIR, 'benchmarks.json'),
+        'utf8',
+      ),
+    );
+    expect(Object.keys(saved)).toEqual(['gpu1/sha256:aaa']);
+    expect(saved['gpu1/sha256:aaa']).toHaveLength(1);
+  });
+
+  it('lists the history newest first and filters it', async () => {
+    await benchmark('mistral:7b');
+    await benchmark('llama3', 'gpu2');
+
+    const all = (await request(app).get('/api/benchmarks')).body;
+    expect(all.map((run) => [run.endpoint.id, run.model])).toEqual([
+      ['gpu2', 'llama3:latest'],
+      ['gpu1', 'mistral:7b'],
+      ['gpu1', 'llama3:latest'],
+    ]);
+
+    const llama3 = (
+      await request(app).get('/api/benchmarks').query({ model: 'llama3' })
+    ).body;
+    expect(llama3.map((run) => run.endpoint.id)).toEqual(['gpu2', 'gpu1']);
+
+    const onGpu1 = (
+      await request(app)
+        .get('/api/benchmarks')
+        .query({ model: 'llama3', endpoint: 'gpu1' })
+    ).body;
+    expect(onGpu1).toHaveLength(1);
+  });
+
+  it('answers 404 for a model that is not installed', async () => {
+    const response = await benchmark('qwen');
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe('Model qwen:latest not found on gpu1');
+  });
+
+  it('requires a model', async () => {
+    expect((await request(app).post('/api/benchmarks').send({})).status).toBe(
+      400,
+    );
+  });
+});
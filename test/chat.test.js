@@ -0,0 +1,94 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { GENERATE_STATS, startMockOllama } from './mock-ollama.js';
+
+const gpu1 = await startMockOllama({ 'llama3:latest': 'sha256:aaa' });
+const gpu2 = await startMockOllama({ 'mistral:7b': 'sha256:bbb' });
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url}`;
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+const chat = (body, path = '/api/chat') => request(app).post(path).send(body);
+const lines = (response) => response.text.trim().split('\n').map(JSON.parse);
+
+describe('POST /api/chat', () => {
+  it('streams the chat chunks from Ollama as NDJSON', async () => {
+    const response = await chat({
+      model: 'llama3:latest',
+      messages: [{ role: 'user', content: 'Hi' }],
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/application\/x-ndjson/);
+
+    const chunks = lines(response);
+    expect(chunks.map((chunk) => chunk.message.content).join('')).toBe(
+      'Hello there',
+    );
+    expect(chunks.at(-1)).toMatchObject({ done: true, ...GENERATE_STATS });
+  });
+
+  it('sends the system prompt first and passes the sampling options', async () => {
+    await chat({
+      model: 'llama3:latest',
+      system: 'Be brief.',
+      messages: [
+        { role: 'user', content: 'Hi', extra: 'dropped' },
+        { role: 'assistant', content: 'Hello there' },
+        { role: 'user', content: 'Bye' },
+      ],
+      options: { temperature: '0.2', top_p: 0.9, num_ctx: '4096' },
+    });
+    expect(gpu1.requests.at(-1)).toMatchObject({
+      path: '/api/chat',
+      body: {
+        model: 'llama3:latest',
+        messages: [
+          { role: 'system', content: 'Be brief.' },
+          { role: 'user', content: 'Hi' },
+          { role: 'assistant', content: 'Hello there' },
+          { role: 'user', content: 'Bye' },
+        ],
+        options: { temperature: 0.2, top_p: 0.9, num_ctx: 4096 },
+      },
+    });
+    expect(gpu1.requests.at(-1).body.messages[1]).not.toHaveProperty('extra');
+  });
+
+  it('chats on the selected endpoint', async () => {
+    const response = await chat(
+      {
+        model: 'mistral:7b',
+        messages: [{ role: 'user', content: 'Hi' }],
+      },
+      '/api/endpoints/gpu2/chat',
+    );
+    expect(response.status).toBe(200);
+    expect(gpu2.requests.at(-1).path).toBe('/api/chat');
+  });
+
+  it('answers 502 when Ollama refuses the chat', async () => {
+    const response = await chat({
+      model: 'missing:latest',
+      messages: [{ role: 'user', content: 'Hi' }],
+    });
+    expect(response.status).toBe(502);
+    expect(response.headers['content-type']).toMatch(/application\/json/);
+    expect(response.body.message).toMatch(/Chat failed/);
+  });
+
+  it.each([
+    [{ messages: [{ role: 'user', content: 'Hi' }] }],
+    [{ model: 'llama3:latest', messages: [] }],
+    [{ model: 'llama3:latest', messages: [{ role: 'tool', content: 'x' }] }],
+    [
+      {
+        model: 'llama3:latest',
+        messages: [{ role: 'user', content: 'Hi' }],
+        options: { temperature: 3 },
+      },
+    ],
+  ])('rejects %p', async (body) => {
+    expect((await chat(body)).status).toBe(400);
+  });
+});
@@ -0,0 +1,101 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const gpu1 = await startMockOllama({
+  'llama3:8b-q4_K_M': 'sha256:aaa',
+  'llama3:8b-q8_0': 'sha256:bbb',
+});
+const gpu2 = await startMockOllama({ 'mistral:7b': 'sha256:ccc' });
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url}`;
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+const compare = (body) => request(app).post('/api/compare').send(body);
+
+// GENERATE_STATS in milliseconds, with 100 tokens in 2 seconds
+const stats = {
+  totalDuration: 3000,
+  loadDuration: 500,
+  promptEvalCount: 10,
+  promptEvalDuration: 250,
+  evalCount: 100,
+  evalDuration: 2000,
+  tokensPerSecond: 50,
+};
+
+describe('POST /api/compare', () => {
+  it('sends the prompt to every model, across endpoints', async () => {
+    const response = await compare({
+      prompt: 'Hi',
+      system: 'Be brief.',
+      options: { temperature: 0 },
+      targets: [
+        { model: 'llama3:8b-q4_K_M' },
+        { model: 'llama3:8b-q8_0' },
+        { model: 'mistral:7b', endpoint: 'gpu2' },
+      ],
+    });
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      prompt: 'Hi',
+      system: 'Be brief.',
+      options: { temperature: 0 },
+      createdAt: expect.any(String),
+      results: [
+        {
+          model: 'llama3:8b-q4_K_M',
+          endpoint: 'gpu1',
+          response: 'llama3:8b-q4_K_M says: Hi',
+          stats,
+        },
+        { model: 'llama3:8b-q8_0', endpoint: 'gpu1', stats },
+        { model: 'mistral:7b', endpoint: 'gpu2', stats },
+      ],
+    });
+    expect(gpu2.requests.at(-1)).toMatchObject({
+      path: '/api/generate',
+      body: {
+        model: 'mistral:7b',
+        prompt: 'Hi',
+        system: 'Be brief.',
+        options: { temperature: 0 },
+        stream: false,
+      },
+    });
+  });
+
+  it('reports a model that fails without failing the others', async () => {
+    const response = await compare({
+      prompt: 'Hi',
+      targets: [{ model: 'llama3:8b-q4_K_M' }, { model: 'missing:latest' }],
+    });
+    expect(response.status).toBe(200);
+    expect(response.body.results[0].stats).toEqual(stats);
+    expect(response.body.results[1]).toEqual({
+      model: 'missing:latest',
+      endpoint: 'gpu1',
+      response: null,
+      stats: null,
+      error: expect.stringMatching(/not found/),
+    });
+  });
+
+  it('answers 404 for an unknown endpoint', async () => {
+    const response = await compare({
+      prompt: 'Hi',
+      targets: [{ model: 'a' }, { model: 'b', endpoint: 'gpu9' }],
+    });
+    expect(response.status).toBe(404);
+  });
+
+  it.each([
+    [{ targets: [{ model: 'a' }, { model: 'b' }] }],
+    [{ prompt: 'Hi', targets: [{ model: 'a' }] }],
+    [{ prompt: 'Hi', targets: Array(5).fill({ model: 'a' }) }],
+    [{ prompt: 'Hi', targets: [{ model: 'a' }, { endpoint: 'gpu2' }] }],
+  ])('rejects %p', async (body) => {
+    expect((await compare(body)).status).toBe(400);
+  });
+});
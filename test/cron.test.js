@@ -0,0 +1,62 @@
+import { describe, expect, it } from '@jest/globals';
+
+const { parseCron, cronMatches } = await import('../server.js');
+
+const matches = (expression, date) =>
+  cronMatches(parseCron(expression), new Date(date));
+
+describe('parseCron', () => {
+  it('expands wildcards, lists, ranges and steps', () => {
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parseCron(
+      '*/15 1,2 10-12 * 1-5/2',
+    );
+    expect([...minute.values]).toEqual([0, 15, 30, 45]);
+    expect([...hour.values]).toEqual([1, 2]);
+    expect([...dayOfMonth.values]).toEqual([10, 11, 12]);
+    expect(month.values.size).toBe(12);
+    expect(month.any).toBe(true);
+    expect([...dayOfWeek.values]).toEqual([1, 3, 5]);
+  });
+
+  it('accepts month and day names, and 7 for Sunday', () => {
+    const [, , , month, dayOfWeek] = parseCron('0 3 * JAN,jun sun');
+    expect([...month.values]).toEqual([1, 6]);
+    expect([...dayOfWeek.values]).toEqual([0]);
+    expect([...parseCron('0 3 * * 7')[4].values]).toEqual([0]);
+  });
+
+  it.each([
+    ['0 3 * *', /5 fields/],
+    ['60 * * * *', /minute/],
+    ['* 24 * * *', /hour/],
+    ['* * 0 * *', /day/],
+    ['* * * 13 *', /month/],
+    ['5-1 * * * *', /minute/],
+    ['*/0 * * * *', /minute/],
+    ['x * * * *', /minute/],
+  ])('rejects %s', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+  });
+});
+
+describe('cronMatches', () => {
+  it('matches to the minute', () => {
+    expect(matches('30 3 * * *', '2024-05-05T03:30:00')).toBe(true);
+    expect(matches('30 3 * * *', '2024-05-05T03:31:00')).toBe(false);
+    expect(matches('*/20 * * * *', '2024-05-05T17:40:59')).toBe(true);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // 2024-05-05 is a Sunday, 2024-05-01 a Wednesday
+    expect(matches('0 0 1 * sun', '2024-05-05T00:00:00')).toBe(true);
+    expect(matches('0 0 1 * sun', '2024-05-01T00:00:00')).toBe(true);
+    expect(matches('0 0 1 * sun', '2024-05-02T00:00:00')).toBe(false);
+  });
+
+  it('needs both day fields when one is a wildcard', () => {
+    expect(matches('0 0 * * mon', '2024-05-05T00:00:00')).toBe(false);
+    expect(matches('0 0 * * mon', '2024-05-06T00:00:00')).toBe(true);
+    expect(matches('0 0 5 * *', '2024-05-05T00:00:00')).toBe(true);
+    expect(matches('0 0 5 jun *', '2024-05-05T00:00:00')).toBe(false);
+  });
+});
@@ -0,0 +1,200 @@
+import { afterAll, beforeEach, describe, expect, it } from '@jest/globals';
+import fs from 'node:fs';
+import path from 'node:path';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const gpu1 = await startMockOllama();
+const gpu2 = await startMockOllama();
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url}`;
+
+// gpu1's manifests are on disk: llama3 and the model created from it share
+// their 600-byte weights, mistral has nothing in common with them
+const modelsDir = path.join(process.env.DATA_DIR, 'models');
+process.env.OLLAMA_MODELS_DIRS = `gpu1=${modelsDir}`;
+const writeManifest = (model, blobs) => {
+  const dir = path.join(
+    modelsDir,
+    'manifests/registry.ollama.ai/library',
+    model,
+  );
+  fs.mkdirSync(dir, { recursive: true });
+  const [config, ...layers] = blobs.map(([digest, size]) => ({ digest, size }));
+  fs.writeFileSync(
+    path.join(dir, 'latest'),
+    JSON.stringify({ config, layers }),
+  );
+};
+writeManifest('llama3', [
+  ['sha256:c1', 100],
+  ['sha256:weights', 600],
+  ['sha256:p1', 300],
+]);
+writeManifest('llama3-ft', [
+  ['sha256:c2', 100],
+  ['sha256:weights', 600],
+  ['sha256:p2', 300],
+]);
+writeManifest('mistral', [
+  ['sha256:c3', 100],
+  ['sha256:w3', 900],
+]);
+
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+beforeEach(() => {
+  for (const ollama of [gpu1, gpu2]) {
+    ollama.models = new Map([
+      ['llama3:latest', 'sha256:aaa'],
+      ['llama3-ft:latest', 'sha256:bbb'],
+      ['mistral:latest', 'sha256:ccc'],
+    ]);
+    ollama.failDelete.clear();
+    ollama.loaded.clear();
+  }
+});
+
+const remove = (body, key) =>
+  request(app)
+    .delete('/api/models')
+    .set('x-api-key', key || '')
+    .send(body);
+
+describe('DELETE /api/models', () => {
+  it('deletes from the selected endpoint', async () => {
+    const response = await remove({ models: ['llama3'] });
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      freedBytes: 1000,
+      results: [
+        { endpoint: 'gpu1', model: 'llama3:latest', status: 'deleted' },
+      ],
+    });
+    expect(gpu1.models.has('llama3:latest')).toBe(false);
+  });
+
+  it('gives every model on every endpoint a result, with 207 on failures', async () => {
+    gpu2.failDelete.add('mistral:latest');
+    const response = await remove({
+      models: ['mistral', 'qwen'],
+      endpoints: ['gpu1', 'gpu2'],
+    });
+    expect(response.status).toBe(207);
+    expect(
+      response.body.results.map(({ endpoint, model, status }) => [
+        endpoint,
+        model,
+        status,
+      ]),
+    ).toEqual([
+      ['gpu1', 'mistral:latest', 'deleted'],
+      ['gpu1', 'qwen:latest', 'not-found'],
+      ['gpu2', 'mistral:latest', 'failed'],
+      ['gpu2', 'qwen:latest', 'not-found'],
+    ]);
+    expect(gpu1.models.has('mistral:latest')).toBe(false);
+    expect(gpu2.models.has('mistral:latest')).toBe(true);
+  });
+
+  it('skips loaded models unless forced, and unloads them first', async () => {
+    gpu1.loaded.add('llama3:latest');
+    const skipped = await remove({ models: ['llama3'] });
+    expect(skipped.status).toBe(207);
+    expect(skipped.body.results).toMatchObject([
+      { status: 'skipped', loaded: true, error: 'Model is loaded' },
+    ]);
+    expect(gpu1.models.has('llama3:latest')).toBe(true);
+
+    const dryRun = await remove({ models: ['llama3'], dryRun: true });
+    expect(dryRun.body.results[0].status).toBe('skipped');
+
+    const forced = await remove({ models: ['llama3'], force: true });
+    expect(forced.status).toBe(200);
+    expect(forced.body.results[0]).toMatchObject({
+      status: 'deleted',
+      loaded: true,
+    });
+    expect(gpu1.loaded.has('llama3:latest')).toBe(false);
+    expect(gpu1.models.has('llama3:latest')).toBe(false);
+  });
+
+  it.each([
+    [{}],
+    [{ models: [] }],
+    [{ models: ['llama3'], endpoints: [] }],
+    [{ models: ['llama3'], dryRun: 'maybe' }],
+  ])('rejects %p', async (body) => {
+    expect((await remove(body)).status).toBe(400);
+  });
+
+  it('answers 404 for an unknown endpoint in the list', async () => {
+    const response = await remove({
+      models: ['llama3'],
+      endpoints: ['gpu1', 'gpu9'],
+    });
+    expect(response.status).toBe(404);
+    expect(gpu1.models.has('llama3:latest')).toBe(true);
+  });
+
+  it('does not count layers shared with kept models in a dry run', async () => {
+    const shared = await remove({ models: ['llama3'], dryRun: true });
+    expect(shared.body).toMatchObject({ dryRun: true, freedBytes: 400 });
+    expect(shared.body.results[0].status).toBe('would-delete');
+    expect(gpu1.models.has('llama3:latest')).toBe(true);
+
+    const both = await remove({
+      models: ['llama3', 'llama3-ft'],
+      dryRun: true,
+    });
+    expect(both.body.freedBytes).toBe(1400);
+  });
+
+  it('counts listed sizes in a dry run when manifests cannot be read', async () => {
+    const response = await remove({
+      models: ['llama3'],
+      endpoints: ['gpu2'],
+      dryRun: true,
+    });
+    expect(response.body.freedBytes).toBe(1000);
+  });
+});
+
+describe('DELETE /api/models with an endpoint-scoped key', () => {
+  let scopedKey;
+
+  it('deletes on the listed endpoints the key may use', async () => {
+    const adminKey = (
+      await request(app).post('/api/keys').send({ name: 'root', role: 'admin' })
+    ).body.key;
+    scopedKey = (
+      await request(app)
+        .post('/api/keys')
+        .set('x-api-key', adminKey)
+        .send({ name: 'gpu2-admin', role: 'admin', endpoints: ['gpu2'] })
+    ).body.key;
+
+    const response = await remove(
+      { models: ['llama3'], endpoints: ['gpu2'] },
+      scopedKey,
+    );
+    expect(response.status).toBe(200);
+    expect(gpu2.models.has('llama3:latest')).toBe(false);
+  });
+
+  it('refuses listed endpoints the key may not use', async () => {
+    const response = await remove(
+      { models: ['llama3'], endpoints: ['gpu2', 'gpu1'] },
+      scopedKey,
+    );
+    expect(response.status).toBe(403);
+    expect(gpu1.models.has('llama3:latest')).toBe(true);
+    expect(gpu2.models.has('llama3:latest')).toBe(true);
+  });
+
+  it('still checks the selected endpoint without a list', async () => {
+    expect((await remove({ models: ['llama3'] }, scopedKey)).status).toBe(403);
+  });
+});
@@ -0,0 +1,90 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const gpu1 = await startMockOllama({ 'llama3:latest': 'sha256:aaa' });
+const gpu2 = await startMockOllama({ 'mistral:7b': 'sha256:bbb' });
+gpu2.loaded.add('mistral:7b');
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url}`;
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+const names = (response) => response.body.map((model) => model.name);
+
+describe('per-request endpoints', () => {
+  it('lists the configured endpoints with the first one active', async () => {
+    const response = await request(app).get('/api/endpoints');
+    expect(response.body).toEqual([
+      { id: 'gpu1', url: gpu1.url, active: true },
+      { id: 'gpu2', url: gpu2.url, active: false },
+    ]);
+  });
+
+  it('uses the default endpoint when the request names none', async () => {
+    expect(names(await request(app).get('/api/models'))).toEqual([
+      'llama3:latest',
+    ]);
+  });
+
+  it('targets the endpoint in the path or the X-Ollama-Endpoint header', async () => {
+    expect(names(await request(app).get('/api/endpoints/gpu2/models'))).toEqual(
+      ['mistral:7b'],
+    );
+    expect(
+      names(
+        await request(app).get('/api/models').set('X-Ollama-Endpoint', 'gpu2'),
+      ),
+    ).toEqual(['mistral:7b']);
+
+    const ps = await request(app)
+      .get('/api/ps')
+      .set('X-Ollama-Endpoint', 'gpu2');
+    expect(ps.body.models.map((model) => model.name)).toEqual(['mistral:7b']);
+  });
+
+  it('accepts an endpoint URL as well as its ID', async () => {
+    expect(
+      names(
+        await request(app)
+          .get('/api/models')
+          .set('X-Ollama-Endpoint', gpu2.url),
+      ),
+    ).toEqual(['mistral:7b']);
+  });
+
+  it('answers 404 for an unknown endpoint', async () => {
+    expect((await request(app).get('/api/endpoints/gpu9/models')).status).toBe(
+      404,
+    );
+    expect(
+      (await request(app).get('/api/ps').set('X-Ollama-Endpoint', 'gpu9'))
+        .status,
+    ).toBe(404);
+  });
+
+  it('runs pulls on the endpoint the request names', async () => {
+    const response = await request(app)
+      .post('/api/endpoints/gpu2/pull')
+      .send({ model: 'qwen:0.5b', background: true });
+    expect(response.status).toBe(202);
+    expect(response.body.job.endpoint).toEqual({ id: 'gpu2', url: gpu2.url });
+  });
+
+  it('keeps set-endpoint as the default only', async () => {
+    const set = await request(app)
+      .post('/api/set-endpoint')
+      .send({ endpoint: gpu2.url });
+    expect(set.status).toBe(200);
+
+    const models = names(await request(app).get('/api/models'));
+    expect(models).toContain('mistral:7b');
+    expect(models).not.toContain('llama3:latest');
+    expect(names(await request(app).get('/api/endpoints/gpu1/models'))).toEqual(
+      ['llama3:latest'],
+    );
+    expect(
+      (await request(app).get('/api/endpoints')).body.map((e) => e.active),
+    ).toEqual([false, true]);
+  });
+});
@@ -0,0 +1,146 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import http from 'node:http';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const ollama = await startMockOllama();
+process.env.OLLAMA_ENDPOINTS = `gpu1=${ollama.url}`;
+const { app } = await import('../server.js');
+
+const server = app.listen(0, '127.0.0.1');
+await new Promise((resolve) => server.once('listening', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+afterAll(() =>
+  Promise.all([
+    ollama.close(),
+    new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    }),
+  ]),
+);
+
+// Open a job's event stream. `connected` resolves once the first bytes
+// arrive, `events` with the parsed events once the server ends the stream.
+const openEvents = (id, headers = {}) => {
+  let onConnected;
+  const connected = new Promise((resolve) => {
+    onConnected = resolve;
+  });
+  const events = new Promise((resolve, reject) => {
+    http
+      .get(`${baseUrl}/api/jobs/${id}/events`, { headers }, (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+          onConnected(res);
+        });
+        res.on('end', () => resolve(parseEvents(text)));
+      })
+      .on('error', reject);
+  });
+  return { connected, events };
+};
+
+const parseEvents = (text) =>
+  text
+    .split('\n\n')
+    .map((block) =>
+      Object.fromEntries(
+        block
+          .split('\n')
+          .filter((line) => /^(id|event|data): /.test(line))
+          .map((line) => line.split(/: (.*)/s).slice(0, 2)),
+      ),
+    )
+    .filter((event) => event.event)
+    .map((event) => ({
+      id: Number(event.id),
+      type: event.event,
+      data: JSON.parse(event.data),
+    }));
+
+const startPull = async (model) =>
+  (await request(app).post('/api/pull').send({ model, background: true })).body
+    .job;
+
+describe('GET /api/jobs/:id/events', () => {
+  it('streams typed events to every client following a job', async () => {
+    ollama.holdPull.add('llama3:latest');
+    const job = await startPull('llama3:latest');
+    const first = openEvents(job.id);
+    const second = openEvents(job.id);
+    const res = await first.connected;
+    await second.connected;
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    ollama.release('llama3:latest');
+    const events = await first.events;
+    expect(await second.events).toEqual(events);
+
+    expect(events.map((event) => event.type)).toEqual([
+      'status',
+      'status',
+      'done',
+    ]);
+    expect(events[0].data.job.layers['sha256:abc']).toMatchObject({
+      total: 100,
+      completed: 50,
+      percent: 50,
+    });
+    expect(events[1].data).toEqual({ status: 'running', message: 'success' });
+    expect(events[2].data).toEqual({ status: 'completed', result: null });
+  });
+
+  it('replays what a reconnecting client missed', async () => {
+    const job = await startPull('mistral:7b');
+    const all = await openEvents(job.id, { 'Last-Event-ID': '0' }).events;
+    expect(all.map((event) => event.type)).toEqual([
+      'status',
+      'status',
+      'done',
+    ]);
+    expect(all.map((event) => event.id)).toEqual([1, 2, 3]);
+    expect(all[0].data).toEqual({ status: 'running', message: 'started' });
+
+    const missed = await openEvents(job.id, { 'Last-Event-ID': '2' }).events;
+    expect(missed).toEqual(all.slice(2));
+  });
+
+  it('computes per-layer progress events', async () => {
+    ollama.holdPull.add('phi3:latest');
+    const job = await startPull('phi3:latest');
+    const { connected, events } = openEvents(job.id, { 'Last-Event-ID': '0' });
+    await connected;
+    ollama.release('phi3:latest');
+
+    const progress = (await events).find((event) => event.type === 'progress');
+    expect(progress.data).toMatchObject({
+      status: 'pulling abc',
+      digest: 'sha256:abc',
+      total: 100,
+      completed: 50,
+      percent: 50,
+      overall: { total: 100, completed: 50, percent: 50 },
+    });
+  });
+
+  it('sends an error event for a failed job', async () => {
+    ollama.failPull.add('broken:latest');
+    const job = await startPull('broken:latest');
+    const events = await openEvents(job.id).events;
+    expect(events.at(-1)).toMatchObject({
+      type: 'error',
+      data: {
+        status: 'failed',
+        error: expect.stringMatching(/does not exist/),
+      },
+    });
+  });
+
+  it('answers 404 for an unknown job', async () => {
+    expect((await request(app).get('/api/jobs/nope/events')).status).toBe(404);
+  });
+});
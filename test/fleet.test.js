@@ -0,0 +1,71 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const gpu1 = await startMockOllama({
+  'llama3:latest': 'sha256:aaa',
+  'mistral:7b': 'sha256:bbb',
+});
+const gpu2 = await startMockOllama({
+  'llama3:latest': 'sha256:aaa',
+  'mistral:7b': 'sha256:new',
+});
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url},down=http://127.0.0.1:9`;
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+describe('GET /api/fleet/models', () => {
+  it('merges models by name and digest and lists their hosts', async () => {
+    const response = await request(app).get('/api/fleet/models');
+    expect(response.status).toBe(200);
+    expect(
+      response.body.models.map(({ name, digest, hosts }) => ({
+        name,
+        digest,
+        hosts,
+      })),
+    ).toEqual([
+      { name: 'llama3:latest', digest: 'sha256:aaa', hosts: ['gpu1', 'gpu2'] },
+      { name: 'mistral:7b', digest: 'sha256:bbb', hosts: ['gpu1'] },
+      { name: 'mistral:7b', digest: 'sha256:new', hosts: ['gpu2'] },
+    ]);
+    expect(response.body.models[0].details).toMatchObject({
+      family: 'llama',
+      quantization_level: 'Q4_0',
+    });
+  });
+
+  it('reports unreachable endpoints instead of failing', async () => {
+    const { endpoints } = (await request(app).get('/api/fleet/models')).body;
+    expect(endpoints).toMatchObject([
+      { id: 'gpu1', reachable: true, error: null, modelCount: 2 },
+      { id: 'gpu2', reachable: true, error: null, modelCount: 2 },
+      { id: 'down', reachable: false, modelCount: 0 },
+    ]);
+    expect(endpoints[2].error).toEqual(expect.any(String));
+  });
+
+  it('leaves out endpoints an endpoint-scoped key may not use', async () => {
+    const adminKey = (
+      await request(app).post('/api/keys').send({ name: 'root', role: 'admin' })
+    ).body.key;
+    const scopedKey = (
+      await request(app)
+        .post('/api/keys')
+        .set('x-api-key', adminKey)
+        .send({ name: 'gpu2', role: 'viewer', endpoints: ['gpu2'] })
+    ).body.key;
+
+    const response = await request(app)
+      .get('/api/fleet/models')
+      .set('x-api-key', scopedKey);
+    expect(response.body.endpoints.map((endpoint) => endpoint.id)).toEqual([
+      'gpu2',
+    ]);
+    expect(response.body.models.flatMap((model) => model.hosts)).toEqual([
+      'gpu2',
+      'gpu2',
+    ]);
+  });
+});
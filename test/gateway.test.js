@@ -0,0 +1,109 @@
+import { afterAll, beforeEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+// llama3 is loaded on gpu1 only, mistral is on both and loaded nowhere
+const gpu1 = await startMockOllama({
+  'llama3:latest': 'sha256:aaa',
+  'mistral:7b': 'sha256:bbb',
+});
+gpu1.loaded.add('llama3:latest');
+const gpu2 = await startMockOllama({
+  'llama3:latest': 'sha256:aaa',
+  'mistral:7b': 'sha256:bbb',
+  'nomic-embed-text:latest': 'sha256:ccc',
+});
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url},down=http://127.0.0.1:9`;
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+beforeEach(() => {
+  gpu1.failOpenAI = false;
+  gpu2.failOpenAI = false;
+});
+
+const complete = (body) => request(app).post('/v1/chat/completions').send(body);
+const hello = [{ role: 'user', content: 'Hi' }];
+
+describe('OpenAI-compatible gateway', () => {
+  it('prefers the endpoint that has the model loaded', async () => {
+    for (let i = 0; i < 3; i += 1) {
+      const response = await complete({ model: 'llama3', messages: hello });
+      expect(response.status).toBe(200);
+      expect(response.headers['x-gateway-endpoint']).toBe('gpu1');
+      expect(response.body.choices[0].message.content).toBe('Hello there');
+    }
+  });
+
+  it('shares out a model that is equally ready on several endpoints', async () => {
+    const served = new Set();
+    for (let i = 0; i < 2; i += 1) {
+      const response = await complete({ model: 'mistral:7b', messages: hello });
+      served.add(response.headers['x-gateway-endpoint']);
+    }
+    expect(served).toEqual(new Set(['gpu1', 'gpu2']));
+  });
+
+  it('tries the next endpoint when one fails', async () => {
+    gpu1.failOpenAI = true;
+    const response = await complete({ model: 'llama3', messages: hello });
+    expect(response.status).toBe(200);
+    expect(response.headers['x-gateway-endpoint']).toBe('gpu2');
+  });
+
+  it('answers 502 in the OpenAI error shape when every endpoint fails', async () => {
+    gpu1.failOpenAI = true;
+    gpu2.failOpenAI = true;
+    const response = await complete({ model: 'mistral:7b', messages: hello });
+    expect(response.status).toBe(502);
+    expect(response.body).toEqual({
+      error: {
+        message: expect.stringMatching(/Every endpoint with mistral:7b failed/),
+        type: 'api_error',
+        param: null,
+        code: null,
+      },
+    });
+  });
+
+  it('answers 404 for a model no endpoint has, and 400 without one', async () => {
+    const missing = await complete({ model: 'qwen', messages: hello });
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('model_not_found');
+
+    const none = await complete({ messages: hello });
+    expect(none.status).toBe(400);
+    expect(none.body.error.type).toBe('invalid_request_error');
+  });
+
+  it('passes streamed completions through', async () => {
+    const response = await complete({
+      model: 'llama3',
+      messages: hello,
+      stream: true,
+    });
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    const events = response.text.split('\n\n').filter(Boolean);
+    expect(events).toHaveLength(3);
+    expect(events.at(-1)).toBe('data: [DONE]');
+  });
+
+  it('routes embeddings to the endpoint that has the model', async () => {
+    const response = await request(app)
+      .post('/v1/embeddings')
+      .send({ model: 'nomic-embed-text', input: 'Hi' });
+    expect(response.status).toBe(200);
+    expect(response.headers['x-gateway-endpoint']).toBe('gpu2');
+    expect(response.body.data[0].embedding).toEqual([0.1, 0.2]);
+  });
+
+  it('lists the models of every reachable endpoint', async () => {
+    const response = await request(app).get('/v1/models');
+    expect(response.body.data.map((model) => model.id)).toEqual([
+      'llama3:latest',
+      'mistral:7b',
+      'nomic-embed-text:latest',
+    ]);
+  });
+});
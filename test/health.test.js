@@ -0,0 +1,85 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import fs from 'node:fs';
+import path from 'node:path';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const gpu1 = await startMockOllama({ 'llama3:latest': 'sha256:aaa' });
+const gpu2 = await startMockOllama();
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url},down=http://127.0.0.1:9`;
+process.env.HEALTH_PERSIST = 'true';
+const { app, checkAllEndpoints } = await import('../server.js');
+
+afterAll(() => gpu1.close());
+
+const status = async () =>
+  Object.fromEntries(
+    (await request(app).get('/api/endpoints/status')).body.map((endpoint) => [
+      endpoint.id,
+      endpoint,
+    ]),
+  );
+
+describe('GET /api/endpoints/status', () => {
+  it('reports endpoints that were not checked yet as unknown', async () => {
+    expect((await status()).gpu1).toMatchObject({
+      url: gpu1.url,
+      status: 'unknown',
+      since: null,
+      lastCheckedAt: null,
+      uptimePercent: null,
+      latencyMs: { p50: null, p95: null, p99: null },
+      history: [],
+    });
+  });
+
+  it('checks the version and model list of every endpoint', async () => {
+    await checkAllEndpoints();
+    const endpoints = await status();
+
+    expect(endpoints.gpu1).toMatchObject({
+      status: 'up',
+      version: '0.5.7',
+      lastError: null,
+      uptimePercent: 100,
+      latencyMs: { p50: expect.any(Number) },
+      history: [{ up: true, latencyMs: expect.any(Number) }],
+    });
+    expect(endpoints.gpu1.since).toBe(endpoints.gpu1.lastCheckedAt);
+    expect(gpu1.requests.map((r) => r.path)).toEqual([
+      '/api/version',
+      '/api/tags',
+    ]);
+
+    expect(endpoints.down).toMatchObject({
+      status: 'down',
+      version: null,
+      lastError: { message: expect.stringMatching(/ECONNREFUSED/) },
+      uptimePercent: 0,
+      history: [{ up: false, latencyMs: null }],
+    });
+  });
+
+  it('tracks when an endpoint went down, and keeps its last version', async () => {
+    await gpu2.close();
+    await checkAllEndpoints();
+    const { gpu2: endpoint } = await status();
+
+    expect(endpoint).toMatchObject({
+      status: 'down',
+      version: '0.5.7',
+      uptimePercent: 50,
+      history: [{ up: true }, { up: false }],
+    });
+    expect(endpoint.since).toBe(endpoint.history[1].at);
+    expect(endpoint.lastError.at).toBe(endpoint.history[1].at);
+  });
+
+  it('persists the history when asked to', async () => {
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(process.env.DATA_DIR, 'health.json'), 'utf8'),
+    );
+    expect(saved[gpu1.url]).toHaveLength(2);
+    expect(saved[gpu1.url][0]).toMatchObject({ up: true, version: '0.5.7' });
+  });
+});
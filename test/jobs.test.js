@@ -0,0 +1,180 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import fs from 'node:fs';
+import path from 'node:path';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const gpu1 = await startMockOllama();
+const gpu2 = await startMockOllama();
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url}`;
+
+// A pull that was running when the server stopped
+const jobsFile = path.join(process.env.DATA_DIR, 'jobs.json');
+fs.writeFileSync(
+  jobsFile,
+  JSON.stringify([
+    {
+      id: 'interrupted',
+      type: 'pull',
+      model: 'resumed:latest',
+      endpoint: { id: 'gpu1', url: gpu1.url },
+      params: null,
+      status: 'running',
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: '2026-01-01T00:00:00.000Z',
+      startedAt: '2026-01-01T00:00:01.000Z',
+      finishedAt: null,
+    },
+  ]),
+);
+
+const { app, resumeJobs } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+const getJob = async (id) => (await request(app).get(`/api/jobs/${id}`)).body;
+
+// Poll a job until `check` passes
+const waitFor = async (id, check) => {
+  for (let i = 0; i < 100; i += 1) {
+    const job = await getJob(id);
+    if (check(job)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} never got there`);
+};
+const finished = (job) => !['queued', 'running'].includes(job.status);
+
+const pull = (model, endpoint = 'gpu1') =>
+  request(app)
+    .post(`/api/endpoints/${endpoint}/pull`)
+    .send({ model, background: true });
+
+describe('background jobs', () => {
+  it('runs the jobs that were running when the server stopped again', async () => {
+    resumeJobs();
+    const job = await waitFor('interrupted', finished);
+    expect(job.status).toBe('completed');
+    expect(gpu1.models.has('resumed:latest')).toBe(true);
+  });
+
+  it('queues a pull and persists it', async () => {
+    gpu1.holdPull.add('llama3:latest');
+    const response = await pull('llama3:latest');
+    expect(response.status).toBe(202);
+    const { id } = response.body.job;
+    expect(response.headers['x-job-id']).toBe(id);
+
+    const running = await waitFor(id, (job) => job.progress?.completed);
+    expect(running).toMatchObject({
+      status: 'running',
+      layers: { 'sha256:abc': { percent: 50 } },
+    });
+    const saved = JSON.parse(fs.readFileSync(jobsFile, 'utf8'));
+    expect(saved.find((job) => job.id === id).status).toBe('running');
+
+    gpu1.release('llama3:latest');
+    expect((await waitFor(id, finished)).status).toBe('completed');
+  });
+
+  it('shares a job between identical requests', async () => {
+    gpu1.holdPull.add('shared:latest');
+    const first = await pull('shared:latest');
+    const second = await pull('shared:latest');
+    expect(second.body.job.id).toBe(first.body.job.id);
+    gpu1.release('shared:latest');
+    await waitFor(first.body.job.id, finished);
+  });
+
+  it('runs one job at a time per endpoint', async () => {
+    gpu1.holdPull.add('first:latest');
+    const first = (await pull('first:latest')).body.job;
+    const second = (await pull('second:latest')).body.job;
+    const other = (await pull('other:latest', 'gpu2')).body.job;
+
+    await waitFor(first.id, (job) => job.status === 'running');
+    expect((await getJob(second.id)).status).toBe('queued');
+    expect((await waitFor(other.id, finished)).status).toBe('completed');
+
+    gpu1.release('first:latest');
+    expect((await waitFor(second.id, finished)).status).toBe('completed');
+  });
+
+  it('cancels a running job and starts the next', async () => {
+    gpu1.holdPull.add('slow:latest');
+    const slow = (await pull('slow:latest')).body.job;
+    const next = (await pull('next:latest')).body.job;
+    await waitFor(slow.id, (job) => job.status === 'running');
+
+    const response = await request(app).delete(`/api/jobs/${slow.id}`);
+    expect(response.status).toBe(200);
+    expect(response.body.job.status).toBe('cancelled');
+    expect(gpu1.models.has('slow:latest')).toBe(false);
+    expect((await waitFor(next.id, finished)).status).toBe('completed');
+
+    expect((await request(app).delete(`/api/jobs/${slow.id}`)).status).toBe(
+      409,
+    );
+    expect((await request(app).delete('/api/jobs/nope')).status).toBe(404);
+  });
+
+  it('cancels a queued job without running it', async () => {
+    gpu2.holdPull.add('busy:latest');
+    const busy = (await pull('busy:latest', 'gpu2')).body.job;
+    const waiting = (await pull('waiting:latest', 'gpu2')).body.job;
+
+    const response = await request(app).delete(`/api/jobs/${waiting.id}`);
+    expect(response.body.job.status).toBe('cancelled');
+    gpu2.release('busy:latest');
+    await waitFor(busy.id, finished);
+    expect(
+      gpu2.requests.filter((r) => r.body.name === 'waiting:latest'),
+    ).toHaveLength(0);
+  });
+
+  it('records a failed pull', async () => {
+    gpu1.failPull.add('broken:latest');
+    const { id } = (await pull('broken:latest')).body.job;
+    expect(await waitFor(id, finished)).toMatchObject({
+      status: 'failed',
+      error: expect.stringMatching(/file does not exist/),
+    });
+  });
+
+  it('lists jobs newest first and filters them', async () => {
+    const all = (await request(app).get('/api/jobs')).body;
+    const created = all.map((job) => job.createdAt);
+    expect(created).toEqual([...created].sort().reverse());
+
+    const onGpu2 = (
+      await request(app).get('/api/jobs').query({ endpoint: 'gpu2' })
+    ).body;
+    expect(onGpu2.map((job) => job.model).sort()).toEqual([
+      'busy:latest',
+      'other:latest',
+      'waiting:latest',
+    ]);
+
+    const failed = (
+      await request(app).get('/api/jobs').query({ status: 'failed' })
+    ).body;
+    expect(failed.map((job) => job.model)).toEqual(['broken:latest']);
+
+    const byModel = (
+      await request(app).get('/api/jobs').query({ model: 'slow:latest' })
+    ).body;
+    expect(byModel.map((job) => job.status)).toEqual(['cancelled']);
+  });
+
+  it('follows a job over the streaming pull response', async () => {
+    const response = await request(app)
+      .post('/api/pull')
+      .send({ model: 'streamed:latest' });
+    const lines = response.text.trim().split('\n').map(JSON.parse);
+    expect(response.headers['x-job-id']).toEqual(expect.any(String));
+    expect(lines).toEqual([{ status: 'success' }]);
+    expect(gpu1.models.has('streamed:latest')).toBe(true);
+  });
+});
@@ -0,0 +1,148 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import YAML from 'yaml';
+import { startMockOllama } from './mock-ollama.js';
+
+const gpu1 = await startMockOllama({
+  'llama3:latest': 'sha256:aaa',
+  'mistral:7b': 'sha256:bbb',
+});
+gpu1.models.set('llama3-brief:latest', 'sha256:ccc');
+gpu1.created.set('llama3-brief:latest', {
+  from: 'llama3:latest',
+  system: 'Be brief.',
+});
+const gpu2 = await startMockOllama({ 'mistral:7b': 'sha256:bbb' });
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url}`;
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+const exportModels = (body) =>
+  request(app).post('/api/endpoints/gpu1/export').send(body);
+const importModels = (manifest) =>
+  request(app).post('/api/endpoints/gpu2/import').send({ manifest });
+
+describe('POST /api/export', () => {
+  it('describes the models as a JSON download', async () => {
+    const response = await exportModels({
+      models: ['mistral:7b', 'llama3-brief'],
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe(
+      'attachment; filename="models-gpu1.json"',
+    );
+    expect(response.body).toMatchObject({
+      version: 1,
+      endpoint: { id: 'gpu1', url: gpu1.url },
+      models: [
+        {
+          name: 'mistral',
+          tag: '7b',
+          digest: 'sha256:bbb',
+          size: 1000,
+          details: { family: 'llama' },
+          parameters: { temperature: 0.7 },
+          from: null,
+        },
+        {
+          name: 'llama3-brief',
+          tag: 'latest',
+          from: 'llama3:latest',
+          system: 'Be brief.',
+        },
+      ],
+    });
+  });
+
+  it('exports YAML on request', async () => {
+    const response = await exportModels({
+      models: ['mistral:7b'],
+      format: 'yaml',
+    });
+    expect(response.headers['content-type']).toMatch(/^application\/yaml/);
+    expect(response.headers['content-disposition']).toMatch(
+      /models-gpu1\.yaml/,
+    );
+    expect(YAML.parse(response.text).models[0].digest).toBe('sha256:bbb');
+  });
+
+  it('answers 404 for a model that is not installed', async () => {
+    const response = await exportModels({ models: ['qwen'] });
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe('Model qwen:latest not found');
+  });
+});
+
+describe('POST /api/import', () => {
+  it('pulls or recreates every model, and reports the ones already there', async () => {
+    const manifest = (
+      await exportModels({
+        models: ['mistral:7b', 'llama3:latest', 'llama3-brief'],
+        format: 'yaml',
+      })
+    ).text;
+    const response = await importModels(manifest);
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      status: 'success',
+      present: 1,
+      pulled: 1,
+      created: 1,
+      failed: 0,
+    });
+    expect(response.body.results).toMatchObject([
+      { model: 'mistral:7b', status: 'present', digestMatches: true },
+      {
+        model: 'llama3:latest',
+        status: 'pulled',
+        expectedDigest: 'sha256:aaa',
+        digestMatches: false,
+      },
+      { model: 'llama3-brief:latest', status: 'created' },
+    ]);
+    expect(gpu2.created.get('llama3-brief:latest')).toMatchObject({
+      from: 'llama3:latest',
+      system: 'Be brief.',
+    });
+  });
+
+  it('pulls the parent of a created model first if it is missing', async () => {
+    gpu2.models.delete('llama3:latest');
+    gpu2.models.delete('llama3-brief:latest');
+    const response = await importModels({
+      version: 1,
+      models: [{ name: 'llama3-brief', tag: 'latest', from: 'llama3:latest' }],
+    });
+    expect(response.body.results[0].status).toBe('created');
+    expect(gpu2.models.has('llama3:latest')).toBe(true);
+  });
+
+  it('reports the models that could not be imported', async () => {
+    gpu2.failPull.add('qwen:latest');
+    const response = await importModels({
+      version: 1,
+      models: [
+        { name: 'qwen', tag: 'latest' },
+        { name: 'mistral', tag: '7b', digest: 'sha256:bbb' },
+      ],
+    });
+    expect(response.body).toMatchObject({
+      status: 'partial',
+      failed: 1,
+      results: [
+        { model: 'qwen:latest', status: 'failed' },
+        { model: 'mistral:7b', status: 'present' },
+      ],
+    });
+  });
+
+  it.each([
+    [undefined],
+    ['{not: [yaml'],
+    [{ version: 2, models: [] }],
+    [{ version: 1, models: [{ name: 'llama3' }] }],
+  ])('rejects the manifest %p', async (manifest) => {
+    expect((await importModels(manifest)).status).toBe(400);
+  });
+});
@@ -0,0 +1,262 @@
+// A stand-in for an Ollama server with the routes the tests use. Models are
+// kept in `models` (name to digest) and the loaded ones in `loaded`, which
+// /api/generate loads and unloads. Generating echoes the prompt, chatting
+// always answers "Hello there"; `failDelete`, `failPull` and `failPush` hold
+// names those operations fail for. Pulls of names in `holdPull` stop after
+// one progress line until `release(name)`. Pushed names are kept in `pushed`
+// and the /api/create requests of created models in `created`. With
+// `failOpenAI` set, the OpenAI-compatible routes answer 500.
+import http from 'node:http';
+
+// Timings reported for every generate and chat, in nanoseconds
+export const GENERATE_STATS = {
+  total_duration: 3000000000,
+  load_duration: 500000000,
+  prompt_eval_count: 10,
+  prompt_eval_duration: 250000000,
+  eval_count: 100,
+  eval_duration: 2000000000,
+};
+
+// Ollama adds the default tag to names without one
+const tagged = (name) => (name.includes(':') ? name : `${name}:latest`);
+
+export const startMockOllama = async (models = {}) => {
+  const mock = {
+    models: new Map(Object.entries(models)),
+    loaded: new Set(),
+    created: new Map(),
+    failDelete: new Set(),
+    failPull: new Set(),
+    failPush: new Set(),
+    holdPull: new Set(),
+    failOpenAI: false,
+    pushed: [],
+    requests: [],
+  };
+  const held = new Map();
+  mock.release = (name) => {
+    mock.holdPull.delete(name);
+    held.get(name)?.();
+  };
+
+  const readBody = async (req) => {
+    let text = '';
+    for await (const chunk of req) text += chunk;
+    return text ? JSON.parse(text) : {};
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    const json = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    mock.requests.push({ method: req.method, path: req.url, body });
+
+    const route = `${req.method} ${req.url}`;
+    if (route === 'GET /api/tags') {
+      return json(200, {
+        models: [...mock.models].map(([name, digest]) => ({
+          name,
+          model: name,
+          digest,
+          size: 1000,
+          details: {},
+        })),
+      });
+    }
+    if (route === 'GET /api/ps') {
+      return json(200, {
+        models: [...mock.loaded].map((name) => ({ name, model: name })),
+      });
+    }
+    if (route === 'GET /api/version') return json(200, { version: '0.5.7' });
+    if (route === 'POST /api/show') {
+      const name = body.model || body.name;
+      if (!mock.models.has(name)) {
+        return json(404, { error: `model '${name}' not found` });
+      }
+      const created = mock.created.get(name);
+      return json(200, {
+        modelfile: `FROM ${name}\nPARAMETER temperature 0.7\n`,
+        parameters: [
+          'temperature                    0.7',
+          'stop                           "<|eot_id|>"',
+          'stop                           "<|end|>"',
+        ].join('\n'),
+        template: '{{ .Prompt }}',
+        system: created?.system || '',
+        license: 'MIT',
+        details: {
+          parent_model: created
+            ? `registry.ollama.ai/library/${created.from}`
+            : '',
+          format: 'gguf',
+          family: 'llama',
+          families: ['llama'],
+          parameter_size: '8B',
+          quantization_level: 'Q4_0',
+        },
+      });
+    }
+    if (route === 'POST /api/generate') {
+      if (!mock.models.has(tagged(body.model))) {
+        return json(404, { error: `model '${body.model}' not found` });
+      }
+      if (body.keep_alive === 0) mock.loaded.delete(tagged(body.model));
+      else mock.loaded.add(tagged(body.model));
+      if (!body.prompt) {
+        return json(200, {
+          model: body.model,
+          response: '',
+          done: true,
+          load_duration: 1234,
+        });
+      }
+      return json(200, {
+        model: body.model,
+        response: `${body.model} says: ${body.prompt}`,
+        done: true,
+        ...GENERATE_STATS,
+      });
+    }
+    if (route === 'POST /api/chat') {
+      if (!mock.models.has(tagged(body.model))) {
+        return json(404, { error: `model '${body.model}' not found` });
+      }
+      const chunk = (content, extra = {}) =>
+        `${JSON.stringify({
+          model: body.model,
+          message: { role: 'assistant', content },
+          ...extra,
+        })}\n`;
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write(chunk('Hello', { done: false }));
+      res.write(chunk(' there', { done: false }));
+      res.end(chunk('', { done: true, ...GENERATE_STATS }));
+      return;
+    }
+    if (route === 'POST /api/create') {
+      if (!mock.models.has(body.from)) {
+        return json(404, { error: `model '${body.from}' not found` });
+      }
+      mock.models.set(body.model, `sha256:${body.model.length}`);
+      mock.created.set(body.model, body);
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write(`${JSON.stringify({ status: 'using existing layer' })}\n`);
+      res.end(`${JSON.stringify({ status: 'success' })}\n`);
+      return;
+    }
+    if (
+      route === 'POST /v1/chat/completions' ||
+      route === 'POST /v1/embeddings'
+    ) {
+      if (!mock.models.has(tagged(body.model))) {
+        return json(404, {
+          error: { message: `model '${body.model}' not found` },
+        });
+      }
+      if (mock.failOpenAI) {
+        return json(500, { error: { message: 'out of memory' } });
+      }
+      if (req.url === '/v1/embeddings') {
+        return json(200, {
+          object: 'list',
+          model: body.model,
+          data: [{ object: 'embedding', index: 0, embedding: [0.1, 0.2] }],
+        });
+      }
+      if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const content of ['Hello', ' there']) {
+          const chunk = {
+            object: 'chat.completion.chunk',
+            model: body.model,
+            choices: [{ index: 0, delta: { content } }],
+          };
+          res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        }
+        res.end('data: [DONE]\n\n');
+        return;
+      }
+      return json(200, {
+        object: 'chat.completion',
+        model: body.model,
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content: 'Hello there' },
+            finish_reason: 'stop',
+          },
+        ],
+      });
+    }
+    if (route === 'POST /api/copy') {
+      if (!mock.models.has(body.source)) {
+        return json(404, { error: `model '${body.source}' not found` });
+      }
+      mock.models.set(body.destination, mock.models.get(body.source));
+      return json(200, {});
+    }
+    if (route === 'DELETE /api/delete') {
+      if (mock.failDelete.has(body.name)) {
+        return json(500, { error: 'permission denied' });
+      }
+      if (!mock.models.delete(body.name)) {
+        return json(404, { error: `model '${body.name}' not found` });
+      }
+      return json(200, {});
+    }
+    if (route === 'POST /api/pull') {
+      if (mock.failPull.has(body.name)) {
+        return json(500, { error: 'pull model manifest: file does not exist' });
+      }
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      if (mock.holdPull.has(body.name)) {
+        res.write(
+          `${JSON.stringify({
+            status: 'pulling abc',
+            digest: 'sha256:abc',
+            total: 100,
+            completed: 50,
+          })}\n`,
+        );
+        await new Promise((resolve) => {
+          held.set(body.name, resolve);
+          res.on('close', resolve);
+        });
+        held.delete(body.name);
+        if (res.destroyed) return;
+      }
+      mock.models.set(body.name, `sha256:${body.name.length}`);
+      res.end(`${JSON.stringify({ status: 'success' })}\n`);
+      return;
+    }
+    if (route === 'POST /api/push') {
+      if (!mock.models.has(body.name)) {
+        return json(404, { error: `model '${body.name}' not found` });
+      }
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write(`${JSON.stringify({ status: 'retrieving manifest' })}\n`);
+      if (mock.failPush.has(body.name)) {
+        res.end(`${JSON.stringify({ error: 'unauthorized' })}\n`);
+        return;
+      }
+      mock.pushed.push(body.name);
+      res.end(`${JSON.stringify({ status: 'success' })}\n`);
+      return;
+    }
+    return json(404, { error: 'not found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  mock.url = `http://127.0.0.1:${server.address().port}`;
+  // Idle keep-alive connections would hold up close() past Jest's timeout
+  mock.close = () =>
+    new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+  return mock;
+};
@@ -0,0 +1,103 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const ollama = await startMockOllama({ 'llama3:latest': 'sha256:aaa' });
+process.env.OLLAMA_ENDPOINTS = `gpu1=${ollama.url}`;
+const { app } = await import('../server.js');
+
+afterAll(() => ollama.close());
+
+const create = (body) => request(app).post('/api/create').send(body);
+const lines = (response) => response.text.trim().split('\n').map(JSON.parse);
+
+describe('POST /api/show', () => {
+  it('returns the Modelfile with the parameters parsed', async () => {
+    const response = await request(app)
+      .post('/api/show')
+      .send({ model: 'llama3' });
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      model: 'llama3:latest',
+      modelfile: expect.stringMatching(/^FROM llama3:latest/),
+      template: '{{ .Prompt }}',
+      system: '',
+      license: 'MIT',
+      parameters: { temperature: 0.7, stop: ['<|eot_id|>', '<|end|>'] },
+      details: { family: 'llama', quantization_level: 'Q4_0' },
+    });
+  });
+
+  it('answers 404 for a model that is not installed', async () => {
+    const response = await request(app)
+      .post('/api/show')
+      .send({ model: 'qwen' });
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe('Model qwen:latest not found');
+  });
+});
+
+describe('POST /api/create', () => {
+  it('creates a derived model in a job and streams its progress', async () => {
+    const response = await create({
+      from: 'llama3',
+      model: 'llama3-brief',
+      system: 'Be brief.',
+      parameters: 'temperature 0.2\nstop "<|eot_id|>"',
+    });
+    expect(response.status).toBe(200);
+    expect(lines(response)).toEqual([
+      { status: 'using existing layer' },
+      { status: 'success' },
+      {
+        model: 'llama3-brief:latest',
+        from: 'llama3:latest',
+        digest: 'sha256:19',
+        jobId: response.headers['x-job-id'],
+      },
+    ]);
+    expect(ollama.requests.find((r) => r.path === '/api/create').body).toEqual({
+      model: 'llama3-brief:latest',
+      from: 'llama3:latest',
+      system: 'Be brief.',
+      parameters: { temperature: 0.2, stop: ['<|eot_id|>'] },
+    });
+  });
+
+  it('queues the job in background mode', async () => {
+    const response = await create({
+      from: 'llama3',
+      model: 'llama3-json',
+      template: '{{ .Prompt }} as JSON',
+      parameters: { num_ctx: 8192 },
+      background: true,
+    });
+    expect(response.status).toBe(202);
+    expect(response.body.job).toMatchObject({
+      type: 'create',
+      model: 'llama3-json:latest',
+      params: {
+        from: 'llama3:latest',
+        template: '{{ .Prompt }} as JSON',
+        parameters: { num_ctx: 8192 },
+      },
+    });
+  });
+
+  it('reports a source that does not exist', async () => {
+    const response = await create({ from: 'qwen', model: 'qwen-brief' });
+    expect(lines(response).at(-1)).toMatchObject({
+      status: 'error',
+      error: expect.stringMatching(/not found/),
+    });
+  });
+
+  it.each([
+    [{ model: 'llama3-brief' }],
+    [{ from: 'llama3' }],
+    [{ from: 'llama3', model: 'llama3:latest' }],
+    [{ from: 'llama3', model: 'llama3-brief', parameters: 7 }],
+  ])('rejects %p', async (body) => {
+    expect((await create(body)).status).toBe(400);
+  });
+});
@@ -0,0 +1,93 @@
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const { app, retagModelName, renameModel } = await import('../server.js');
+
+describe('retagModelName', () => {
+  it.each([
+    ['llama3', { tag: 'v1' }, 'llama3:v1'],
+    ['llama3:8b', { prefix: 'team-' }, 'team-llama3:8b'],
+    ['llama3:8b', { suffix: '-ft', tag: 'v2' }, 'llama3-ft:v2'],
+    ['user/llama3:8b', { prefix: 'x-', suffix: '-y' }, 'user/x-llama3-y:8b'],
+    ['host:5000/ns/llama3:8b', { prefix: 'x-' }, 'host:5000/ns/x-llama3:8b'],
+    ['host:5000/ns/llama3', { tag: 'v1' }, 'host:5000/ns/llama3:v1'],
+  ])('retags %s with %p as %s', (name, retag, expected) => {
+    expect(retagModelName(name, retag)).toBe(expected);
+  });
+});
+
+describe('POST /api/retag', () => {
+  it.each([
+    [{ prefix: 'team:' }],
+    [{ prefix: 'other/' }],
+    [{ prefix: '-x' }],
+    [{ suffix: ' ft' }],
+    [{ suffix: ':v2' }],
+    [{ prefix: 7 }],
+  ])('rejects %p', async (retag) => {
+    const response = await request(app)
+      .post('/api/retag')
+      .send({ models: ['llama3:latest'], ...retag });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('renameModel', () => {
+  let ollama;
+
+  beforeEach(async () => {
+    ollama = await startMockOllama({
+      'llama3:latest': 'sha256:aaa',
+      'mistral:7b': 'sha256:bbb',
+    });
+  });
+  afterEach(() => ollama.close());
+
+  it('copies the model and deletes the old name', async () => {
+    await renameModel(ollama.url, 'llama3:latest', 'llama3:old', {});
+    expect([...ollama.models.keys()].sort()).toEqual([
+      'llama3:old',
+      'mistral:7b',
+    ]);
+  });
+
+  it('refuses to replace an existing model without overwrite', async () => {
+    await expect(
+      renameModel(ollama.url, 'llama3:latest', 'mistral:7b', {}),
+    ).rejects.toMatchObject({ status: 409 });
+    expect(ollama.models.get('mistral:7b')).toBe('sha256:bbb');
+  });
+
+  it('removes the copy it made when the old name cannot be deleted', async () => {
+    ollama.failDelete.add('llama3:latest');
+    await expect(
+      renameModel(ollama.url, 'llama3:latest', 'llama3:old', {}),
+    ).rejects.toMatchObject({
+      status: 502,
+      message: 'Failed to delete llama3:latest: permission denied',
+    });
+    expect([...ollama.models.keys()].sort()).toEqual([
+      'llama3:latest',
+      'mistral:7b',
+    ]);
+  });
+
+  it('keeps a destination that existed before the rename', async () => {
+    ollama.failDelete.add('llama3:latest');
+    await expect(
+      renameModel(ollama.url, 'llama3:latest', 'mistral:7b', {
+        overwrite: true,
+      }),
+    ).rejects.toMatchObject({
+      status: 502,
+      message: expect.stringMatching(/mistral:7b was already replaced/),
+    });
+    expect(ollama.models.get('mistral:7b')).toBe('sha256:aaa');
+    expect(
+      ollama.requests.filter(
+        (r) => r.method === 'DELETE' && r.body.name === 'mistral:7b',
+      ),
+    ).toHaveLength(0);
+  });
+});
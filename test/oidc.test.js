@@ -0,0 +1,126 @@
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { afterAll, describe, expect, it } from '@jest/globals';
+
+// A provider that only serves its discovery document and signing keys
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+});
+const otherKey = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+}).privateKey;
+const provider = http.createServer((req, res) => {
+  const issuer = `http://127.0.0.1:${provider.address().port}`;
+  const documents = {
+    '/.well-known/openid-configuration': {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+    },
+    '/jwks': { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1' }] },
+  };
+  res.writeHead(documents[req.url] ? 200 : 404, {
+    'Content-Type': 'application/json',
+  });
+  res.end(JSON.stringify(documents[req.url] || {}));
+});
+await new Promise((resolve) => provider.listen(0, '127.0.0.1', resolve));
+const issuer = `http://127.0.0.1:${provider.address().port}`;
+
+Object.assign(process.env, {
+  OIDC_ISSUER: issuer,
+  OIDC_CLIENT_ID: 'manager',
+  SESSION_SECRET: 'test-secret',
+  OIDC_ROLE_MAP: 'admins=admin,ml-team=operator,staff=viewer',
+});
+const { verifyIdToken, oidcRole } = await import('../server.js');
+
+afterAll(() => new Promise((resolve) => provider.close(resolve)));
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signToken = (claims, { key = privateKey, header = {} } = {}) => {
+  const data = `${encode({ alg: 'RS256', kid: 'k1', ...header })}.${encode({
+    iss: issuer,
+    aud: 'manager',
+    sub: 'user-1',
+    nonce: 'n-1',
+    exp: Math.floor(Date.now() / 1000) + 300,
+    ...claims,
+  })}`;
+  return `${data}.${crypto.sign('sha256', Buffer.from(data), key).toString('base64url')}`;
+};
+
+describe('verifyIdToken', () => {
+  it('returns the claims of a valid token', async () => {
+    const claims = await verifyIdToken(signToken({ groups: ['staff'] }), 'n-1');
+    expect(claims).toMatchObject({ sub: 'user-1', groups: ['staff'] });
+  });
+
+  it('accepts a token for several audiences including this client', async () => {
+    await expect(
+      verifyIdToken(signToken({ aud: ['other', 'manager'] }), 'n-1'),
+    ).resolves.toMatchObject({ sub: 'user-1' });
+  });
+
+  it.each([
+    [
+      'a bad signature',
+      () => signToken({}, { key: otherKey }),
+      /bad signature/,
+    ],
+    [
+      'another audience',
+      () => signToken({ aud: 'someone-else' }),
+      /another client/,
+    ],
+    [
+      'another issuer',
+      () => signToken({ iss: 'https://evil.example' }),
+      /unexpected issuer/,
+    ],
+    [
+      'an expired token',
+      () => signToken({ exp: Math.floor(Date.now() / 1000) - 1 }),
+      /expired/,
+    ],
+    ['a token without exp', () => signToken({ exp: undefined }), /expired/],
+    ['another nonce', () => signToken({ nonce: 'n-2' }), /nonce mismatch/],
+    [
+      'an unknown key',
+      () => signToken({}, { header: { kid: 'k2' } }),
+      /Unknown ID token signing key/,
+    ],
+    [
+      'an unsigned token',
+      () => signToken({}, { header: { alg: 'none' } }),
+      /Unsupported/,
+    ],
+    ['garbage', () => 'not-a-token', /Malformed/],
+  ])('rejects %s', async (name, token, message) => {
+    await expect(verifyIdToken(token(), 'n-1')).rejects.toMatchObject({
+      status: 401,
+      message: expect.stringMatching(message),
+    });
+  });
+});
+
+describe('oidcRole', () => {
+  it('maps groups to the highest role any of them grants', () => {
+    expect(oidcRole(['staff'])).toBe('viewer');
+    expect(oidcRole(['staff', 'ml-team'])).toBe('operator');
+    expect(oidcRole(['ml-team', 'admins', 'staff'])).toBe('admin');
+  });
+
+  it('accepts a single group as a string', () => {
+    expect(oidcRole('ml-team')).toBe('operator');
+  });
+
+  it('falls back to the default role, here none', () => {
+    expect(oidcRole(['visitors'])).toBeNull();
+    expect(oidcRole(undefined)).toBeNull();
+  });
+});
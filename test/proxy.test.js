@@ -0,0 +1,143 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import fs from 'node:fs';
+import path from 'node:path';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+// llama3 is loaded on gpu1, so it is served from there unless a route
+// says otherwise
+const gpu1 = await startMockOllama({
+  'llama3:latest': 'sha256:aaa',
+  'mistral:7b': 'sha256:bbb',
+});
+gpu1.loaded.add('llama3:latest');
+const gpu2 = await startMockOllama({
+  'llama3:latest': 'sha256:aaa',
+  'phi3:mini': 'sha256:ccc',
+});
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url},down=http://127.0.0.1:9`;
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+const generate = (model) =>
+  request(app).post('/ollama/api/generate').send({ model, prompt: 'Hi' });
+const addRoute = (body) => request(app).post('/api/proxy/routes').send(body);
+
+describe('Ollama-compatible proxy', () => {
+  it('answers the root like Ollama does', async () => {
+    const response = await request(app).get('/ollama');
+    expect(response.text).toBe('Ollama is running');
+  });
+
+  it('merges the model lists of every reachable endpoint', async () => {
+    const tags = await request(app).get('/ollama/api/tags');
+    expect(tags.status).toBe(200);
+    expect(tags.body.models.map((model) => model.name)).toEqual([
+      'llama3:latest',
+      'mistral:7b',
+      'phi3:mini',
+    ]);
+
+    const ps = await request(app).get('/ollama/api/ps');
+    expect(ps.body.models.map((model) => model.name)).toEqual([
+      'llama3:latest',
+    ]);
+
+    const version = await request(app).get('/ollama/api/version');
+    expect(version.body).toEqual({ version: '0.5.7' });
+  });
+
+  it('sends requests to an endpoint that has the model', async () => {
+    const llama3 = await generate('llama3');
+    expect(llama3.status).toBe(200);
+    expect(llama3.headers['x-gateway-endpoint']).toBe('gpu1');
+    expect(llama3.body.response).toBe('llama3 says: Hi');
+
+    const phi3 = await generate('phi3:mini');
+    expect(phi3.headers['x-gateway-endpoint']).toBe('gpu2');
+    expect(gpu2.requests.at(-1).path).toBe('/api/generate');
+  });
+
+  it('answers errors in the shape Ollama clients expect', async () => {
+    const response = await generate('qwen');
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({
+      error: expect.stringMatching(/is not installed on any reachable/),
+    });
+  });
+});
+
+describe('proxy routes', () => {
+  let route;
+
+  it('pins matching models to the endpoints of a route', async () => {
+    const response = await addRoute({
+      pattern: 'llama3*',
+      endpoints: ['gpu2'],
+    });
+    expect(response.status).toBe(201);
+    route = response.body;
+    expect(route).toMatchObject({
+      pattern: 'llama3*',
+      endpoints: ['gpu2'],
+      priority: 0,
+    });
+
+    const llama3 = await generate('llama3');
+    expect(llama3.headers['x-gateway-endpoint']).toBe('gpu2');
+  });
+
+  it('applies the route with the highest priority first', async () => {
+    const urgent = await addRoute({
+      pattern: 'llama3:latest',
+      endpoints: ['gpu1'],
+      priority: 10,
+    });
+    const routes = (await request(app).get('/api/proxy/routes')).body;
+    expect(routes.map(({ id }) => id)).toEqual([urgent.body.id, route.id]);
+    expect((await generate('llama3')).headers['x-gateway-endpoint']).toBe(
+      'gpu1',
+    );
+
+    await request(app).delete(`/api/proxy/routes/${urgent.body.id}`);
+  });
+
+  it('updates and persists routes', async () => {
+    const response = await request(app)
+      .put(`/api/proxy/routes/${route.id}`)
+      .send({ endpoints: ['gpu1', 'gpu2'], priority: 5 });
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      pattern: 'llama3*',
+      endpoints: ['gpu1', 'gpu2'],
+      priority: 5,
+    });
+
+    const saved = JSON.parse(
+      fs.readFileSync(
+        path.join(process.env.DATA_DIR, 'proxy-routes.json'),
+        'utf8',
+      ),
+    );
+    expect(saved).toEqual([response.body]);
+  });
+
+  it('deletes routes', async () => {
+    const response = await request(app).delete(`/api/proxy/routes/${route.id}`);
+    expect(response.status).toBe(200);
+    expect((await request(app).get('/api/proxy/routes')).body).toEqual([]);
+    expect(
+      (await request(app).delete(`/api/proxy/routes/${route.id}`)).status,
+    ).toBe(404);
+  });
+
+  it.each([
+    [{ endpoints: ['gpu1'] }],
+    [{ pattern: 'llama3*' }],
+    [{ pattern: 'llama3*', endpoints: ['gpu9'] }],
+    [{ pattern: 'llama3*', endpoints: ['gpu1'], priority: 'high' }],
+  ])('rejects %p', async (body) => {
+    expect((await addRoute(body)).status).toBe(400);
+  });
+});
@@ -0,0 +1,92 @@
+import { afterAll, beforeEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const ollama = await startMockOllama();
+process.env.OLLAMA_ENDPOINTS = `test=${ollama.url}`;
+const { app } = await import('../server.js');
+
+afterAll(() => ollama.close());
+
+const DESTINATION = 'registry.local:5000/team/llama3:latest';
+
+beforeEach(() => {
+  ollama.models = new Map([['llama3:latest', 'sha256:aaa']]);
+  ollama.failPush.clear();
+  ollama.pushed.length = 0;
+});
+
+// Push and read the streamed NDJSON lines
+const push = async (body) => {
+  const response = await request(app).post('/api/push').send(body);
+  return {
+    status: response.status,
+    body: response.body,
+    lines: response.text
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line)),
+  };
+};
+
+describe('POST /api/push', () => {
+  it('pushes an installed model under its own name', async () => {
+    const { status, lines } = await push({ model: 'llama3', insecure: true });
+    expect(status).toBe(200);
+    expect(lines.at(-1)).toMatchObject({
+      model: 'llama3:latest',
+      source: 'llama3:latest',
+    });
+    expect(ollama.pushed).toEqual(['llama3:latest']);
+    expect(ollama.requests.find((r) => r.path === '/api/push').body).toEqual({
+      name: 'llama3:latest',
+      insecure: true,
+    });
+  });
+
+  it('copies to the destination in the job and pushes that', async () => {
+    const { lines } = await push({ model: 'llama3', destination: DESTINATION });
+    expect(lines.at(-1)).toMatchObject({
+      model: DESTINATION,
+      source: 'llama3:latest',
+      digest: 'sha256:aaa',
+    });
+    expect(ollama.pushed).toEqual([DESTINATION]);
+    expect(ollama.models.get(DESTINATION)).toBe('sha256:aaa');
+  });
+
+  it('removes the copy it made when the push fails', async () => {
+    ollama.failPush.add(DESTINATION);
+    const { status, lines } = await push({
+      model: 'llama3',
+      destination: DESTINATION,
+    });
+    expect(status).toBe(200);
+    expect(lines.at(-1)).toMatchObject({
+      status: 'error',
+      error: expect.stringMatching(/unauthorized/),
+    });
+    expect(ollama.models.has(DESTINATION)).toBe(false);
+    expect(ollama.models.has('llama3:latest')).toBe(true);
+  });
+
+  it('keeps a destination it replaced when the push fails', async () => {
+    ollama.models.set(DESTINATION, 'sha256:old');
+    ollama.failPush.add(DESTINATION);
+    await push({ model: 'llama3', destination: DESTINATION, overwrite: true });
+    expect(ollama.models.get(DESTINATION)).toBe('sha256:aaa');
+  });
+
+  it('answers 404 for a missing model and 409 for an existing destination', async () => {
+    expect((await push({ model: 'qwen' })).status).toBe(404);
+
+    ollama.models.set(DESTINATION, 'sha256:old');
+    const { status } = await push({
+      model: 'llama3',
+      destination: DESTINATION,
+    });
+    expect(status).toBe(409);
+    expect(ollama.models.get(DESTINATION)).toBe('sha256:old');
+    expect(ollama.pushed).toEqual([]);
+  });
+});
@@ -0,0 +1,135 @@
+import { afterAll, beforeEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const ollama = await startMockOllama();
+process.env.OLLAMA_ENDPOINTS = `test=${ollama.url}`;
+const { app } = await import('../server.js');
+
+afterAll(() => ollama.close());
+
+const desired = {
+  endpoints: {
+    test: {
+      prune: true,
+      update: false,
+      models: ['llama3', 'qwen:0.5b'],
+    },
+  },
+};
+
+const plan = (body = { desired }) =>
+  request(app).post('/api/reconcile/plan').send(body);
+
+beforeEach(() => {
+  ollama.models = new Map([
+    ['llama3:latest', 'sha256:aaa'],
+    ['mistral:7b', 'sha256:bbb'],
+  ]);
+  ollama.failPull.clear();
+  ollama.requests.length = 0;
+});
+
+describe('POST /api/reconcile/plan', () => {
+  it('lists what to pull and delete on each endpoint', async () => {
+    const response = await plan();
+    expect(response.status).toBe(200);
+    expect(response.body.plan).toEqual([
+      {
+        endpoint: { id: 'test', url: ollama.url },
+        pull: ['qwen:0.5b'],
+        update: [],
+        delete: ['mistral:7b'],
+        satisfied: ['llama3:latest'],
+      },
+    ]);
+    expect(response.body.planHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('wants top-level models everywhere and only prunes when asked', async () => {
+    const response = await plan({
+      desired: 'models: [mistral:7b]\nupdate: false\n',
+    });
+    expect(response.body.plan[0]).toMatchObject({
+      pull: [],
+      delete: [],
+      satisfied: ['mistral:7b'],
+    });
+  });
+
+  it('gives the same hash for the same plan', async () => {
+    const [first, second] = await Promise.all([plan(), plan()]);
+    expect(first.body.planHash).toBe(second.body.planHash);
+  });
+
+  it.each([
+    ['an unknown endpoint', { endpoints: { nope: { models: ['x'] } } }],
+    ['models that are not names', { models: [1] }],
+    ['a list', []],
+  ])('rejects a desired state with %s', async (name, state) => {
+    expect((await plan({ desired: state })).status).toBe(400);
+  });
+
+  it('changes nothing', async () => {
+    await plan();
+    expect(ollama.requests.map((r) => `${r.method} ${r.path}`)).toEqual([
+      'GET /api/tags',
+    ]);
+  });
+});
+
+describe('POST /api/reconcile/apply', () => {
+  const apply = (planHash) =>
+    request(app).post('/api/reconcile/apply').send({ desired, planHash });
+
+  it('needs the hash of the reviewed plan', async () => {
+    expect((await apply()).status).toBe(400);
+  });
+
+  it('refuses a plan that changed since it was reviewed', async () => {
+    const { planHash } = (await plan()).body;
+    ollama.models.set('qwen:0.5b', 'sha256:ccc');
+
+    const response = await apply(planHash);
+    expect(response.status).toBe(409);
+    expect(response.body.plan[0].pull).toEqual([]);
+    expect(response.body.planHash).not.toBe(planHash);
+    expect(ollama.models.has('mistral:7b')).toBe(true);
+  });
+
+  it('pulls, then prunes', async () => {
+    const response = await apply((await plan()).body.planHash);
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('success');
+    expect([...ollama.models.keys()].sort()).toEqual([
+      'llama3:latest',
+      'qwen:0.5b',
+    ]);
+
+    const changes = ollama.requests
+      .filter((r) => r.method !== 'GET')
+      .map((r) => `${r.path} ${r.body.name}`);
+    expect(changes.indexOf('/api/pull qwen:0.5b')).toBeLessThan(
+      changes.indexOf('/api/delete mistral:7b'),
+    );
+  });
+
+  it('prunes nothing when a pull fails', async () => {
+    ollama.failPull.add('qwen:0.5b');
+    const response = await apply((await plan()).body.planHash);
+    expect(response.body.status).toBe('partial');
+    expect(response.body.results).toEqual([
+      expect.objectContaining({
+        model: 'qwen:0.5b',
+        action: 'pull',
+        status: 'failed',
+      }),
+      expect.objectContaining({
+        model: 'mistral:7b',
+        action: 'delete',
+        status: 'skipped',
+      }),
+    ]);
+    expect(ollama.models.has('mistral:7b')).toBe(true);
+  });
+});
@@ -0,0 +1,153 @@
+import { afterAll, beforeEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const gpu1 = await startMockOllama();
+const gpu2 = await startMockOllama();
+const gpu3 = await startMockOllama();
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url},gpu3=${gpu3.url}`;
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1, gpu2, gpu3].map((mock) => mock.close())));
+
+// The mock pulls `llama3:latest` as sha256:13, so that's the source's
+// version; `mistral:7b` pulls as sha256:10, a newer version than gpu1 has
+beforeEach(() => {
+  gpu1.models = new Map([
+    ['llama3:latest', 'sha256:13'],
+    ['mistral:7b', 'sha256:old'],
+  ]);
+  gpu2.models = new Map();
+  gpu3.models = new Map();
+  for (const mock of [gpu1, gpu2, gpu3]) {
+    mock.failPull.clear();
+    mock.requests.length = 0;
+  }
+});
+
+const replicate = async (body) => {
+  const response = await request(app).post('/api/replicate').send(body);
+  return {
+    response,
+    lines: response.text
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => JSON.parse(line)),
+  };
+};
+
+describe('POST /api/replicate', () => {
+  it('pulls the model on each target in a job and streams its progress', async () => {
+    const { response, lines } = await replicate({
+      source: 'gpu1',
+      model: 'llama3',
+      targets: ['gpu2', 'gpu3'],
+    });
+    expect(response.status).toBe(200);
+    expect(lines).toContainEqual({ target: 'gpu2', status: 'success' });
+    expect(lines.at(-1)).toMatchObject({
+      status: 'success',
+      model: 'llama3:latest',
+      source: 'gpu1',
+      digest: 'sha256:13',
+      results: [
+        { target: 'gpu2', status: 'replicated', method: 'pull' },
+        { target: 'gpu3', status: 'replicated', method: 'pull' },
+      ],
+    });
+    expect(gpu2.models.get('llama3:latest')).toBe('sha256:13');
+
+    const jobIds = response.headers['x-job-id'].split(', ');
+    expect(jobIds).toEqual(lines.at(-1).results.map((result) => result.jobId));
+    const job = await request(app).get(`/api/jobs/${jobIds[0]}`);
+    expect(job.body).toMatchObject({
+      type: 'replicate',
+      model: 'llama3:latest',
+      endpoint: { id: 'gpu2' },
+      params: { source: { id: 'gpu1' }, digest: 'sha256:13' },
+      status: 'completed',
+    });
+  });
+
+  it('leaves targets that have the same version alone', async () => {
+    gpu2.models.set('llama3:latest', 'sha256:13');
+    const { lines } = await replicate({
+      source: 'gpu1',
+      model: 'llama3',
+      targets: ['gpu2'],
+    });
+    expect(lines.at(-1).results).toMatchObject([
+      { target: 'gpu2', status: 'present' },
+    ]);
+    expect(gpu2.requests.some((r) => r.path === '/api/pull')).toBe(false);
+  });
+
+  it('fails targets that end up with another version than the source', async () => {
+    const { lines } = await replicate({
+      source: 'gpu1',
+      model: 'mistral:7b',
+      targets: ['gpu2'],
+    });
+    expect(lines.at(-1)).toMatchObject({
+      status: 'error',
+      results: [
+        {
+          target: 'gpu2',
+          status: 'failed',
+          error: expect.stringMatching(/Digest mismatch/),
+        },
+      ],
+    });
+  });
+
+  it('reports partial success when only some targets fail', async () => {
+    gpu3.models.set('llama3:latest', 'sha256:other');
+    gpu3.failPull.add('llama3:latest');
+    const { lines } = await replicate({
+      source: 'gpu1',
+      model: 'llama3',
+      targets: ['gpu2', 'gpu3'],
+    });
+    expect(lines.at(-1).status).toBe('partial');
+    expect(lines.at(-1).results.map((result) => result.status)).toEqual([
+      'replicated',
+      'failed',
+    ]);
+  });
+
+  it('queues the jobs and answers 202 in background mode', async () => {
+    const response = await request(app)
+      .post('/api/replicate')
+      .send({
+        source: 'gpu1',
+        model: 'llama3',
+        targets: ['gpu2'],
+        background: true,
+      });
+    expect(response.status).toBe(202);
+    expect(response.body.jobs).toMatchObject([
+      { type: 'replicate', endpoint: { id: 'gpu2' } },
+    ]);
+
+    const [{ id }] = response.body.jobs;
+    let job;
+    do {
+      job = (await request(app).get(`/api/jobs/${id}`)).body;
+    } while (['queued', 'running'].includes(job.status));
+    expect(job.status).toBe('completed');
+    expect(gpu2.models.has('llama3:latest')).toBe(true);
+  });
+
+  it('validates the source and targets', async () => {
+    const status = async (body) => (await replicate(body)).response.status;
+    expect(
+      await status({ source: 'gpu1', model: 'llama3', targets: ['gpu1'] }),
+    ).toBe(400);
+    expect(
+      await status({ source: 'gpu9', model: 'llama3', targets: ['gpu2'] }),
+    ).toBe(404);
+    expect(
+      await status({ source: 'gpu1', model: 'qwen', targets: ['gpu2'] }),
+    ).toBe(404);
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+
+process.env.OLLAMA_ENDPOINTS =
+  'test=http://127.0.0.1:9,other=http://127.0.0.1:9/other';
+
+const { app, ROUTE_ROLES, requiredRole } = await import('../server.js');
+
+// requiredRole only looks at the method, the mounted path and the body
+const role = (method, path, body) =>
+  requiredRole({ method, baseUrl: '', path, body });
+
+describe('requiredRole', () => {
+  it.each([
+    ['GET', '/api/models', 'viewer'],
+    ['HEAD', '/api/models', 'viewer'],
+    ['GET', '/v1/models', 'viewer'],
+    ['GET', '/ollama/api/tags', 'viewer'],
+    ['POST', '/api/show', 'viewer'],
+    ['POST', '/api/reconcile/plan', 'viewer'],
+    ['POST', '/api/auth/logout', 'viewer'],
+    ['POST', '/api/pull', 'operator'],
+    ['POST', '/api/update-model', 'operator'],
+    ['POST', '/api/update-models', 'operator'],
+    ['POST', '/api/schedules/abc/run', 'operator'],
+    ['DELETE', '/api/jobs/abc', 'operator'],
+    ['POST', '/v1/chat/completions', 'operator'],
+    ['POST', '/ollama/api/generate', 'operator'],
+    ['DELETE', '/api/models', 'admin'],
+    ['POST', '/api/rename', 'admin'],
+    ['POST', '/api/reconcile/apply', 'admin'],
+    ['POST', '/api/schedules', 'admin'],
+    ['GET', '/api/keys', 'admin'],
+    ['GET', '/api/audit', 'admin'],
+    ['PUT', '/api/anything-new', 'admin'],
+  ])('%s %s needs %s', (method, path, expected) => {
+    expect(role(method, path)).toBe(expected);
+  });
+
+  it('treats /api/endpoints/:id/... like the route it aliases', () => {
+    expect(role('POST', '/api/endpoints/gpu1/pull')).toBe('operator');
+    expect(role('DELETE', '/api/endpoints/gpu1/models')).toBe('admin');
+    expect(role('GET', '/api/endpoints/gpu1/storage')).toBe('viewer');
+    expect(role('POST', '/api/endpoints/gpu1/show')).toBe('viewer');
+  });
+
+  it('needs admin for copies, retags and pushes that delete or replace', () => {
+    expect(role('POST', '/api/copy', {})).toBe('operator');
+    expect(role('POST', '/api/copy', { overwrite: true })).toBe('admin');
+    expect(role('POST', '/api/copy', { overwrite: 'true' })).toBe('admin');
+    expect(role('POST', '/api/copy', { overwrite: false })).toBe('operator');
+    expect(role('POST', '/api/retag', { mode: 'copy' })).toBe('operator');
+    expect(role('POST', '/api/retag', { mode: 'rename' })).toBe('admin');
+    expect(role('POST', '/api/retag', { overwrite: 1 })).toBe('admin');
+    expect(role('POST', '/api/push', { overwrite: true })).toBe('admin');
+    expect(role('POST', '/api/endpoints/gpu1/retag', { mode: 'rename' })).toBe(
+      'admin',
+    );
+  });
+
+  it('keeps endpoint management itself admin-only', () => {
+    expect(role('GET', '/api/endpoints/gpu1')).toBe('viewer');
+    expect(role('DELETE', '/api/endpoints/gpu1')).toBe('admin');
+    expect(role('POST', '/api/endpoints')).toBe('admin');
+  });
+
+  it('has a known role for every rule', () => {
+    ROUTE_ROLES.forEach(([method, pattern, name, test]) => {
+      expect(['GET', 'POST', 'PUT', 'DELETE']).toContain(method);
+      expect(pattern).toBeInstanceOf(RegExp);
+      expect(['viewer', 'operator', 'admin']).toContain(name);
+      if (test) expect(typeof test).toBe('function');
+    });
+  });
+});
+
+describe('API keys', () => {
+  let adminKey;
+
+  it('makes the first key an admin key', async () => {
+    const viewer = await request(app)
+      .post('/api/keys')
+      .send({ name: 'viewer', role: 'viewer' });
+    expect(viewer.status).toBe(400);
+
+    const admin = await request(app)
+      .post('/api/keys')
+      .send({ name: 'root', role: 'admin' });
+    expect(admin.status).toBe(201);
+    adminKey = admin.body.key;
+
+    expect((await request(app).get('/api/auth/me')).status).toBe(401);
+  });
+
+  it('keeps viewers out of admin routes, aliases included', async () => {
+    const viewer = await request(app)
+      .post('/api/keys')
+      .set('x-api-key', adminKey)
+      .send({ name: 'viewer', role: 'viewer' });
+    const denied = await request(app)
+      .delete('/api/endpoints/test/models')
+      .set('Authorization', `Bearer ${viewer.body.key}`)
+      .send({ models: ['llama3:latest'] });
+    expect(denied.status).toBe(403);
+    expect(denied.body.message).toMatch(/admin role/);
+  });
+
+  it('keeps operators from renaming or overwriting models', async () => {
+    const operator = await request(app)
+      .post('/api/keys')
+      .set('x-api-key', adminKey)
+      .send({ name: 'operator', role: 'operator' });
+    const retag = (body) =>
+      request(app)
+        .post('/api/retag')
+        .set('x-api-key', operator.body.key)
+        .send({ models: ['llama3:latest'], prefix: 'team-', ...body });
+
+    const rename = await retag({ mode: 'rename' });
+    expect(rename.status).toBe(403);
+    expect(rename.body.message).toMatch(/admin role/);
+    expect((await retag({ overwrite: true })).status).toBe(403);
+    expect(
+      (
+        await request(app)
+          .post('/api/copy')
+          .set('x-api-key', operator.body.key)
+          .send({ source: 'a', destination: 'b', overwrite: true })
+      ).status,
+    ).toBe(403);
+    expect((await retag({ mode: 'copy' })).status).not.toBe(403);
+  });
+
+  it('keeps scoped keys from deleting on other endpoints', async () => {
+    const scoped = await request(app)
+      .post('/api/keys')
+      .set('x-api-key', adminKey)
+      .send({ name: 'test-admin', role: 'admin', endpoints: ['test'] });
+    const denied = await request(app)
+      .delete('/api/endpoints/test/models')
+      .set('x-api-key', scoped.body.key)
+      .send({ models: ['llama3:latest'], endpoints: ['other'] });
+    expect(denied.status).toBe(403);
+  });
+
+  it('answers 404 for a key limited to an unknown endpoint', async () => {
+    const response = await request(app)
+      .post('/api/keys')
+      .set('x-api-key', adminKey)
+      .send({ name: 'lost', role: 'viewer', endpoints: ['nope'] });
+    expect(response.status).toBe(404);
+  });
+
+  it('signs in with API keys only, and takes only session tokens as access_token', async () => {
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ apiKey: adminKey });
+    expect(login.status).toBe(200);
+    const { token } = login.body;
+
+    expect(
+      (await request(app).get('/api/auth/me').query({ access_token: token }))
+        .status,
+    ).toBe(200);
+    expect(
+      (await request(app).get('/api/auth/me').query({ access_token: adminKey }))
+        .status,
+    ).toBe(401);
+    expect(
+      (await request(app).post('/api/auth/login').send({ apiKey: token }))
+        .status,
+    ).toBe(401);
+  });
+});
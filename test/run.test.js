@@ -0,0 +1,105 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const ollama = await startMockOllama({ 'llama3:latest': 'sha256:aaa' });
+process.env.OLLAMA_ENDPOINTS = `gpu1=${ollama.url},down=http://127.0.0.1:9`;
+const { app } = await import('../server.js');
+
+afterAll(() => ollama.close());
+
+const generateRequests = () =>
+  ollama.requests.filter((r) => r.path === '/api/generate').map((r) => r.body);
+
+describe('POST /api/run and /api/stop', () => {
+  it('loads a model with an empty prompt and the default keep-alive', async () => {
+    const response = await request(app)
+      .post('/api/run')
+      .send({ model: 'llama3:latest' });
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      model: 'llama3:latest',
+      keepAlive: '5m',
+      loadDuration: 1234,
+    });
+    expect(generateRequests().at(-1)).toEqual({
+      model: 'llama3:latest',
+      prompt: '',
+      keep_alive: '5m',
+      stream: false,
+    });
+    expect(ollama.loaded.has('llama3:latest')).toBe(true);
+  });
+
+  it('passes a keep-alive through', async () => {
+    await request(app)
+      .post('/api/run')
+      .send({ model: 'llama3:latest', keepAlive: -1 });
+    expect(generateRequests().at(-1).keep_alive).toBe(-1);
+  });
+
+  it('rejects a malformed keep-alive', async () => {
+    const response = await request(app)
+      .post('/api/run')
+      .send({ model: 'llama3:latest', keepAlive: 'forever' });
+    expect(response.status).toBe(400);
+  });
+
+  it('unloads a model with a keep-alive of 0', async () => {
+    const response = await request(app)
+      .post('/api/stop')
+      .send({ model: 'llama3:latest' });
+    expect(response.status).toBe(200);
+    expect(generateRequests().at(-1).keep_alive).toBe(0);
+    expect(ollama.loaded.has('llama3:latest')).toBe(false);
+  });
+
+  it('answers 404 for a model that is not installed', async () => {
+    const response = await request(app)
+      .post('/api/run')
+      .send({ model: 'missing:latest' });
+    expect(response.status).toBe(404);
+    expect(response.body.message).toMatch(/not found/);
+  });
+
+  it('answers 502 when Ollama is unreachable', async () => {
+    const response = await request(app)
+      .post('/api/endpoints/down/run')
+      .send({ model: 'llama3:latest' });
+    expect(response.status).toBe(502);
+  });
+});
+
+describe('GET /api/version and /api/health', () => {
+  it('reports the Ollama version', async () => {
+    const response = await request(app).get('/api/version');
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      version: '0.5.7',
+      endpoint: ollama.url,
+    });
+    expect(response.body.apiVersion).toEqual(expect.any(String));
+  });
+
+  it('answers 502 for the version of an unreachable endpoint', async () => {
+    expect((await request(app).get('/api/endpoints/down/version')).status).toBe(
+      502,
+    );
+  });
+
+  it('reports whether Ollama is reachable', async () => {
+    const ok = await request(app).get('/api/health');
+    expect(ok.body).toMatchObject({
+      status: 'ok',
+      ollama: { endpoint: ollama.url, reachable: true, version: '0.5.7' },
+    });
+
+    const degraded = await request(app).get('/api/endpoints/down/health');
+    expect(degraded.status).toBe(200);
+    expect(degraded.body).toMatchObject({
+      status: 'degraded',
+      ollama: { reachable: false, version: null },
+    });
+  });
+});
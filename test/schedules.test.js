@@ -0,0 +1,150 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import fs from 'node:fs';
+import path from 'node:path';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const ollama = await startMockOllama({ 'llama3:latest': 'sha256:aaa' });
+process.env.OLLAMA_ENDPOINTS = `test=${ollama.url},other=http://127.0.0.1:9`;
+
+// One policy with a schedule that no longer parses, one due every minute
+const policy = (fields) => ({
+  models: ['llama3*'],
+  endpoints: ['test'],
+  concurrency: 1,
+  windowMinutes: null,
+  force: false,
+  enabled: true,
+  ...fields,
+});
+fs.writeFileSync(
+  path.join(process.env.DATA_DIR, 'schedules.json'),
+  JSON.stringify([
+    policy({ id: 'broken', name: 'Broken', schedule: '0 3 * * funday' }),
+    policy({ id: 'minutely', name: 'Minutely', schedule: '* * * * *' }),
+  ]),
+);
+
+const { app, schedulerTick } = await import('../server.js');
+
+afterAll(() => ollama.close());
+
+const finishedRuns = async (key) => {
+  for (;;) {
+    const runs = await request(app)
+      .get('/api/schedules/runs')
+      .set('x-api-key', key || '');
+    if (runs.body.every((run) => run.status !== 'running')) return runs.body;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+describe('scheduler', () => {
+  it('skips a policy whose schedule does not parse and runs the rest', async () => {
+    expect(() => schedulerTick()).not.toThrow();
+
+    const runs = await finishedRuns();
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({
+      policyId: 'minutely',
+      endpoints: ['test'],
+      trigger: 'schedule',
+      status: 'completed',
+      results: [{ endpoint: 'test', model: 'llama3:latest' }],
+    });
+  });
+
+  it('records scheduled runs in the audit log', async () => {
+    let entries = [];
+    for (let attempt = 0; attempt < 20 && entries.length === 0; attempt++) {
+      await new Promise((resolve) => setTimeout(resolve, 25));
+      entries = (await request(app).get('/api/audit')).body;
+    }
+    expect(entries[0]).toMatchObject({
+      actor: { id: 'scheduler' },
+      action: 'SCHEDULE /api/schedules/:id/run',
+      endpoints: ['test'],
+      models: ['llama3:latest'],
+      outcome: 'success',
+    });
+  });
+});
+
+describe('endpoint-scoped keys', () => {
+  let adminKey;
+  let scopedKey;
+  let policies;
+
+  it('only see policies and runs that target their endpoints', async () => {
+    adminKey = (
+      await request(app).post('/api/keys').send({ name: 'root', role: 'admin' })
+    ).body.key;
+    scopedKey = (
+      await request(app)
+        .post('/api/keys')
+        .set('x-api-key', adminKey)
+        .send({ name: 'test-admin', role: 'admin', endpoints: ['test'] })
+    ).body.key;
+
+    const create = (fields) =>
+      request(app)
+        .post('/api/schedules')
+        .set('x-api-key', adminKey)
+        .send({ name: 'x', schedule: '0 3 * * sun', models: ['*'], ...fields });
+    policies = {
+      other: (await create({ endpoints: ['other'] })).body,
+      all: (await create({})).body,
+    };
+    await request(app)
+      .post(`/api/schedules/${policies.other.id}/run`)
+      .set('x-api-key', adminKey);
+
+    const listed = await request(app)
+      .get('/api/schedules')
+      .set('x-api-key', scopedKey);
+    expect(listed.body.map((item) => item.id).sort()).toEqual(
+      ['broken', 'minutely'].sort(),
+    );
+    expect((await finishedRuns(scopedKey)).map((run) => run.policyId)).toEqual([
+      'minutely',
+    ]);
+    expect((await finishedRuns(adminKey)).map((run) => run.policyId)).toEqual([
+      policies.other.id,
+      'minutely',
+    ]);
+  });
+
+  it('get 404 for the policies they cannot see', async () => {
+    for (const id of [policies.other.id, policies.all.id]) {
+      expect(
+        (
+          await request(app)
+            .get(`/api/schedules/${id}`)
+            .set('x-api-key', scopedKey)
+        ).status,
+      ).toBe(404);
+      expect(
+        (
+          await request(app)
+            .put(`/api/schedules/${id}`)
+            .set('x-api-key', scopedKey)
+            .send({ endpoints: ['test'] })
+        ).status,
+      ).toBe(404);
+      expect(
+        (
+          await request(app)
+            .post(`/api/schedules/${id}/run`)
+            .set('x-api-key', scopedKey)
+        ).status,
+      ).toBe(404);
+      expect(
+        (
+          await request(app)
+            .delete(`/api/schedules/${id}`)
+            .set('x-api-key', scopedKey)
+        ).status,
+      ).toBe(404);
+    }
+  });
+});
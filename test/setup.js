@@ -0,0 +1,20 @@
+// Each test file imports server.js with its own data directory. Files set
+// OLLAMA_ENDPOINTS and the like before importing it.
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterAll } from '@jest/globals';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ollama-model-test-'));
+
+process.env.DATA_DIR = dataDir;
+process.env.DESIRED_STATE_FILE = path.join(dataDir, 'models.yaml');
+process.env.LOG_LEVEL = 'silent';
+process.env.OLLAMA_ENDPOINTS ||= 'test=http://127.0.0.1:9';
+// Nothing may reach the real registry
+process.env.OLLAMA_REGISTRY_URL ||= 'http://127.0.0.1:9';
+
+// The server may still be saving state, e.g. a batched jobs.json write
+afterAll(() =>
+  fs.rmSync(dataDir, { recursive: true, force: true, maxRetries: 5 }),
+);
@@ -0,0 +1,128 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import fs from 'node:fs';
+import path from 'node:path';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+// Every model is listed at 1000 bytes
+const models = {
+  'llama3:latest': 'sha256:aaa',
+  'llama3-ft:latest': 'sha256:bbb',
+  'mistral:latest': 'sha256:ccc',
+};
+const gpu1 = await startMockOllama(models);
+const gpu2 = await startMockOllama(models);
+process.env.OLLAMA_ENDPOINTS = `gpu1=${gpu1.url},gpu2=${gpu2.url}`;
+
+// gpu1's manifests are on disk: llama3 and the model created from it share
+// their 600-byte weights, mistral has nothing in common with them. gpu2 has
+// no models directory and the registry is unreachable.
+const modelsDir = path.join(process.env.DATA_DIR, 'models');
+process.env.OLLAMA_MODELS_DIRS = `gpu1=${modelsDir}`;
+const writeManifest = (model, blobs) => {
+  const dir = path.join(
+    modelsDir,
+    'manifests/registry.ollama.ai/library',
+    model,
+  );
+  fs.mkdirSync(dir, { recursive: true });
+  const [config, ...layers] = blobs.map(([digest, size]) => ({ digest, size }));
+  fs.writeFileSync(
+    path.join(dir, 'latest'),
+    JSON.stringify({ config, layers }),
+  );
+};
+writeManifest('llama3', [
+  ['sha256:c1', 100],
+  ['sha256:weights', 600],
+  ['sha256:p1', 300],
+]);
+writeManifest('llama3-ft', [
+  ['sha256:c2', 100],
+  ['sha256:weights', 600],
+  ['sha256:p2', 300],
+]);
+writeManifest('mistral', [
+  ['sha256:c3', 100],
+  ['sha256:w3', 900],
+]);
+
+const { app } = await import('../server.js');
+
+afterAll(() => Promise.all([gpu1.close(), gpu2.close()]));
+
+const storage = (endpoint, query = {}) =>
+  request(app).get(`/api/endpoints/${endpoint}/storage`).query(query);
+
+describe('GET /api/storage', () => {
+  it('splits each model into unique and shared bytes', async () => {
+    const response = await storage('gpu1');
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      endpoint: { id: 'gpu1' },
+      totalBytes: 3000,
+      diskBytes: 2400,
+      sharedSavingsBytes: 600,
+      accurate: true,
+    });
+    expect(response.body).not.toHaveProperty('note');
+    expect(response.body.models).toEqual([
+      {
+        model: 'llama3-ft:latest',
+        size: 1000,
+        uniqueBytes: 400,
+        sharedBytes: 600,
+        sharedWith: ['llama3:latest'],
+        layersKnown: true,
+      },
+      {
+        model: 'llama3:latest',
+        size: 1000,
+        uniqueBytes: 400,
+        sharedBytes: 600,
+        sharedWith: ['llama3-ft:latest'],
+        layersKnown: true,
+      },
+      {
+        model: 'mistral:latest',
+        size: 1000,
+        uniqueBytes: 1000,
+        sharedBytes: 0,
+        sharedWith: [],
+        layersKnown: true,
+      },
+    ]);
+    expect(response.body.largest[0].model).toBe('mistral:latest');
+  });
+
+  it('works out what deleting some models would free', async () => {
+    const one = await storage('gpu1', { reclaim: 'llama3,qwen' });
+    expect(one.body.reclaimable).toEqual({
+      models: ['llama3:latest'],
+      notFound: ['qwen:latest'],
+      listedBytes: 1000,
+      bytes: 400,
+    });
+
+    const both = await storage('gpu1', { reclaim: 'llama3, llama3-ft' });
+    expect(both.body.reclaimable).toMatchObject({
+      listedBytes: 2000,
+      bytes: 1400,
+    });
+  });
+
+  it('counts models in full when their manifests cannot be read', async () => {
+    const response = await storage('gpu2', { reclaim: 'llama3' });
+    expect(response.body).toMatchObject({
+      totalBytes: 3000,
+      diskBytes: 3000,
+      sharedSavingsBytes: 0,
+      accurate: false,
+      note: expect.stringMatching(/Set OLLAMA_MODELS_DIRS for gpu2/),
+      reclaimable: { bytes: 1000 },
+    });
+    expect(response.body.models.every((model) => !model.layersKnown)).toBe(
+      true,
+    );
+  });
+});
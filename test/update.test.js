@@ -0,0 +1,112 @@
+import { afterAll, beforeEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+// The mock gives a pulled model the digest `sha256:<length of its name>`
+const ollama = await startMockOllama();
+process.env.OLLAMA_ENDPOINTS = `gpu1=${ollama.url}`;
+const { app } = await import('../server.js');
+
+afterAll(() => ollama.close());
+
+beforeEach(() => {
+  ollama.models.clear();
+  ollama.models.set('llama3:latest', 'sha256:old');
+  ollama.models.set('mistral:7b', 'sha256:10');
+  ollama.failPull.clear();
+});
+
+const lastLine = (response) =>
+  JSON.parse(response.text.trim().split('\n').at(-1));
+
+describe('POST /api/update-model', () => {
+  it('reports a model whose digest changed as updated', async () => {
+    const response = await request(app)
+      .post('/api/update-model')
+      .send({ modelName: 'llama3:latest' });
+    expect(response.status).toBe(200);
+    expect(lastLine(response)).toEqual({
+      model: 'llama3:latest',
+      status: 'updated',
+      previousDigest: 'sha256:old',
+      digest: 'sha256:13',
+      jobId: response.headers['x-job-id'],
+    });
+    expect(ollama.requests.at(-2)).toMatchObject({
+      method: 'POST',
+      path: '/api/pull',
+      body: { name: 'llama3:latest' },
+    });
+  });
+
+  it('reports a model whose digest stayed the same as unchanged', async () => {
+    const response = await request(app)
+      .post('/api/update-model')
+      .send({ modelName: 'mistral:7b' });
+    expect(lastLine(response)).toMatchObject({
+      status: 'unchanged',
+      previousDigest: 'sha256:10',
+      digest: 'sha256:10',
+    });
+  });
+
+  it('fails for a model that is not installed instead of pulling it', async () => {
+    const response = await request(app)
+      .post('/api/update-model')
+      .send({ modelName: 'phi3:latest' });
+    expect(lastLine(response)).toMatchObject({
+      status: 'error',
+      error: 'phi3:latest is not installed, pull it instead',
+    });
+    expect(ollama.models.has('phi3:latest')).toBe(false);
+  });
+
+  it('reports a failed pull', async () => {
+    ollama.failPull.add('llama3:latest');
+    const response = await request(app)
+      .post('/api/update-model')
+      .send({ modelName: 'llama3:latest' });
+    expect(lastLine(response)).toMatchObject({
+      status: 'error',
+      error: expect.stringMatching(/file does not exist/),
+    });
+  });
+});
+
+describe('POST /api/update-models', () => {
+  it('reports every model and counts the outcomes', async () => {
+    const response = await request(app)
+      .post('/api/update-models')
+      .send({
+        models: ['llama3:latest', 'mistral:7b', 'phi3:latest', 'mistral:7b'],
+      });
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      status: 'partial',
+      updated: 1,
+      unchanged: 1,
+      failed: 1,
+    });
+    expect(
+      response.body.results.map(({ model, status }) => [model, status]),
+    ).toEqual([
+      ['llama3:latest', 'updated'],
+      ['mistral:7b', 'unchanged'],
+      ['phi3:latest', 'failed'],
+    ]);
+  });
+
+  it('reports an error when every update failed', async () => {
+    const response = await request(app)
+      .post('/api/update-models')
+      .send({ models: ['phi3:latest'] });
+    expect(response.body).toMatchObject({ status: 'error', failed: 1 });
+  });
+
+  it('rejects an empty list', async () => {
+    expect(
+      (await request(app).post('/api/update-models').send({ models: [] }))
+        .status,
+    ).toBe(400);
+  });
+});
@@ -0,0 +1,98 @@
+import { afterAll, describe, expect, it } from '@jest/globals';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import request from 'supertest';
+import { startMockOllama } from './mock-ollama.js';
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// A stub registry serving manifests by path. Ollama's local digest is the
+// SHA-256 of the manifest body.
+const manifests = {
+  '/v2/library/llama3/manifests/latest': '{"schemaVersion":2,"layers":[1]}',
+  '/v2/library/mistral/manifests/7b': '{"schemaVersion":2,"layers":[2]}',
+  '/v2/team/phi3/manifests/mini': '{"schemaVersion":2,"layers":[3]}',
+};
+const registryRequests = [];
+const registry = http.createServer((req, res) => {
+  registryRequests.push({ path: req.url, accept: req.headers.accept });
+  if (req.url === '/v2/library/broken/manifests/latest') {
+    res.writeHead(500);
+    return res.end();
+  }
+  const manifest = manifests[req.url];
+  if (!manifest) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    return res.end('{"errors":[{"code":"MANIFEST_UNKNOWN"}]}');
+  }
+  const headers = { 'Content-Type': 'application/json' };
+  if (req.url.startsWith('/v2/team/')) {
+    headers['Docker-Content-Digest'] = 'sha256:from-header';
+  }
+  res.writeHead(200, headers);
+  res.end(manifest);
+});
+await new Promise((resolve) => registry.listen(0, '127.0.0.1', resolve));
+
+const ollama = await startMockOllama({
+  'llama3:latest': `sha256:${sha256(manifests['/v2/library/llama3/manifests/latest'])}`,
+  'mistral:7b': 'sha256:older',
+  'team/phi3:mini': 'sha256:from-header',
+  'my-finetune:latest': 'sha256:local',
+  'broken:latest': 'sha256:broken',
+});
+process.env.OLLAMA_ENDPOINTS = `gpu1=${ollama.url}`;
+process.env.OLLAMA_REGISTRY_URL = `http://127.0.0.1:${registry.address().port}/`;
+const { app } = await import('../server.js');
+
+afterAll(() =>
+  Promise.all([
+    ollama.close(),
+    new Promise((resolve) => {
+      registry.close(resolve);
+      registry.closeAllConnections();
+    }),
+  ]),
+);
+
+describe('GET /api/models/updates', () => {
+  it('compares each local digest with the registry manifest', async () => {
+    const response = await request(app).get('/api/models/updates');
+    expect(response.status).toBe(200);
+
+    const byModel = Object.fromEntries(
+      response.body.map((result) => [result.model, result]),
+    );
+    expect(byModel['llama3:latest']).toEqual({
+      model: 'llama3:latest',
+      status: 'up-to-date',
+      digest: sha256(manifests['/v2/library/llama3/manifests/latest']),
+      remoteDigest: sha256(manifests['/v2/library/llama3/manifests/latest']),
+    });
+    expect(byModel['mistral:7b']).toEqual({
+      model: 'mistral:7b',
+      status: 'update-available',
+      digest: 'older',
+      remoteDigest: sha256(manifests['/v2/library/mistral/manifests/7b']),
+    });
+    expect(byModel['team/phi3:mini'].status).toBe('up-to-date');
+    expect(byModel['my-finetune:latest']).toMatchObject({
+      status: 'local-only',
+      remoteDigest: null,
+    });
+    expect(byModel['broken:latest']).toMatchObject({
+      status: 'unknown',
+      error: expect.stringMatching(/500/),
+    });
+  });
+
+  it('only asks the registry for manifests', async () => {
+    expect(
+      registryRequests.every((r) => /^\/v2\/.+\/manifests\/.+$/.test(r.path)),
+    ).toBe(true);
+    expect(registryRequests[0].accept).toBe(
+      'application/vnd.docker.distribution.manifest.v2+json',
+    );
+    expect(ollama.requests.map((r) => r.path)).not.toContain('/api/pull');
+  });
+});